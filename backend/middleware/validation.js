@@ -127,6 +127,46 @@ const validateOnboardingFlow = [
   handleValidationErrors
 ];
 
+// NLU training data validation rules. Examples are strings or { text, entities } objects.
+const nluIntentRules = (name) => [
+  name,
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('examples')
+    .optional()
+    .isArray()
+    .withMessage('Examples must be a list'),
+  body('examples.*')
+    .custom(example => {
+      const text = typeof example === 'string' ? example : example && example.text;
+      return typeof text === 'string' && text.trim().length > 0 && text.length <= 500;
+    })
+    .withMessage('Each example needs text of up to 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  handleValidationErrors
+];
+
+const validateNluIntent = nluIntentRules(
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Intent name must be lower case letters, digits and underscores, e.g. start_flow')
+);
+
+const validateNluIntentUpdate = nluIntentRules(
+  body('name')
+    .optional()
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('Intent name must be lower case letters, digits and underscores, e.g. start_flow')
+);
+
 // Parameter validation
 const validateObjectId = [
   param('id')
@@ -155,6 +195,22 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+const validateReviewFilters = [
+  query('status', 'Status must be open, labeled or dismissed')
+    .optional()
+    .isString()
+    .isIn(['open', 'labeled', 'dismissed']),
+  query('kind', 'Kind must be intent or field_value')
+    .optional()
+    .isString()
+    .isIn(['intent', 'field_value']),
+  query('flowId')
+    .optional()
+    .isString()
+    .withMessage('Flow ID must be a string'),
+  handleValidationErrors
+];
+
 export {
   validateUserRegistration,
   validateUserLogin,
@@ -163,9 +219,12 @@ export {
   validateConversation,
   validateOnboardingStep,
   validateOnboardingFlow,
+  validateNluIntent,
+  validateNluIntentUpdate,
   validateObjectId,
   validateSessionId,
   validatePagination,
+  validateReviewFilters,
   handleValidationErrors
 };
 
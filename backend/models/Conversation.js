@@ -34,7 +34,8 @@ const messageSchema = new mongoose.Schema({
       label: String
     },
     context: mongoose.Schema.Types.Mixed,
-    processingTime: Number
+    processingTime: Number,
+    quickReplies: [String] // Suggested replies, shown as buttons
   },
   attachments: [{
     type: String,
@@ -63,7 +64,9 @@ const conversationSchema = new mongoose.Schema({
     currentStep: Number,
     onboardingFlow: String,
     userPreferences: mongoose.Schema.Types.Mixed,
-    sessionData: mongoose.Schema.Types.Mixed
+    sessionData: mongoose.Schema.Types.Mixed,
+    pendingClarification: mongoose.Schema.Types.Mixed, // The message the assistant last asked "Did you want ...?" about
+    dialogueState: mongoose.Schema.Types.Mixed // Topic, subject, last intent and entities of the general chat
   },
   status: {
     type: String,
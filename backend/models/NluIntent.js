@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// A span of an example that names an entity, e.g. "health insurance" as a benefit
+const entityAnnotationSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  start: Number, // Character offsets of the value in the example text
+  end: Number
+}, { _id: false });
+
+const exampleSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  entities: [entityAnnotationSchema],
+  source: { // Where the example came from
+    type: String,
+    enum: ['manual', 'import', 'review', 'clarification'],
+    default: 'manual'
+  }
+});
+
+// Training data for one intent. Stored intents replace the built-in examples
+// of the same name; an inactive one takes the intent out of the classifier.
+const nluIntentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    match: /^[a-z][a-z0-9_]*$/ // e.g. 'start_flow'
+  },
+  description: String,
+  examples: [exampleSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Adds examples whose text is not there yet, ignoring case; returns how many were added
+nluIntentSchema.methods.addExamples = function(examples) {
+  const known = new Set(this.examples.map(example => example.text.toLowerCase()));
+  let added = 0;
+  examples.forEach(example => {
+    const key = example.text.trim().toLowerCase();
+    if (!key || known.has(key)) return;
+    known.add(key);
+    this.examples.push(example);
+    added += 1;
+  });
+  return added;
+};
+
+export default mongoose.model('NluIntent', nluIntentSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// The evaluation report of one retrain, kept so a change to the training data
+// can be compared with the run before it
+const nluTrainingRunSchema = new mongoose.Schema({
+  trainedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deployed: { // False for a dry run that only evaluated the data
+    type: Boolean,
+    default: true
+  },
+  exampleCount: Number,
+  intentCount: Number,
+  trainSize: Number,
+  testSize: Number,
+  accuracy: Number,
+  intents: [{
+    _id: false,
+    intent: String,
+    precision: Number,
+    recall: Number,
+    f1: Number,
+    support: Number // Held-out examples of the intent
+  }],
+  confusionMatrix: {
+    labels: [String],
+    matrix: [[Number]] // Rows are the actual intents, columns the predicted ones
+  },
+  regressions: [mongoose.Schema.Types.Mixed] // { intent, metric, before, after } against the previous run
+}, {
+  timestamps: true
+});
+
+nluTrainingRunSchema.index({ createdAt: -1 });
+
+export default mongoose.model('NluTrainingRun', nluTrainingRunSchema);
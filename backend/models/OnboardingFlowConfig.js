@@ -1,5 +1,114 @@
 import mongoose from 'mongoose';
 
+const fieldSchema = new mongoose.Schema({
+  fieldId: {
+    type: String,
+    required: true
+  },
+  fieldName: {
+    type: String,
+    required: true
+  },
+  fieldType: {
+    type: String,
+    enum: ['text', 'email', 'phone', 'date', 'number', 'currency', 'select', 'textarea', 'file',
+      'pan', 'aadhaar', 'ifsc', 'pincode', 'address', 'multiselect', 'boolean', 'rating', 'list', 'group'],
+    required: true
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  validation: {
+    pattern: String,
+    minLength: Number,
+    maxLength: Number,
+    options: [mongoose.Schema.Types.Mixed], // For select and multiselect fields: 'Owned' or { value: 'Rented', synonyms: ['on rent'] }
+    minAge: Number, // For date fields, e.g. a date of birth
+    maxAge: Number,
+    currency: String, // For currency fields, the code assumed when the user gives none
+    region: String, // For phone fields, overrides the flow's defaultRegion
+    requiredParts: [String], // For address fields, e.g. ['line1', 'city', 'pincode']
+    min: Number, // For rating fields, the ends of the scale (1 to 5 by default)
+    max: Number,
+    minItems: Number, // For list and group fields
+    maxItems: Number,
+    messages: { // Re-prompt sent when the matching rule fails
+      pattern: String,
+      minLength: String,
+      maxLength: String,
+      future: String,
+      minAge: String,
+      maxAge: String,
+      format: String // The reply was not in the field type's format, e.g. an invalid PAN
+    }
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  confirmationPrompt: String,
+  itemName: String, // For group fields, what one record is called, e.g. "reference"
+  addAnotherPrompt: String, // For group fields, asked after each record; defaults to "Would you like to add another {itemName}?"
+  listOptions: Boolean, // For select fields, number the options in the prompt so "2" picks the second
+  showIf: String, // Only ask for the field when this expression holds, e.g. "employment_type == 'Salaried'"
+  synonyms: [String], // Other ways users refer to this field, e.g. "dob" for date_of_birth
+  profileField: String, // Prefilled from the user's record: 'email', 'fullName', 'profile.phone', ...
+  updateProfile: Boolean, // Write the confirmed answer back to profileField
+  autofill: { // Fields filled from a PIN code found in this field's value, by fieldId
+    city: String,
+    district: String,
+    state: String
+  }
+});
+
+// The fields of one record of a group field, asked again for every record
+fieldSchema.add({ fields: [fieldSchema] });
+
+// A value worked out from the answers rather than asked for, e.g. an EMI.
+// Usable as {fieldId} in prompts and messages and by name in conditions.
+const computedFieldSchema = new mongoose.Schema({
+  fieldId: {
+    type: String,
+    required: true
+  },
+  fieldName: {
+    type: String,
+    required: true
+  },
+  expression: { // e.g. "emi(loan_amount, 10.5, loan_tenure)"; see utils/computedFields.js for the functions
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['number', 'currency', 'percent', 'text'],
+    default: 'number'
+  },
+  decimals: Number // Decimal places shown in messages; the stored value is not rounded
+});
+
+// One rule of a flow's eligibility check, run over the answers and computed
+// values when the flow completes
+const eligibilityRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true
+  },
+  condition: { // e.g. "debt_to_income > 50"
+    type: String,
+    required: true
+  },
+  score: Number, // Added to the score when the condition holds; may be negative
+  outcome: { // Makes the decision at least this severe when the condition holds
+    type: String,
+    enum: ['refer', 'decline']
+  },
+  reasonCode: String, // Recorded with the decision, e.g. 'HIGH_DTI'
+  reason: String, // Shown to the user through {reasons}, e.g. "your EMIs would be over half your income"
+  stop: Boolean // Skip the rules after this one when the condition holds
+});
+
 const stepSchema = new mongoose.Schema({
   stepId: {
     type: String,
@@ -14,38 +123,19 @@ const stepSchema = new mongoose.Schema({
     enum: ['data_collection', 'confirmation', 'document_upload', 'completion'],
     required: true
   },
-  fields: [{
-    fieldId: {
-      type: String,
-      required: true
-    },
-    fieldName: {
-      type: String,
-      required: true
-    },
-    fieldType: {
-      type: String,
-      enum: ['text', 'email', 'phone', 'date', 'number', 'select', 'textarea', 'file'],
-      required: true
-    },
-    required: {
-      type: Boolean,
-      default: true
-    },
-    validation: {
-      pattern: String,
-      minLength: Number,
-      maxLength: Number,
-      options: [String] // For select fields
-    },
-    prompt: {
-      type: String,
-      required: true
-    },
-    confirmationPrompt: String
-  }],
+  fields: [fieldSchema],
   confirmationMessage: String,
-  nextStep: String,
+  // Rules across fields, checked before a checkpoint is confirmed. A rule only
+  // applies once all of its fields have a value; when its condition fails, the
+  // message is shown and those fields are asked again.
+  validationRules: [{
+    condition: String, // Must hold, e.g. "loan_amount <= monthly_income * 20"
+    fields: [String], // The fieldIds it checks, from this step or earlier ones
+    message: String
+  }],
+  // Either a stepId, or an ordered list of { condition, stepId } branches where
+  // the first matching condition wins and an entry without a condition is the default
+  nextStep: mongoose.Schema.Types.Mixed,
   isCheckpoint: {
     type: Boolean,
     default: false
@@ -71,7 +161,36 @@ const onboardingFlowConfigSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  locale: {
+    type: String,
+    default: 'en-IN' // Decides whether 03/04/1990 is read as 3 April or March 4
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  defaultRegion: {
+    type: String,
+    default: 'IN' // Country assumed for phone numbers typed without a country code
+  },
   steps: [stepSchema],
+  computedFields: [computedFieldSchema], // Evaluated in order, so later ones can use earlier ones
+  eligibility: { // Pre-qualification decision made when the flow reaches a completion step
+    rules: [eligibilityRuleSchema], // Evaluated in order
+    baseScore: {
+      type: Number,
+      default: 0
+    },
+    thresholds: { // A score from `eligible` up is eligible, from `refer` up is referred, anything lower declined
+      eligible: Number,
+      refer: Number
+    },
+    messages: { // Completion message for each decision; {reasons} lists the reasons of the rules that matched
+      eligible: String,
+      refer: String,
+      decline: String
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -3,6 +3,8 @@ import mongoose from 'mongoose';
 const fieldDataSchema = new mongoose.Schema({
   fieldId: String,
   value: mongoose.Schema.Types.Mixed,
+  rawValue: String, // The text the value was read from, e.g. "3rd March 90" for 1990-03-03
+  meta: mongoose.Schema.Types.Mixed, // Type-specific details, e.g. { currency: 'INR' }
   extractedAt: {
     type: Date,
     default: Date.now
@@ -10,6 +12,10 @@ const fieldDataSchema = new mongoose.Schema({
   confirmed: {
     type: Boolean,
     default: false
+  },
+  skipped: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -27,6 +33,22 @@ const stepProgressSchema = new mongoose.Schema({
   confirmationData: mongoose.Schema.Types.Mixed
 });
 
+// Navigation history, newest last: answers given, corrections made and steps left behind
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['answer', 'correction', 'step'],
+    required: true
+  },
+  stepId: String,
+  fieldIds: [String],
+  previous: [mongoose.Schema.Types.Mixed], // Field data a correction replaced, restored when it is undone
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const onboardingProgressSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -51,6 +73,31 @@ const onboardingProgressSchema = new mongoose.Schema({
     default: 'active'
   },
   stepProgress: [stepProgressSchema],
+  history: [historyEntrySchema],
+  pendingAutofill: { // Autofilled fields waiting for the user to confirm them
+    stepId: String,
+    fieldIds: [String]
+  },
+  pendingRecheck: { // Fields asked again because a checkpoint's validation rule failed, in order
+    stepId: String,
+    fieldIds: [String]
+  },
+  pendingCorrection: { // Field the user asked to correct without saying the new value
+    stepId: String,
+    fieldId: String
+  },
+  computedValues: mongoose.Schema.Types.Mixed, // Values of the flow's computedFields, by fieldId
+  decision: { // Outcome of the flow's eligibility rules
+    outcome: {
+      type: String,
+      enum: ['eligible', 'refer', 'decline']
+    },
+    score: Number,
+    reasonCodes: [String],
+    reasons: [String],
+    trace: [mongoose.Schema.Types.Mixed], // Every rule evaluated: { ruleId, condition, matched, score, outcome, error }
+    decidedAt: Date
+  },
   collectedData: mongoose.Schema.Types.Mixed,
   startedAt: {
     type: Date,
@@ -76,18 +123,24 @@ onboardingProgressSchema.methods.getCurrentStepProgress = function() {
 };
 
 // Method to update field data
-onboardingProgressSchema.methods.updateFieldData = function(stepId, fieldId, value) {
+onboardingProgressSchema.methods.updateFieldData = function(stepId, fieldId, value, { rawValue, meta } = {}) {
   const stepProgress = this.stepProgress.find(step => step.stepId === stepId);
   if (!stepProgress) return false;
 
   const existingField = stepProgress.fieldData.find(field => field.fieldId === fieldId);
   if (existingField) {
     existingField.value = value;
+    existingField.rawValue = rawValue;
+    existingField.meta = meta;
     existingField.extractedAt = new Date();
+    existingField.confirmed = false;
+    existingField.skipped = false;
   } else {
     stepProgress.fieldData.push({
       fieldId,
       value,
+      rawValue,
+      meta,
       extractedAt: new Date()
     });
   }
@@ -96,6 +149,40 @@ onboardingProgressSchema.methods.updateFieldData = function(stepId, fieldId, val
   return this.save();
 };
 
+// Method to record that the user chose not to answer an optional field
+onboardingProgressSchema.methods.skipFieldData = function(stepId, fieldId) {
+  const stepProgress = this.stepProgress.find(step => step.stepId === stepId);
+  if (!stepProgress) return false;
+
+  const existingField = stepProgress.fieldData.find(field => field.fieldId === fieldId);
+  if (existingField) {
+    existingField.value = null;
+    existingField.skipped = true;
+    existingField.confirmed = false;
+  } else {
+    stepProgress.fieldData.push({
+      fieldId,
+      value: null,
+      skipped: true,
+      extractedAt: new Date()
+    });
+  }
+
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to remove field data so the field is asked for again
+onboardingProgressSchema.methods.removeFieldData = function(stepId, fieldId) {
+  const stepProgress = this.stepProgress.find(step => step.stepId === stepId);
+  if (!stepProgress) return false;
+
+  stepProgress.fieldData = stepProgress.fieldData.filter(field => field.fieldId !== fieldId);
+
+  this.lastActivity = new Date();
+  return this.save();
+};
+
 // Method to confirm step data
 onboardingProgressSchema.methods.confirmStepData = function(stepId, confirmationData) {
   const stepProgress = this.stepProgress.find(step => step.stepId === stepId);
@@ -114,11 +201,142 @@ onboardingProgressSchema.methods.confirmStepData = function(stepId, confirmation
   return this.save();
 };
 
+// Method to record which fields a message answered, so it can be undone.
+// `snapshot` is the step's field data from before the answer; the listed
+// fields' previous values are kept so "go back" undoes only this answer.
+onboardingProgressSchema.methods.recordAnswer = function(stepId, fieldIds, snapshot = []) {
+  const previous = snapshot.filter(field => fieldIds.includes(field.fieldId));
+  this.history.push({ action: 'answer', stepId, fieldIds, previous, at: new Date() });
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to remember fields filled on the user's behalf until they confirm them
+onboardingProgressSchema.methods.setPendingAutofill = function(stepId, fieldIds) {
+  this.pendingAutofill = { stepId, fieldIds };
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to clear autofilled fields waiting for confirmation
+onboardingProgressSchema.methods.clearPendingAutofill = function() {
+  this.pendingAutofill = undefined;
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to queue fields that must be answered again before a checkpoint
+onboardingProgressSchema.methods.setPendingRecheck = function(stepId, fieldIds) {
+  this.pendingRecheck = { stepId, fieldIds };
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to clear the fields waiting to be answered again
+onboardingProgressSchema.methods.clearPendingRecheck = function() {
+  this.pendingRecheck = undefined;
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to wait for the new value of a field the user wants to correct
+onboardingProgressSchema.methods.setPendingCorrection = function(stepId, fieldId) {
+  this.pendingCorrection = { stepId, fieldId };
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to stop waiting for a corrected value
+onboardingProgressSchema.methods.clearPendingCorrection = function() {
+  this.pendingCorrection = undefined;
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to store the latest values of the flow's computed fields
+onboardingProgressSchema.methods.setComputedValues = function(values) {
+  this.computedValues = values;
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to record the eligibility decision made at the end of the flow
+onboardingProgressSchema.methods.setDecision = function({ outcome, score, reasonCodes, reasons, trace }) {
+  this.decision = { outcome, score, reasonCodes, reasons, trace, decidedAt: new Date() };
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to copy a step's field data as it is before a correction
+onboardingProgressSchema.methods.getFieldDataSnapshot = function(stepId) {
+  const stepProgress = this.stepProgress.find(step => step.stepId === stepId);
+  return stepProgress ? stepProgress.fieldData.map(field => field.toObject()) : [];
+};
+
+// Method to record a correction of fields already answered, keeping their
+// field data from the snapshot taken before it so that going back restores it
+onboardingProgressSchema.methods.recordCorrection = function(stepId, fieldIds, snapshot) {
+  const previous = snapshot.filter(field => fieldIds.includes(field.fieldId));
+  this.history.push({ action: 'correction', stepId, fieldIds, previous, at: new Date() });
+  this.lastActivity = new Date();
+  return this.save();
+};
+
+// Method to take back a step's confirmation so that it is confirmed again
+onboardingProgressSchema.methods.reopenStep = function(stepId) {
+  const stepProgress = this.stepProgress.find(step => step.stepId === stepId);
+  if (!stepProgress) return false;
+
+  stepProgress.status = 'in_progress';
+  stepProgress.completedAt = undefined;
+  stepProgress.fieldData.forEach(field => {
+    field.confirmed = false;
+  });
+
+  this.lastActivity = new Date();
+  return this.save();
+};
+
 // Method to move to next step
 onboardingProgressSchema.methods.moveToNextStep = function(nextStepId) {
+  this.history.push({ action: 'step', stepId: this.currentStep, at: new Date() });
   this.currentStep = nextStepId;
   this.lastActivity = new Date();
   return this.save();
 };
 
+// Method to undo the latest history entry. An answer has its fields cleared so
+// they are asked again and a correction gets the earlier values back; a step
+// is re-opened and loses its confirmation. The step left behind is dropped, as
+// the answers that lead there may now branch elsewhere.
+// Resolves to the undone entry, or null when there is nothing to go back to.
+onboardingProgressSchema.methods.goBack = async function() {
+  const entry = this.history.pop();
+  if (!entry) return null;
+
+  this.pendingAutofill = undefined;
+  this.pendingRecheck = undefined;
+  this.pendingCorrection = undefined;
+
+  const stepProgress = this.stepProgress.find(step => step.stepId === entry.stepId);
+
+  if (entry.action === 'answer' || entry.action === 'correction') {
+    if (stepProgress) {
+      stepProgress.fieldData = stepProgress.fieldData
+        .filter(field => !entry.fieldIds.includes(field.fieldId))
+        .concat(entry.previous || []);
+    }
+  } else {
+    if (this.currentStep !== entry.stepId) {
+      this.stepProgress = this.stepProgress.filter(step => step.stepId !== this.currentStep);
+    }
+    this.currentStep = entry.stepId;
+    await this.reopenStep(entry.stepId);
+  }
+
+  this.lastActivity = new Date();
+  await this.save();
+  return entry;
+};
+
 export default mongoose.model('OnboardingProgress', onboardingProgressSchema);
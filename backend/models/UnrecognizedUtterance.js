@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+const MAX_VARIANTS = 20;
+const MAX_SAMPLES = 5;
+
+// A cluster of similar messages the bot didn't understand, waiting for an
+// admin to label it. All text is stored masked, see utils/utteranceClustering.js.
+const unrecognizedUtteranceSchema = new mongoose.Schema({
+  kind: { // 'intent' when no intent was recognised, 'field_value' when an answer couldn't be read
+    type: String,
+    enum: ['intent', 'field_value'],
+    required: true
+  },
+  text: { // The first message of the cluster
+    type: String,
+    required: true
+  },
+  tokens: [String], // Content words of text, compared with new messages
+  variants: [{ // Distinct messages in the cluster, most frequent first
+    _id: false,
+    text: String,
+    count: Number
+  }],
+  count: {
+    type: Number,
+    default: 0
+  },
+  samples: [{ // The latest occurrences, to find the conversations they came from
+    _id: false,
+    sessionId: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    text: String,
+    at: Date
+  }],
+  flowId: { type: String, default: null }, // Where the miss happened, for field_value misses
+  stepId: { type: String, default: null },
+  fieldId: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['open', 'labeled', 'dismissed'],
+    default: 'open'
+  },
+  label: {
+    type: { // 'intent', 'new_intent' or 'synonym'
+      type: String,
+      enum: ['intent', 'new_intent', 'synonym']
+    },
+    intent: String,
+    flowId: String,
+    fieldId: String,
+    option: String, // For a synonym of one of a select field's options
+    labeledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    labeledAt: Date
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+unrecognizedUtteranceSchema.index({ status: 1, kind: 1, flowId: 1, stepId: 1, fieldId: 1, lastSeenAt: -1 });
+unrecognizedUtteranceSchema.index({ status: 1, count: -1 });
+
+// Method to count one more occurrence of a (masked) message
+unrecognizedUtteranceSchema.methods.addOccurrence = function(text, { sessionId, userId } = {}) {
+  const variant = this.variants.find(item => item.text.toLowerCase() === text.toLowerCase());
+  if (variant) {
+    variant.count += 1;
+  } else {
+    this.variants.push({ text, count: 1 });
+  }
+  this.variants.sort((a, b) => b.count - a.count);
+  if (this.variants.length > MAX_VARIANTS) this.variants.splice(MAX_VARIANTS);
+
+  this.samples.push({ sessionId, userId, text, at: new Date() });
+  if (this.samples.length > MAX_SAMPLES) this.samples.splice(0, this.samples.length - MAX_SAMPLES);
+
+  this.count += 1;
+  this.lastSeenAt = new Date();
+  return this.save();
+};
+
+export default mongoose.model('UnrecognizedUtterance', unrecognizedUtteranceSchema);
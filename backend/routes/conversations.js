@@ -148,9 +148,12 @@ router.post('/:sessionId/messages', auth, validateMessage, async (req, res) => {
 
     let context = {
       userId: req.user._id,
+      sessionId,
       userProfile: user.profile,
       onboardingStep: user.onboarding.currentStep,
-      conversationHistory: conversation.getRecentMessages(5)
+      conversationHistory: conversation.getRecentMessages(5),
+      pendingClarification: conversation.context && conversation.context.pendingClarification,
+      dialogueState: conversation.context && conversation.context.dialogueState
     };
 
     // If user is in an onboarding flow, add flow context
@@ -196,7 +199,10 @@ router.post('/:sessionId/messages', auth, validateMessage, async (req, res) => {
     await conversation.updateContext({
       lastUserMessage: content,
       lastAIResponse: aiResponse.content,
-      lastInteraction: new Date()
+      lastInteraction: new Date(),
+      pendingClarification: (aiResponse.metadata && aiResponse.metadata.pendingClarification) || null,
+      // Flow answers leave the dialogue state as it was
+      dialogueState: (aiResponse.metadata && aiResponse.metadata.dialogueState) || context.dialogueState || null
     });
 
     logger.info(`Message processed in conversation: ${sessionId}`);
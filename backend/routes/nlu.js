@@ -0,0 +1,369 @@
+import express from 'express';
+import multer from 'multer';
+import NluIntent from '../models/NluIntent.js';
+import NluTrainingRun from '../models/NluTrainingRun.js';
+import UnrecognizedUtterance from '../models/UnrecognizedUtterance.js';
+import Conversation from '../models/Conversation.js';
+import { adminAuth } from '../middleware/auth.js';
+import { validateNluIntent, validateNluIntentUpdate, validateObjectId, validatePagination, validateReviewFilters } from '../middleware/validation.js';
+import { annotateEntities, parseTrainingData } from '../utils/nluTrainingData.js';
+import { evaluateIntentClassifier, findRegressions } from '../utils/intentClassifier.js';
+import { maskUtterance } from '../utils/utteranceClustering.js';
+import aiService from '../services/aiService.js';
+import reviewInboxService from '../services/reviewInboxService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// Examples from a request body: strings or { text, entities }. Throws on an
+// entity annotation that doesn't match its example.
+const toExamples = (examples = [], source = 'manual') => examples.map(example => {
+  const { text, entities = [] } = typeof example === 'string' ? { text: example } : example;
+  const annotated = annotateEntities(text.trim(), entities);
+  if (annotated.error) {
+    const error = new Error(`${annotated.error}: "${text}"`);
+    error.status = 400;
+    throw error;
+  }
+  return { text: text.trim(), entities: annotated.entities, source };
+});
+
+// @route   GET /api/nlu/intents
+// @desc    Get all stored intents with their examples (Admin only)
+// @access  Private (Admin)
+router.get('/intents', adminAuth, async (req, res) => {
+  try {
+    const intents = await NluIntent.find().sort({ name: 1 });
+    res.json({ intents });
+  } catch (error) {
+    logger.error('Get NLU intents error:', error);
+    res.status(500).json({ message: 'Server error fetching intents' });
+  }
+});
+
+// @route   GET /api/nlu/intents/:id
+// @desc    Get an intent by ID (Admin only)
+// @access  Private (Admin)
+router.get('/intents/:id', adminAuth, validateObjectId, async (req, res) => {
+  try {
+    const intent = await NluIntent.findById(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Intent not found' });
+    }
+    res.json({ intent });
+  } catch (error) {
+    logger.error('Get NLU intent error:', error);
+    res.status(500).json({ message: 'Server error fetching intent' });
+  }
+});
+
+// @route   POST /api/nlu/intents
+// @desc    Create an intent with example utterances (Admin only)
+// @access  Private (Admin)
+router.post('/intents', adminAuth, validateNluIntent, async (req, res) => {
+  try {
+    const { name, description, examples, isActive } = req.body;
+    if (await NluIntent.exists({ name })) {
+      return res.status(400).json({ message: `Intent "${name}" already exists` });
+    }
+
+    const intent = new NluIntent({ name, description, isActive, createdBy: req.user._id, updatedBy: req.user._id });
+    intent.addExamples(toExamples(examples));
+    await intent.save();
+
+    logger.info(`NLU intent created: ${intent.name} by admin: ${req.user.email}`);
+    res.status(201).json({ message: 'Intent created successfully', intent });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error('Create NLU intent error:', error);
+    res.status(500).json({ message: 'Server error creating intent' });
+  }
+});
+
+// @route   PUT /api/nlu/intents/:id
+// @desc    Update an intent; a list of examples replaces the stored ones (Admin only)
+// @access  Private (Admin)
+router.put('/intents/:id', adminAuth, validateObjectId, validateNluIntentUpdate, async (req, res) => {
+  try {
+    const intent = await NluIntent.findById(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Intent not found' });
+    }
+
+    const { name, description, examples, isActive } = req.body;
+    if (name && name !== intent.name && await NluIntent.exists({ name })) {
+      return res.status(400).json({ message: `Intent "${name}" already exists` });
+    }
+
+    if (name) intent.name = name;
+    if (description !== undefined) intent.description = description;
+    if (isActive !== undefined) intent.isActive = isActive;
+    if (examples) {
+      intent.examples = [];
+      intent.addExamples(toExamples(examples));
+    }
+    intent.updatedBy = req.user._id;
+    await intent.save();
+
+    logger.info(`NLU intent updated: ${intent.name} by admin: ${req.user.email}`);
+    res.json({ message: 'Intent updated successfully', intent });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error('Update NLU intent error:', error);
+    res.status(500).json({ message: 'Server error updating intent' });
+  }
+});
+
+// @route   DELETE /api/nlu/intents/:id
+// @desc    Deactivate an intent, leaving it out of the next training (Admin only)
+// @access  Private (Admin)
+router.delete('/intents/:id', adminAuth, validateObjectId, async (req, res) => {
+  try {
+    const intent = await NluIntent.findById(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Intent not found' });
+    }
+
+    // Soft delete by setting isActive to false
+    intent.isActive = false;
+    intent.updatedBy = req.user._id;
+    await intent.save();
+
+    logger.info(`NLU intent deactivated: ${intent.name} by admin: ${req.user.email}`);
+    res.json({ message: 'Intent deactivated successfully' });
+  } catch (error) {
+    logger.error('Delete NLU intent error:', error);
+    res.status(500).json({ message: 'Server error deleting intent' });
+  }
+});
+
+// @route   POST /api/nlu/import
+// @desc    Import training data from a CSV or JSON file, or a JSON body. Examples
+//          are added to existing intents unless `replace` is set. (Admin only)
+// @access  Private (Admin)
+router.post('/import', adminAuth, upload.single('file'), async (req, res) => {
+  try {
+    let parsed;
+    try {
+      if (req.file) {
+        const format = req.body.format || (/\.csv$/i.test(req.file.originalname) ? 'csv' : 'json');
+        parsed = parseTrainingData(req.file.buffer.toString('utf8'), format);
+      } else {
+        parsed = parseTrainingData(req.body.data !== undefined ? req.body.data : req.body, req.body.format);
+      }
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read the training data: ${error.message}` });
+    }
+
+    const replace = req.body.replace === true || req.body.replace === 'true';
+    const summary = { created: 0, updated: 0, examplesAdded: 0 };
+    const errors = [...parsed.errors];
+    for (const imported of parsed.intents) {
+      let intent = await NluIntent.findOne({ name: imported.name });
+      const created = !intent;
+      if (intent) {
+        if (replace) intent.examples = [];
+      } else {
+        // Merging into a built-in intent keeps its built-in examples
+        intent = new NluIntent({ name: imported.name, createdBy: req.user._id });
+        if (!replace) intent.addExamples((aiService.intentExamples[imported.name] || []).map(text => ({ text })));
+      }
+      if (imported.description) intent.description = imported.description;
+      const added = intent.addExamples(imported.examples.map(example => ({ ...example, source: 'import' })));
+      intent.updatedBy = req.user._id;
+
+      // An intent that fails validation is reported and the others still import
+      try {
+        await intent.save();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        errors.push({ intent: imported.name, message: error.message });
+        continue;
+      }
+      summary[created ? 'created' : 'updated'] += 1;
+      summary.examplesAdded += added;
+    }
+
+    logger.info(`NLU training data imported by admin: ${req.user.email}: ${summary.created} intents created, ` +
+      `${summary.updated} updated, ${summary.examplesAdded} examples added`);
+    res.json({ message: 'Training data imported successfully', ...summary, errors });
+  } catch (error) {
+    logger.error('Import NLU training data error:', error);
+    res.status(500).json({ message: 'Server error importing training data' });
+  }
+});
+
+// @route   POST /api/nlu/train
+// @desc    Evaluate the training data on a held-out split and retrain the intent
+//          classifier on all of it; `dryRun` only evaluates (Admin only)
+// @access  Private (Admin)
+router.post('/train', adminAuth, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true;
+    const testRatio = Number(req.body.testRatio) > 0 && Number(req.body.testRatio) < 1 ? Number(req.body.testRatio) : 0.2;
+
+    const storedIntents = await NluIntent.find().lean();
+    const report = evaluateIntentClassifier(aiService.getIntentTrainingExamples(storedIntents), {
+      ...aiService.intentOptions,
+      testRatio
+    });
+    const previous = await NluTrainingRun.findOne({ deployed: true }).sort({ createdAt: -1 }).lean();
+    const regressions = findRegressions(previous, report);
+
+    if (!dryRun) aiService.useStoredIntents(storedIntents);
+    const run = await NluTrainingRun.create({ ...report, regressions, deployed: !dryRun, trainedBy: req.user._id });
+
+    logger.info(`Intent classifier ${dryRun ? 'evaluated' : 'retrained'} by admin: ${req.user.email}, ` +
+      `accuracy ${report.accuracy} on ${report.testSize} held-out examples`);
+    res.json({
+      message: dryRun ? 'Training data evaluated' : 'Intent classifier retrained successfully',
+      run,
+      previousRunId: previous ? previous._id : null
+    });
+  } catch (error) {
+    logger.error('Train intent classifier error:', error);
+    res.status(500).json({ message: 'Server error training intent classifier' });
+  }
+});
+
+// @route   GET /api/nlu/training-runs
+// @desc    Get the latest training runs with their evaluation reports (Admin only)
+// @access  Private (Admin)
+router.get('/training-runs', adminAuth, async (req, res) => {
+  try {
+    const runs = await NluTrainingRun.find()
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate('trainedBy', 'firstName lastName email');
+    res.json({ runs });
+  } catch (error) {
+    logger.error('Get NLU training runs error:', error);
+    res.status(500).json({ message: 'Server error fetching training runs' });
+  }
+});
+
+// @route   GET /api/nlu/review
+// @desc    Get the review inbox: clusters of messages the bot didn't understand,
+//          most frequent first. Filter by status (default open), kind and flowId. (Admin only)
+// @access  Private (Admin)
+router.get('/review', adminAuth, validatePagination, validateReviewFilters, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    // Cast to strings so that query objects like status[$ne]=x never reach the filter
+    const filter = { status: String(req.query.status || 'open') };
+    if (req.query.kind) filter.kind = String(req.query.kind);
+    if (req.query.flowId) filter.flowId = String(req.query.flowId);
+
+    const clusters = await UnrecognizedUtterance.find(filter)
+      .select('-tokens')
+      .sort({ count: -1, lastSeenAt: -1 })
+      .skip(skip)
+      .limit(limit);
+    const total = await UnrecognizedUtterance.countDocuments(filter);
+
+    res.json({
+      clusters,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get review inbox error:', error);
+    res.status(500).json({ message: 'Server error fetching review inbox' });
+  }
+});
+
+// @route   GET /api/nlu/review/:id
+// @desc    Get a cluster with the conversations its samples came from (Admin only)
+// @access  Private (Admin)
+router.get('/review/:id', adminAuth, validateObjectId, async (req, res) => {
+  try {
+    const cluster = await UnrecognizedUtterance.findById(req.params.id).select('-tokens');
+    if (!cluster) {
+      return res.status(404).json({ message: 'Review cluster not found' });
+    }
+
+    // The messages leading up to each sample and the reply to it, masked like the sample
+    const samples = [];
+    for (const sample of cluster.samples) {
+      const conversation = sample.sessionId && await Conversation.findOne({ sessionId: sample.sessionId }).select('messages');
+      const messages = conversation ? conversation.messages : [];
+      const index = messages.findLastIndex(message => message.role === 'user' && message.timestamp <= sample.at);
+      samples.push({
+        ...sample.toObject(),
+        conversation: (index < 0 ? [] : messages.slice(Math.max(0, index - 3), index + 2)).map(message => ({
+          role: message.role,
+          content: maskUtterance(message.content),
+          timestamp: message.timestamp
+        }))
+      });
+    }
+
+    res.json({ cluster, samples });
+  } catch (error) {
+    logger.error('Get review cluster error:', error);
+    res.status(500).json({ message: 'Server error fetching review cluster' });
+  }
+});
+
+// @route   POST /api/nlu/review/:id/label
+// @desc    Label a cluster as an existing intent, a new intent or a field synonym (Admin only)
+// @access  Private (Admin)
+router.post('/review/:id/label', adminAuth, validateObjectId, async (req, res) => {
+  try {
+    const cluster = await UnrecognizedUtterance.findById(req.params.id);
+    if (!cluster) {
+      return res.status(404).json({ message: 'Review cluster not found' });
+    }
+
+    const { type, intent, description, flowId, fieldId, option } = req.body;
+    await reviewInboxService.label(cluster, { type, intent, description, flowId, fieldId, option }, req.user);
+
+    res.json({
+      message: type === 'synonym'
+        ? 'Cluster labeled; the synonyms are in use now'
+        : 'Cluster labeled; the examples are used from the next retrain',
+      cluster
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error('Label review cluster error:', error);
+    res.status(500).json({ message: 'Server error labeling review cluster' });
+  }
+});
+
+// @route   POST /api/nlu/review/:id/dismiss
+// @desc    Dismiss a cluster that needs no label (Admin only)
+// @access  Private (Admin)
+router.post('/review/:id/dismiss', adminAuth, validateObjectId, async (req, res) => {
+  try {
+    const cluster = await UnrecognizedUtterance.findById(req.params.id);
+    if (!cluster) {
+      return res.status(404).json({ message: 'Review cluster not found' });
+    }
+
+    cluster.status = 'dismissed';
+    await cluster.save();
+
+    logger.info(`Review cluster ${cluster._id} dismissed by admin: ${req.user.email}`);
+    res.json({ message: 'Cluster dismissed', cluster });
+  } catch (error) {
+    logger.error('Dismiss review cluster error:', error);
+    res.status(500).json({ message: 'Server error dismissing review cluster' });
+  }
+});
+
+export default router;
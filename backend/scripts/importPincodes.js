@@ -0,0 +1,71 @@
+// Rebuilds data/pincodes.json from the India Post "All India Pincode Directory"
+// CSV (data.gov.in), which has one row per post office with at least the
+// pincode, district and statename columns.
+//
+// Usage: node scripts/importPincodes.js <directory.csv> [output.json]
+//
+// The directory has no city column, so the district is used as the city.
+// Cities already in the output file are kept, as they are often nicer than the
+// district name ("Kanpur" rather than "Kanpur Nagar").
+import fs from 'fs';
+import { getDataPath } from '../utils/pincodeLookup.js';
+import { parseCsvLine } from '../utils/csvParser.js';
+
+// "KANPUR NAGAR" -> "Kanpur Nagar"
+const toTitleCase = (text) => text.toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase());
+
+const importPincodes = (csvPath, outputPath) => {
+  const lines = fs.readFileSync(csvPath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const header = parseCsvLine(lines[0]).map(column => column.toLowerCase());
+  const columns = {
+    pincode: header.indexOf('pincode'),
+    district: header.findIndex(column => column === 'district' || column === 'districtname'),
+    state: header.findIndex(column => column === 'statename' || column === 'state')
+  };
+  if (Object.values(columns).some(index => index < 0)) {
+    throw new Error(`Expected pincode, district and statename columns, found: ${header.join(', ')}`);
+  }
+
+  const existing = fs.existsSync(outputPath) ? JSON.parse(fs.readFileSync(outputPath, 'utf8')).pincodes || {} : {};
+  const pincodes = {};
+
+  lines.slice(1).forEach(line => {
+    const row = parseCsvLine(line);
+    const pincode = row[columns.pincode];
+    if (!/^[1-9]\d{5}$/.test(pincode) || pincodes[pincode]) return;
+
+    const district = toTitleCase(row[columns.district]);
+    pincodes[pincode] = {
+      city: existing[pincode] ? existing[pincode].city : district,
+      district,
+      state: toTitleCase(row[columns.state])
+    };
+  });
+
+  const sorted = Object.keys(pincodes).sort().reduce((result, pincode) => {
+    result[pincode] = pincodes[pincode];
+    return result;
+  }, {});
+
+  fs.writeFileSync(outputPath, `${JSON.stringify({
+    source: 'India Post All India Pincode Directory',
+    updatedAt: new Date().toISOString().slice(0, 10),
+    pincodes: sorted
+  }, null, 2)}\n`);
+
+  return Object.keys(sorted).length;
+};
+
+const [csvPath, outputPath = getDataPath()] = process.argv.slice(2);
+if (!csvPath) {
+  console.error('Usage: node scripts/importPincodes.js <directory.csv> [output.json]');
+  process.exit(1);
+}
+
+try {
+  const count = importPincodes(csvPath, outputPath);
+  console.log(`Wrote ${count} PIN codes to ${outputPath}`);
+} catch (error) {
+  console.error('PIN code import failed:', error.message);
+  process.exit(1);
+}
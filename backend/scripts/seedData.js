@@ -6,6 +6,7 @@ dotenv.config();
 import User from '../models/User.js';
 import OnboardingFlow from '../models/OnboardingFlow.js';
 import seedLoanFlow from './seedLoanFlow.js';
+import seedIntents from './seedIntents.js';
 
 const connectDB = async () => {
   try {
@@ -218,6 +219,7 @@ const seedData = async () => {
   await seedUsers();
   await seedOnboardingFlows();
   await seedLoanFlow();
+  await seedIntents();
   
   console.log('Database seeded successfully!');
   process.exit(0);
@@ -0,0 +1,26 @@
+import NluIntent from '../models/NluIntent.js';
+import aiService from '../services/aiService.js';
+import logger from '../utils/logger.js';
+
+// Copies the built-in intent examples into the database, so conversation
+// designers start from them. Intents that are already stored are left alone.
+async function seedIntents() {
+  try {
+    let created = 0;
+    for (const [name, texts] of Object.entries(aiService.intentExamples)) {
+      if (await NluIntent.exists({ name })) continue;
+      
+      const intent = new NluIntent({ name });
+      intent.addExamples(texts.map(text => ({ text })));
+      await intent.save();
+      created += 1;
+    }
+    
+    logger.info(`✅ Seeded ${created} intents with their training examples`);
+  } catch (error) {
+    logger.error('Error seeding intents:', error);
+    throw error;
+  }
+}
+
+export default seedIntents;
@@ -18,16 +18,35 @@ const loanApplicationFlow = {
           fieldName: 'Full Name',
           fieldType: 'text',
           required: true,
+          validation: {
+            minLength: 3,
+            maxLength: 100,
+            messages: {
+              minLength: "That seems too short for a full name. Could you give me your full name as per your official documents?"
+            }
+          },
           prompt: "Great! Can I have your full name as per your official documents?",
-          confirmationPrompt: "Name: {value}"
+          confirmationPrompt: "Name: {value}",
+          synonyms: ['name'],
+          profileField: 'fullName'
         },
         {
           fieldId: 'date_of_birth',
           fieldName: 'Date of Birth',
           fieldType: 'date',
           required: true,
+          validation: {
+            minAge: 18,
+            maxAge: 75,
+            messages: {
+              future: "That date is in the future. Could you share your date of birth, e.g. 3 March 1990?",
+              minAge: "Applicants need to be at least 18 years old for a loan. Could you double-check your date of birth?",
+              maxAge: "Our loans are available up to age 75. Could you double-check your date of birth?"
+            }
+          },
           prompt: "And your date of birth?",
-          confirmationPrompt: "DOB: {value}"
+          confirmationPrompt: "DOB: {value}",
+          synonyms: ['dob', 'birthday', 'birth date']
         },
         {
           fieldId: 'gender',
@@ -35,8 +54,13 @@ const loanApplicationFlow = {
           fieldType: 'select',
           required: true,
           validation: {
-            options: ['Male', 'Female', 'Other']
+            options: [
+              { value: 'Male', synonyms: ['man', 'boy'] },
+              { value: 'Female', synonyms: ['woman', 'lady', 'girl'] },
+              { value: 'Other', synonyms: ['non-binary', 'nonbinary', 'transgender'] }
+            ]
           },
+          listOptions: true,
           prompt: "Gender?",
           confirmationPrompt: "Gender: {value}"
         },
@@ -46,7 +70,10 @@ const loanApplicationFlow = {
           fieldType: 'phone',
           required: true,
           prompt: "Which mobile number should we use to contact you?",
-          confirmationPrompt: "Mobile: {value}"
+          confirmationPrompt: "Mobile: {value}",
+          synonyms: ['mobile', 'phone', 'phone number', 'contact number'],
+          profileField: 'profile.phone',
+          updateProfile: true
         },
         {
           fieldId: 'email_address',
@@ -54,11 +81,105 @@ const loanApplicationFlow = {
           fieldType: 'email',
           required: true,
           prompt: "And your email address?",
-          confirmationPrompt: "Email: {value}"
+          confirmationPrompt: "Email: {value}",
+          synonyms: ['email', 'e-mail', 'mail id'],
+          profileField: 'email'
+        },
+        {
+          fieldId: 'pan_number',
+          fieldName: 'PAN',
+          fieldType: 'pan',
+          required: false,
+          prompt: "Could you share your PAN? It helps us process your application faster.",
+          confirmationPrompt: "PAN: {value}",
+          synonyms: ['pan', 'pan card', 'pan number']
+        },
+        {
+          fieldId: 'aadhaar_number',
+          fieldName: 'Aadhaar',
+          fieldType: 'aadhaar',
+          required: false,
+          prompt: "And your Aadhaar number? We only keep the last four digits.",
+          confirmationPrompt: "Aadhaar: {value}",
+          synonyms: ['aadhaar', 'aadhar', 'uid', 'aadhaar number']
         }
       ],
       isCheckpoint: true,
       confirmationMessage: "Just to confirm, here's what I have:\n{confirmation_data}\nIs that correct?",
+      nextStep: 'loan_details'
+    },
+    {
+      stepId: 'loan_details',
+      stepName: 'Loan Details',
+      stepType: 'data_collection',
+      fields: [
+        {
+          fieldId: 'loan_amount',
+          fieldName: 'Loan Amount',
+          fieldType: 'currency',
+          required: true,
+          prompt: "How much would you like to borrow? You can say something like 5 lakh or ₹2,50,000.",
+          confirmationPrompt: "Loan amount: {value}",
+          synonyms: ['amount', 'loan']
+        },
+        {
+          fieldId: 'loan_tenure',
+          fieldName: 'Loan Tenure',
+          fieldType: 'number',
+          required: true,
+          validation: {
+            pattern: '^[1-7]$',
+            messages: {
+              pattern: "We can offer a repayment period of 1 to 7 years. Over how many years would you like to repay it?"
+            }
+          },
+          prompt: "Over how many years would you like to repay it?",
+          confirmationPrompt: "Tenure: {value} years",
+          synonyms: ['tenure', 'years', 'repayment period']
+        },
+        {
+          fieldId: 'loan_purpose',
+          fieldName: 'Loan Purpose',
+          fieldType: 'multiselect',
+          required: true,
+          validation: {
+            options: [
+              { value: 'Home renovation', synonyms: ['renovation', 'home repair', 'house repair'] },
+              'Education',
+              { value: 'Medical', synonyms: ['hospital', 'treatment', 'surgery'] },
+              { value: 'Wedding', synonyms: ['marriage', 'shaadi'] },
+              'Travel',
+              { value: 'Debt consolidation', synonyms: ['pay off loans', 'credit card bills', 'repay debt'] },
+              'Other'
+            ]
+          },
+          listOptions: true,
+          prompt: "What will you use the loan for? You can pick more than one.",
+          confirmationPrompt: "Purpose: {value}",
+          synonyms: ['purpose']
+        },
+        {
+          fieldId: 'has_existing_loans',
+          fieldName: 'Existing Loans',
+          fieldType: 'boolean',
+          required: true,
+          prompt: "Do you have any other loans or EMIs running at the moment?",
+          confirmationPrompt: "Existing loans: {value}",
+          synonyms: ['other loans']
+        },
+        {
+          fieldId: 'existing_emi',
+          fieldName: 'Existing EMIs',
+          fieldType: 'currency',
+          required: true,
+          showIf: 'has_existing_loans',
+          prompt: "How much do you pay towards them each month?",
+          confirmationPrompt: "Existing EMIs: {value} a month",
+          synonyms: ['emi', 'emis', 'monthly emi']
+        }
+      ],
+      isCheckpoint: true,
+      confirmationMessage: "Here are your loan details:\n{confirmation_data}\nThat works out to an estimated EMI of {emi} a month. Is that right?",
       nextStep: 'other_details'
     },
     {
@@ -69,10 +190,11 @@ const loanApplicationFlow = {
         {
           fieldId: 'current_address',
           fieldName: 'Current Address',
-          fieldType: 'textarea',
+          fieldType: 'address',
           required: true,
-          prompt: "What's your current residential address?",
-          confirmationPrompt: "Current Address: {value}"
+          prompt: "What's your current residential address, with the PIN code?",
+          confirmationPrompt: "Current Address: {value}",
+          synonyms: ['address', 'residential address']
         },
         {
           fieldId: 'address_type',
@@ -80,10 +202,15 @@ const loanApplicationFlow = {
           fieldType: 'select',
           required: true,
           validation: {
-            options: ['Owned', 'Rented', 'Provided by employer']
+            options: [
+              { value: 'Owned', synonyms: ['own', 'own house', 'my own', 'self-owned', 'owner', 'family owned', 'ancestral'] },
+              { value: 'Rented', synonyms: ['rent', 'on rent', 'rental', 'tenant', 'leased', 'paying guest', 'pg'] },
+              { value: 'Provided by employer', synonyms: ['company provided', 'company accommodation', 'company quarters', 'staff quarters'] }
+            ]
           },
           prompt: "Is this owned, rented, or provided by your employer?",
-          confirmationPrompt: "({value})"
+          confirmationPrompt: "({value})",
+          synonyms: ['residence type', 'ownership']
         },
         {
           fieldId: 'stay_duration',
@@ -91,7 +218,8 @@ const loanApplicationFlow = {
           fieldType: 'text',
           required: true,
           prompt: "How long have you been staying here?",
-          confirmationPrompt: "{value}"
+          confirmationPrompt: "{value}",
+          synonyms: ['duration', 'how long']
         },
         {
           fieldId: 'permanent_address',
@@ -101,13 +229,39 @@ const loanApplicationFlow = {
           prompt: "Do you have a different permanent address?",
           confirmationPrompt: "Permanent Address: {value}"
         },
+        {
+          fieldId: 'employment_type',
+          fieldName: 'Employment Type',
+          fieldType: 'select',
+          required: true,
+          validation: {
+            options: [
+              { value: 'Salaried', synonyms: ['salary', 'salaried employee', 'employee'] },
+              { value: 'Self-employed', synonyms: ['self employed', 'business', 'own business', 'businessman', 'freelancer', 'freelance', 'consultant'] }
+            ]
+          },
+          prompt: "Are you salaried or self-employed?",
+          confirmationPrompt: "Employment: {value}",
+          synonyms: ['employment', 'occupation']
+        },
+        {
+          fieldId: 'employer_name',
+          fieldName: 'Employer Name',
+          fieldType: 'text',
+          required: false,
+          showIf: "employment_type == 'Salaried'",
+          prompt: "Which company do you work for?",
+          confirmationPrompt: "Employer: {value}",
+          synonyms: ['employer', 'company']
+        },
         {
           fieldId: 'monthly_income',
           fieldName: 'Monthly Income',
-          fieldType: 'number',
+          fieldType: 'currency',
           required: true,
           prompt: "What's your monthly net income after deductions?",
-          confirmationPrompt: "Monthly net income: {value} ₹"
+          confirmationPrompt: "Monthly net income: {value}",
+          synonyms: ['income', 'salary']
         },
         {
           fieldId: 'bank_name',
@@ -115,27 +269,167 @@ const loanApplicationFlow = {
           fieldType: 'text',
           required: true,
           prompt: "Which bank account should we use for loan disbursement?",
-          confirmationPrompt: "Bank: {value}"
+          confirmationPrompt: "Bank: {value}",
+          synonyms: ['bank']
         },
         {
           fieldId: 'account_number',
           fieldName: 'Account Number',
           fieldType: 'text',
           required: true,
-          prompt: "Can you confirm the account number and IFSC code?",
-          confirmationPrompt: "Account No: {value}"
+          validation: {
+            pattern: '^\\d{9,18}$',
+            messages: {
+              pattern: "Account numbers have 9 to 18 digits. Could you check it and share the account number again?"
+            }
+          },
+          prompt: "What's the account number for that bank account?",
+          confirmationPrompt: "Account No: {value}",
+          synonyms: ['account', 'account no', 'a/c']
         },
         {
           fieldId: 'ifsc_code',
           fieldName: 'IFSC Code',
-          fieldType: 'text',
+          fieldType: 'ifsc',
           required: true,
           prompt: "And the IFSC code?",
-          confirmationPrompt: "IFSC Code: {value}"
+          confirmationPrompt: "IFSC Code: {value}",
+          synonyms: ['ifsc']
         }
       ],
       isCheckpoint: true,
       confirmationMessage: "Just to confirm, here's what I have:\n{confirmation_data}\nShall I go ahead with these details?",
+      validationRules: [
+        {
+          condition: 'loan_amount <= monthly_income * 20',
+          fields: ['loan_amount', 'monthly_income'],
+          message: "We can lend up to 20 times your monthly income, and {loan_amount} is more than that for an income of {monthly_income}. Let's check both figures."
+        }
+      ],
+      nextStep: [
+        { condition: "address_type == 'Rented'", stepId: 'rent_details' },
+        { condition: "employment_type == 'Self-employed'", stepId: 'business_details' },
+        { stepId: 'references' }
+      ]
+    },
+    {
+      stepId: 'rent_details',
+      stepName: 'Rent Details',
+      stepType: 'data_collection',
+      fields: [
+        {
+          fieldId: 'monthly_rent',
+          fieldName: 'Monthly Rent',
+          fieldType: 'currency',
+          required: true,
+          prompt: "Since you're renting, how much rent do you pay each month?",
+          confirmationPrompt: "Monthly rent: {value}",
+          synonyms: ['rent']
+        },
+        {
+          fieldId: 'landlord_name',
+          fieldName: 'Landlord Name',
+          fieldType: 'text',
+          required: false,
+          prompt: "And the name of your landlord?",
+          confirmationPrompt: "Landlord: {value}",
+          synonyms: ['landlord', 'owner']
+        }
+      ],
+      isCheckpoint: true,
+      confirmationMessage: "Here are your rent details:\n{confirmation_data}\nIs that correct?",
+      nextStep: [
+        { condition: "employment_type == 'Self-employed'", stepId: 'business_details' },
+        { stepId: 'references' }
+      ]
+    },
+    {
+      stepId: 'business_details',
+      stepName: 'Business Details',
+      stepType: 'data_collection',
+      fields: [
+        {
+          fieldId: 'business_name',
+          fieldName: 'Business Name',
+          fieldType: 'text',
+          required: true,
+          prompt: "What's the name of your business?",
+          confirmationPrompt: "Business: {value}",
+          synonyms: ['business', 'firm', 'company']
+        },
+        {
+          fieldId: 'business_vintage',
+          fieldName: 'Years in Business',
+          fieldType: 'number',
+          required: true,
+          prompt: "How many years has the business been running?",
+          confirmationPrompt: "Years in business: {value}",
+          synonyms: ['vintage', 'years in business']
+        }
+      ],
+      isCheckpoint: true,
+      confirmationMessage: "Here are your business details:\n{confirmation_data}\nShall I go ahead?",
+      validationRules: [
+        {
+          condition: 'business_vintage <= applicant_age - 14',
+          fields: ['business_vintage', 'date_of_birth'],
+          message: "The business can't have been running since before you were 14. Could you check these again?"
+        }
+      ],
+      nextStep: 'references'
+    },
+    {
+      stepId: 'references',
+      stepName: 'References',
+      stepType: 'data_collection',
+      fields: [
+        {
+          fieldId: 'references',
+          fieldName: 'References',
+          fieldType: 'group',
+          required: true,
+          prompt: "Lastly, I need two people we can contact as references.",
+          itemName: 'reference',
+          validation: {
+            minItems: 2,
+            maxItems: 4
+          },
+          fields: [
+            {
+              fieldId: 'name',
+              fieldName: 'Name',
+              fieldType: 'text',
+              required: true,
+              prompt: "What's the reference's full name?"
+            },
+            {
+              fieldId: 'phone',
+              fieldName: 'Phone',
+              fieldType: 'phone',
+              required: true,
+              prompt: "What's their phone number?"
+            },
+            {
+              fieldId: 'relation',
+              fieldName: 'Relation',
+              fieldType: 'select',
+              required: true,
+              prompt: "How do you know them?",
+              validation: {
+                options: [
+                  { value: 'Family', synonyms: ['relative', 'brother', 'sister', 'father', 'mother', 'cousin', 'uncle', 'aunt'] },
+                  { value: 'Friend', synonyms: ['friends', 'buddy'] },
+                  { value: 'Colleague', synonyms: ['coworker', 'co-worker', 'boss', 'manager'] },
+                  { value: 'Neighbour', synonyms: ['neighbor'] }
+                ]
+              }
+            }
+          ],
+          synonyms: ['reference', 'referee']
+        }
+      ],
+      isCheckpoint: true,
+      confirmationMessage: "Here are your references:\n{confirmation_data}\nIs that correct?",
       nextStep: 'completion'
     },
     {
@@ -143,9 +437,85 @@ const loanApplicationFlow = {
       stepName: 'Application Complete',
       stepType: 'completion',
       fields: [],
-      confirmationMessage: "Perfect! Your loan application is now submitted. We'll review it and get back to you shortly with the next steps. Thank you for your time!"
+      confirmationMessage: "Perfect! Your loan application is now submitted. Your estimated EMI is {emi} a month. We'll review it and get back to you shortly with the next steps. Thank you for your time!"
+    }
+  ],
+  computedFields: [
+    {
+      fieldId: 'applicant_age',
+      fieldName: 'Age',
+      expression: 'age(date_of_birth)',
+      decimals: 0
+    },
+    {
+      fieldId: 'emi',
+      fieldName: 'Estimated EMI',
+      expression: 'emi(loan_amount, 10.5, loan_tenure * 12)',
+      format: 'currency'
+    },
+    {
+      fieldId: 'debt_to_income',
+      fieldName: 'Debt-to-Income Ratio',
+      expression: '(emi + coalesce(existing_emi, 0)) / monthly_income * 100',
+      format: 'percent',
+      decimals: 1
     }
   ],
+  eligibility: {
+    rules: [
+      {
+        ruleId: 'age_at_maturity',
+        condition: 'applicant_age + loan_tenure > 65',
+        outcome: 'decline',
+        reasonCode: 'AGE_AT_MATURITY',
+        reason: 'the loan would run past your 65th birthday',
+        stop: true
+      },
+      {
+        ruleId: 'minimum_income',
+        condition: 'monthly_income < 15000',
+        outcome: 'decline',
+        reasonCode: 'LOW_INCOME',
+        reason: 'your monthly income is below our minimum of ₹15,000',
+        stop: true
+      },
+      {
+        ruleId: 'very_high_dti',
+        condition: 'debt_to_income > 60',
+        outcome: 'decline',
+        reasonCode: 'HIGH_DTI',
+        reason: 'your EMIs would take up more than 60% of your income',
+        stop: true
+      },
+      {
+        ruleId: 'new_business',
+        condition: "employment_type == 'Self-employed' and business_vintage < 3",
+        outcome: 'refer',
+        reasonCode: 'NEW_BUSINESS',
+        reason: 'your business has been running for less than 3 years'
+      },
+      { ruleId: 'strong_income', condition: 'monthly_income >= 50000', score: 20 },
+      { ruleId: 'low_dti', condition: 'debt_to_income <= 30', score: 20 },
+      {
+        ruleId: 'high_dti',
+        condition: 'debt_to_income > 45',
+        score: -30,
+        reasonCode: 'ELEVATED_DTI',
+        reason: 'your EMIs would take up a large share of your income'
+      },
+      { ruleId: 'owned_home', condition: "address_type == 'Owned'", score: 10 }
+    ],
+    baseScore: 50,
+    thresholds: {
+      eligible: 70,
+      refer: 40
+    },
+    messages: {
+      eligible: "Good news! Based on what you've told us, you're pre-qualified for a loan of {loan_amount}, with an estimated EMI of {emi} a month. We'll verify your documents and get back to you shortly with the next steps.",
+      refer: "Thank you! Your application needs a closer look from our team because {reasons}. We'll get back to you within two working days.",
+      decline: "Thank you for applying. Unfortunately we can't pre-approve this loan because {reasons}. You're welcome to apply again with a smaller amount or a longer tenure."
+    }
+  },
   isActive: true
 };
 
@@ -230,4 +600,5 @@ async function seedLoanFlow() {
   }
 }
 
+export { loanApplicationFlow };
 export default seedLoanFlow;
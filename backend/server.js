@@ -13,6 +13,8 @@ import conversationRoutes from './routes/conversations.js';
 import userRoutes from './routes/users.js';
 import onboardingRoutes from './routes/onboarding.js';
 import onboardingFlowRoutes from './routes/onboardingFlows.js';
+import nluRoutes from './routes/nlu.js';
+import aiService from './services/aiService.js';
 import { setupSocketHandlers } from './socket/socketHandlers.js';
 import logger from './utils/logger.js';
 
@@ -25,8 +27,8 @@ const io = new Server(server, {
   }
 });
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then train the intent classifier on the stored training data
+connectDB().then(() => aiService.loadStoredIntents());
 
 // Security middleware
 app.use(helmet());
@@ -58,6 +60,7 @@ app.use('/api/conversations', conversationRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/onboarding-flows', onboardingFlowRoutes);
+app.use('/api/nlu', nluRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -2,10 +2,67 @@ import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
 import OnboardingFlowConfig from '../models/OnboardingFlowConfig.js';
 import OnboardingProgress from '../models/OnboardingProgress.js';
+import User from '../models/User.js';
+import NluIntent from '../models/NluIntent.js';
+import reviewInboxService from './reviewInboxService.js';
+import { evaluateExpression } from '../utils/expression.js';
+import { parseDate, isIsoDate, calculateAge, formatDate } from '../utils/dateParser.js';
+import { parseAmount, formatAmount } from '../utils/amountParser.js';
+import { parsePhoneNumber, formatPhoneNumber } from '../utils/phoneParser.js';
+import { parsePan, parseAadhaar, parseIfsc, parsePincode, formatAadhaar, describeIdError } from '../utils/indianIds.js';
+import { lookupPincode } from '../utils/pincodeLookup.js';
+import { normalizeOptions, matchOption, matchOptions } from '../utils/optionMatcher.js';
+import { parseBoolean, parseRating, splitListEntries, isListDone } from '../utils/answerParser.js';
+import { ADDRESS_PART_LABELS, parseAddress, normalizeState, completeFromPincode, formatAddress } from '../utils/addressParser.js';
+import { COMPUTED_FUNCTIONS, computeValues, formatComputedValue } from '../utils/computedFields.js';
+import { evaluateDecision } from '../utils/decisionEngine.js';
+import { readProfileValue, writeProfileValue } from '../utils/userProfile.js';
+import { trainIntentClassifier, classifyText } from '../utils/intentClassifier.js';
+import { parseFollowUp, findTopicMention, updateDialogueState } from '../utils/dialogueState.js';
 
 class AIService {
   constructor() {
-    // Simple keyword-based intent recognition
+    // Example utterances the intent classifier is trained on
+    this.intentExamples = {
+      greeting: ['hello', 'hi', 'hey', 'hi there', 'hello there', 'hey there', 'good morning', 'good afternoon',
+        'good evening', 'namaste', 'hi, how are you', 'hello, anyone there?'],
+      help: ['help', 'help me', 'i need help', 'can you help me', 'can you assist me', 'i need some assistance',
+        'i need support', 'what can you do', 'how can you help me', 'please guide me', 'how to do this', 'i am stuck, help'],
+      question: ['what is the company about', 'what are the benefits', 'tell me about the benefits',
+        'what is the leave policy', 'how does the health insurance work', 'when is payday', 'where is the office',
+        'why do you need this', 'explain the policy', 'tell me about the company', 'what are the working hours',
+        'what about health insurance', 'what perks do we get', 'tell me more'],
+      gratitude: ['thanks', 'thank you', 'thank you so much', 'thanks a lot', 'many thanks', 'i appreciate it',
+        'really appreciate your help', 'that was helpful, thanks', 'grateful for the help', 'cheers'],
+      farewell: ['bye', 'goodbye', 'bye bye', 'see you', 'see you later', 'talk to you later', 'farewell',
+        'exit', 'i have to go', 'good night', 'catch you later'],
+      learning: ['i want to learn', 'teach me', 'show me how', 'i want a tutorial', 'show me around',
+        'what should i learn first', 'i would like to learn about the tools', 'walk me through my role',
+        'where can i find training material'],
+      confusion: ['i am confused', 'im confused', 'i dont understand', 'i do not understand', 'this is unclear',
+        'that is confusing', 'this is difficult', 'this is too hard', 'what do you mean', 'i am lost', 'huh?',
+        'that makes no sense'],
+      confirmation: ['yes', 'yeah', 'yep', 'yes please', 'correct', 'that is correct', 'thats right', 'right',
+        'yes that is right', 'all correct', 'looks good', 'all good', 'perfect', 'ok', 'okay', 'sure', 'confirm',
+        'i confirm', 'go ahead', 'proceed', 'yes, proceed', 'everything is correct'],
+      correction: ['no', 'nope', 'wrong', 'that is wrong', 'incorrect', 'that is incorrect', 'not right',
+        'this is not right', 'thats not correct', 'no, that is wrong', 'change it', 'i want to change something',
+        'change my email', 'modify my phone number', 'edit my address', 'update my name', 'the date is wrong',
+        'no, my name is spelled differently', 'change my date of birth to 3 march 1990', 'change dob to 12/05/1988',
+        'my email should be ravi@example.com', 'email should be priya@gmail.com', 'wrong mobile, its 98765 43210',
+        'the mobile number should be 9123456789', 'change the loan amount to 5 lakh', 'update my pan to abcde1234f',
+        'the pincode is wrong, it should be 560001', 'no, my income is 60000'],
+      start_flow: ['start', 'lets start', 'begin', 'lets begin', 'ready', 'i am ready', 'lets go',
+        'start my application', 'i want to apply', 'apply for a loan', 'continue', 'continue my application',
+        'get started', 'start the process'],
+      skip: [ // Whole messages only, see isSkipRequest
+        'skip', 'skip this', 'skip it', 'next', 'pass', 'not applicable', 'n/a', 'i would rather not say',
+        'prefer not to say', 'leave it blank', 'i dont have one'],
+      go_back: ['go back', 'back', 'undo', 'previous', 'previous question', 'previous step', 'take me back',
+        'go to the previous question', 'undo that', 'i want to go back']
+    };
+
+    // Keywords that make a short message a command while answers are being collected
     this.intentKeywords = {
       greeting: ['hello', 'hi', 'hey', 'good morning', 'good afternoon', 'good evening'],
       help: ['help', 'assist', 'support', 'guide', 'how to'],
@@ -17,8 +74,125 @@ class AIService {
       confirmation: ['yes', 'correct', 'right', 'that\'s right', 'confirm', 'proceed', 'go ahead'],
       correction: ['no', 'wrong', 'incorrect', 'change', 'modify', 'edit', 'update'],
       start_flow: ['start', 'begin', 'ready', 'let\'s go', 'proceed', 'continue'],
-      skip: ['skip', 'next', 'pass', 'not applicable', 'n/a']
+      skip: [ // Whole messages only, see isSkipRequest
+        'skip', 'skip this', 'skip it', 'skip this one', 'skip this question', 'not applicable', 'n/a',
+        'rather not say', 'i would rather not say', 'id rather not say', 'prefer not to say', 'i prefer not to say'],
+      go_back: [ // Whole messages only, see isGoBackRequest
+        'go back', 'undo', 'undo that', 'previous question', 'previous step', 'take me back',
+        'go to the previous question', 'i want to go back', 'can we go back']
+    };
+
+    // Field types that can be picked out of a longer message, most specific first
+    // Aadhaar goes before phone: a 12-digit Aadhaar starting with 91 also reads as a phone number
+    // Words between a field's name and its new value in a correction, or in
+    // place of the value: "name is wrong" gives no value, "dob should be ..."
+    // and "name is wrong, it's ..." give the value after them
+    this.correctionLeadIn = /^[\s:=,.-]*(?:(?:(?:should|must)\s+(?:be|read)|to|is|as|spelled|spelt|wrong|incorrect|not\s+(?:right|correct)|a\s+(?:mistake|typo)|mistyped|misspelled|it(?:['’]?s|\s+is|\s+should\s+be)|actually)\b[\s:=,.!-]*)*/i;
+    
+    // Lead-ins to a free-text answer: "my account number is", "it's"
+    this.answerLeadIn = /^(?:(?:my|the)\s+(?:[a-z-]+\s+){0,3}?(?:is|are)|it\s+is|it['’]?s)\s+/i;
+    
+    this.slotExtractionOrder = ['email', 'aadhaar', 'phone', 'pan', 'ifsc', 'date', 'currency', 'pincode', 'select'];
+
+    // Intents below minConfidence are reported as 'unknown'. Outside a flow, a
+    // best intent below clarifyBelow, or within clarifyMargin of the next one,
+    // is checked with the user first; other intents below clarifyMinConfidence
+    // are not offered as choices.
+    this.intentOptions = {
+      topK: 3,
+      minConfidence: 0.3,
+      clarifyBelow: parseFloat(process.env.INTENT_CLARIFY_THRESHOLD) || 0.6,
+      clarifyMargin: parseFloat(process.env.INTENT_CLARIFY_MARGIN) || 0.2,
+      clarifyMinConfidence: 0.1
+    };
+
+    // How intents are offered when asking which one the user meant: the quick
+    // reply label, and the phrase for "Did you want ...?"
+    this.intentChoices = {
+      greeting: { label: 'Just saying hello', phrase: 'to say hello' },
+      help: { label: 'Get help', phrase: 'help' },
+      question: { label: 'Ask a question', phrase: 'to ask a question' },
+      gratitude: { label: 'Say thanks', phrase: 'to say thanks' },
+      farewell: { label: 'Say goodbye', phrase: 'to say goodbye' },
+      learning: { label: 'Learn something', phrase: 'to learn about something' },
+      confusion: { label: 'Explain that', phrase: 'me to explain something' },
+      start_flow: { label: 'Start my application', phrase: 'to start your application' }
     };
+    this.flowCommandIntents = ['confirmation', 'correction', 'skip', 'go_back'];
+
+    // What general questions can be about. A topic is brought up by its
+    // keywords or by one of its subjects; entity is the entity type a mention
+    // of a subject is reported as; more answers "tell me more" after the
+    // overview.
+    this.topics = {
+      company: {
+        entity: 'company',
+        keywords: ['company', 'organization', 'organisation'],
+        overview: "Our company is focused on innovation and growth. We value collaboration, creativity, and continuous learning. Is there something specific about the company you'd like to know?",
+        more: "I can tell you about our culture and values, or about how our teams are organised. Which would you like to hear about?",
+        subjects: {
+          'culture and values': {
+            synonyms: ['culture', 'values', 'work culture', 'mission'],
+            answer: "We believe in collaboration, creativity, and continuous learning. Teams are encouraged to share ideas openly, and everyone's voice counts, whatever their role."
+          },
+          teams: {
+            synonyms: ['team', 'departments', 'department', 'org structure', 'structure'],
+            answer: "We're organised into small teams, each with a team lead who is your first point of contact. Your manager will introduce you to your team and the people you'll work with most in your first week."
+          }
+        }
+      },
+      benefits: {
+        entity: 'benefit',
+        keywords: ['benefits', 'benefit', 'perks', 'perk'],
+        overview: "We offer comprehensive benefits including health insurance, retirement plans, flexible working hours, and professional development opportunities. Would you like more details about any specific benefit?",
+        more: "Our benefits include health insurance, retirement plans, flexible working hours and professional development. Which one would you like to know more about?",
+        subjects: {
+          'health insurance': {
+            synonyms: ['insurance', 'medical insurance', 'health cover', 'medical cover', 'mediclaim', 'health'],
+            answer: "Health insurance covers you from your first day, and you can add your family members to the plan. HR will share the policy details and your insurance card during your first week."
+          },
+          'retirement plans': {
+            synonyms: ['retirement', 'pension', 'provident fund', 'pf', 'gratuity'],
+            answer: "You'll be enrolled in the provident fund, with contributions from both you and the company, and you become eligible for gratuity after five years of service."
+          },
+          'flexible working hours': {
+            synonyms: ['flexible hours', 'flexible working', 'flexi hours', 'flexitime', 'flexibility'],
+            answer: "Outside a few core hours for meetings, you can plan your working day with your team. Your manager will explain how your team works."
+          },
+          'professional development': {
+            synonyms: ['development', 'learning budget', 'training budget', 'courses', 'certifications', 'conferences'],
+            answer: "Each year you have a learning budget for courses, certifications, and conferences. Talk to your manager about what would help you grow in your role."
+          }
+        }
+      },
+      policies: {
+        entity: 'policy',
+        keywords: ['policies', 'policy', 'rules'],
+        overview: "We have various policies covering work hours, remote work, code of conduct, and more. Which policy would you like to learn about?",
+        more: "I can tell you about the leave policy, working hours, remote work or the code of conduct. Which one would you like to know more about?",
+        subjects: {
+          leave: {
+            synonyms: ['leave policy', 'leaves', 'holidays', 'vacation', 'time off', 'sick leave'],
+            answer: "You get paid leave for vacation and for sickness, plus the company's public holidays. Leave is requested through the HR portal and approved by your manager."
+          },
+          'working hours': {
+            synonyms: ['work hours', 'office hours', 'timings', 'office timings'],
+            answer: "The working day is eight hours, including a lunch break. Your team agrees its core hours, when everyone is available for meetings."
+          },
+          'remote work': {
+            synonyms: ['remote', 'work from home', 'wfh', 'hybrid'],
+            answer: "Most teams work hybrid, with some days in the office each week. Your manager will tell you how your team arranges it."
+          },
+          'code of conduct': {
+            synonyms: ['conduct', 'behaviour', 'behavior', 'ethics'],
+            answer: "The code of conduct asks everyone to treat colleagues with respect, act with integrity, and raise concerns without fear. You'll be asked to read and acknowledge it in your first week."
+          }
+        }
+      }
+    };
+    this.storedIntents = []; // Admin-managed intents from the database, see loadStoredIntents
+    this.addedIntentExamples = {}; // Examples added at runtime with addIntentExamples
+    this.retrainIntentClassifier();
   }
 
   async processMessage(message, context = {}) {
@@ -33,17 +207,58 @@ class AIService {
       // Basic text preprocessing
       const processedText = this.preprocessText(message);
       
+      // What the conversation has been about, to read follow-ups against
+      const dialogueState = this.getDialogueState(context);
+      
+      // A reply to "Did you want ...?" is about the message that was asked about
+      const pending = context.pendingClarification;
+      const choice = pending ? this.resolveClarification(message, pending) : null;
+      if (choice) {
+        return await this.answerClarification(choice, pending, context, dialogueState, startTime);
+      }
+      
+      // "Tell me more" or "and what about ...?" is a question on the previous topic
+      const followUp = this.resolveFollowUp(processedText, dialogueState);
+      
       // Intent classification
-      const intent = this.classifyIntent(processedText);
+      const intent = followUp ? { name: 'question', confidence: 1, alternatives: [] } : this.classifyIntent(processedText);
+      const topicMention = followUp || findTopicMention(this.topics, processedText, dialogueState.topic);
       
       // Sentiment analysis
       const sentiment = this.analyzeSentiment(processedText);
       
       // Entity extraction
-      const entities = this.extractEntities(processedText);
+      const entities = [...this.extractEntities(processedText), ...this.getTopicEntities(topicMention)];
+      
+      // Ask rather than guess when the best intents are unlikely or close
+      const options = this.getClarificationOptions(intent);
+      if (options.length > 0) {
+        return {
+          id: uuidv4(),
+          content: this.getClarificationQuestion(options),
+          role: 'assistant',
+          timestamp: new Date(),
+          metadata: {
+            intent,
+            confidence: intent.confidence,
+            entities,
+            sentiment,
+            processingTime: Date.now() - startTime,
+            quickReplies: [...options.map(name => this.describeIntent(name).label), 'Something else'],
+            pendingClarification: { text: message, options, askedAt: new Date() },
+            dialogueState,
+            context
+          }
+        };
+      }
+      
+      // Messages no intent was recognised in go to the review inbox
+      if (intent.name === 'unknown') {
+        reviewInboxService.record({ kind: 'intent', text: message, sessionId: context.sessionId, userId: context.userId });
+      }
       
       // Generate response
-      const response = await this.generateResponse(processedText, intent, sentiment, entities, context);
+      const response = await this.generateResponse(processedText, intent, sentiment, entities, { ...context, topicMention });
       
       const processingTime = Date.now() - startTime;
       
@@ -58,6 +273,7 @@ class AIService {
           entities,
           sentiment,
           processingTime,
+          dialogueState: updateDialogueState(dialogueState, { intent: intent.name, entities, mention: topicMention }),
           context
         }
       };
@@ -88,7 +304,17 @@ class AIService {
     }
   }
 
+  // Computed values are brought up to date with the answers a message gave
+  // before they fill the {field_id} placeholders of the reply
   async processOnboardingMessage(message, context) {
+    const { onboardingProgress, flowConfig } = context;
+    const response = await this.handleOnboardingMessage(message, context);
+    
+    await this.refreshComputedValues(onboardingProgress, flowConfig);
+    return { ...response, content: this.fillTemplate(response.content, onboardingProgress, flowConfig) };
+  }
+
+  async handleOnboardingMessage(message, context) {
     try {
       const { onboardingProgress, flowConfig } = context;
       const currentStep = flowConfig.steps.find(step => step.stepId === onboardingProgress.currentStep);
@@ -99,14 +325,49 @@ class AIService {
 
       const intent = this.classifyIntent(message.toLowerCase());
       
-      // Handle confirmation responses
-      if (intent.name === 'confirmation' && currentStep.isCheckpoint) {
+      // Handle "go back" / "undo" navigation
+      if (this.isGoBackRequest(message)) {
+        return await this.handleGoBack(onboardingProgress, currentStep, flowConfig);
+      }
+      
+      // Handle the answer to "is that right?" after fields were autofilled
+      const pendingAutofill = onboardingProgress.pendingAutofill;
+      if (pendingAutofill && pendingAutofill.stepId === currentStep.stepId) {
+        return await this.handleAutofillConfirmation(message, onboardingProgress, currentStep, flowConfig);
+      }
+      
+      // Handle answers to fields asked again after a validation rule failed
+      const pendingRecheck = onboardingProgress.pendingRecheck;
+      if (pendingRecheck && pendingRecheck.stepId === currentStep.stepId && pendingRecheck.fieldIds.length > 0) {
+        return await this.handleRecheckAnswer(message, onboardingProgress, currentStep, flowConfig);
+      }
+      
+      // The summary being confirmed is the current step's, unless a recheck
+      // changed an earlier checkpoint's answers; that one is confirmed again first
+      const reviewStep = this.findReopenedStep(onboardingProgress, currentStep, flowConfig) || currentStep;
+      
+      // Handle the new value of a field the user asked to correct
+      const pendingCorrection = onboardingProgress.pendingCorrection;
+      if (pendingCorrection && pendingCorrection.stepId === reviewStep.stepId && pendingCorrection.fieldId) {
+        return await this.handleCorrectionAnswer(message, intent, onboardingProgress, reviewStep, flowConfig);
+      }
+      
+      // Handle confirmation responses, once there is a complete step to confirm
+      const stepComplete = !this.getNextFieldToCollect(currentStep, onboardingProgress);
+      if (intent.name === 'confirmation' && currentStep.isCheckpoint && stepComplete) {
+        if (reviewStep !== currentStep) {
+          return await this.handleReopenedStepConfirmation(onboardingProgress, reviewStep, currentStep, flowConfig);
+        }
         return await this.handleStepConfirmation(onboardingProgress, currentStep, flowConfig);
       }
       
-      // Handle correction responses
-      if (intent.name === 'correction' && currentStep.isCheckpoint) {
-        return this.createResponse("I understand you'd like to make changes. Please tell me which information needs to be corrected.");
+      // Handle correction responses; before that, "no" is an answer to the current question
+      if (currentStep.isCheckpoint && stepComplete && this.isCheckpointCorrection(message, intent, onboardingProgress, reviewStep, flowConfig)) {
+        return await this.handleFieldCorrection(message, onboardingProgress, reviewStep, flowConfig);
+      }
+      
+      if (reviewStep !== currentStep && stepComplete) {
+        return await this.showStepConfirmation(onboardingProgress, reviewStep, flowConfig);
       }
       
       // Handle data collection
@@ -114,163 +375,1630 @@ class AIService {
         return await this.handleDataCollection(message, onboardingProgress, currentStep, flowConfig);
       }
       
-      // Handle completion
-      if (currentStep.stepType === 'completion') {
-        return this.createResponse(currentStep.confirmationMessage || flowConfig.completionMessage);
+      // Handle completion
+      if (currentStep.stepType === 'completion') {
+        return this.createResponse(this.getCompletionMessage(currentStep, onboardingProgress, flowConfig));
+      }
+      
+      return this.createResponse("I'm not sure how to help with that. Could you please provide the information I asked for?");
+      
+    } catch (error) {
+      logger.error('Onboarding message processing error:', error);
+      return this.createResponse("I encountered an error processing your response. Please try again.");
+    }
+  }
+
+  async handleDataCollection(message, onboardingProgress, currentStep, flowConfig) {
+    const currentStepProgress = onboardingProgress.getCurrentStepProgress();
+    
+    if (!currentStepProgress) {
+      this.startStepProgress(onboardingProgress, currentStep);
+      
+      // What the user's profile already holds is confirmed rather than asked for
+      const prefilled = await this.prefillFromProfile(onboardingProgress, currentStep, flowConfig);
+      if (prefilled.length > 0) {
+        return await this.confirmAutofill(onboardingProgress, currentStep, prefilled);
+      }
+    }
+    
+    // Find the next field to collect
+    const nextField = this.getNextFieldToCollect(currentStep, onboardingProgress);
+    
+    if (!nextField) {
+      // All fields collected, show confirmation
+      return await this.showStepConfirmation(onboardingProgress, currentStep, flowConfig);
+    }
+    
+    // An address missing a required part is completed one part at a time
+    if (this.getMissingAddressParts(nextField, onboardingProgress).length > 0) {
+      return await this.handleAddressFollowUp(message, onboardingProgress, currentStep, nextField, flowConfig);
+    }
+    
+    // A list being collected takes entries until the user says they're done
+    if (nextField.fieldType === 'list' && this.findFieldData(onboardingProgress, nextField.fieldId)) {
+      return await this.handleListEntry(message, onboardingProgress, currentStep, nextField, flowConfig);
+    }
+    
+    // A group collects its records one field at a time and handles skipping itself
+    if (nextField.fieldType === 'group') {
+      return await this.handleGroupEntry(message, onboardingProgress, currentStep, nextField, flowConfig);
+    }
+    
+    // Skipping is allowed for optional fields only; "no" answers a yes/no question
+    const isBooleanAnswer = nextField.fieldType === 'boolean' && parseBoolean(message);
+    if (this.isSkipRequest(message) && !isBooleanAnswer) {
+      if (nextField.required) {
+        return this.createResponse(`I'm sorry, ${nextField.fieldName} is required, so I can't skip it. ${nextField.prompt}`);
+      }
+      
+      const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+      await onboardingProgress.skipFieldData(currentStep.stepId, nextField.fieldId);
+      await onboardingProgress.recordAnswer(currentStep.stepId, [nextField.fieldId], snapshot);
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, 'No problem, I\'ll leave that out.');
+    }
+    
+    if (nextField.fieldType === 'list') {
+      return await this.handleListEntry(message, onboardingProgress, currentStep, nextField, flowConfig);
+    }
+    
+    // Fill every remaining field we can find in the message, not just the one we asked for
+    const remainingFields = this.getRemainingFields(currentStep, onboardingProgress);
+    const extractedSlots = this.extractSlotValues(message, remainingFields, nextField, this.getExtractionOptions(flowConfig));
+    
+    // Only values that pass the field's validation rules are stored
+    const filledSlots = [];
+    const rejectedSlots = [];
+    extractedSlots.forEach(slot => {
+      const error = this.validateFieldValue(slot.value, slot.field);
+      if (error) {
+        rejectedSlots.push({ ...slot, error });
+      } else {
+        filledSlots.push(slot);
+      }
+    });
+    
+    const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+    for (const slot of filledSlots) {
+      await onboardingProgress.updateFieldData(currentStep.stepId, slot.field.fieldId, slot.value, {
+        rawValue: slot.rawValue,
+        meta: slot.meta
+      });
+    }
+    
+    // A PIN code in an answer fills in city, district and state from the offline dataset
+    const autofilled = [];
+    for (const slot of filledSlots) {
+      autofilled.push(...this.getAddressAutofillItems(slot.field, slot.value, slot.meta));
+      autofilled.push(...await this.applyPincodeAutofill(onboardingProgress, currentStep, slot.field, slot.value));
+    }
+    
+    if (filledSlots.length > 0) {
+      await onboardingProgress.recordAnswer(currentStep.stepId, [
+        ...filledSlots.map(slot => slot.field.fieldId),
+        ...autofilled.map(item => item.field.fieldId)
+      ], snapshot);
+    }
+    
+    if (rejectedSlots.length > 0) {
+      return this.createResponse(rejectedSlots[0].error);
+    }
+    
+    if (filledSlots.length > 0) {
+      const noted = filledSlots.length > 1
+        ? `Thanks, I've noted your ${filledSlots.map(slot => slot.field.fieldName).join(', ')}.`
+        : '';
+      
+      if (autofilled.length > 0) {
+        return await this.confirmAutofill(onboardingProgress, currentStep, autofilled, noted);
+      }
+      
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, noted);
+    } else {
+      // Could not extract value, ask for clarification
+      return this.unrecognizedAnswer(message, onboardingProgress, nextField);
+    }
+  }
+
+  startStepProgress(onboardingProgress, step) {
+    onboardingProgress.stepProgress.push({
+      stepId: step.stepId,
+      stepName: step.stepName,
+      status: 'in_progress',
+      startedAt: new Date(),
+      fieldData: []
+    });
+  }
+
+  // Fills the fields mapped to the user's record with `profileField` when a
+  // step starts. A profile value is read like an answer, so one that is not in
+  // the field's format or fails its rules is left to be asked for. Returns the
+  // filled values in the shape confirmAutofill lists them.
+  async prefillFromProfile(onboardingProgress, step, flowConfig) {
+    const fields = this.getVisibleFields(step, onboardingProgress)
+      .filter(field => field.profileField && !this.findFieldData(onboardingProgress, field.fieldId));
+    if (fields.length === 0) return [];
+    
+    let user;
+    try {
+      user = await User.findById(onboardingProgress.userId);
+    } catch (error) {
+      logger.error('Profile prefill error:', error);
+      return [];
+    }
+    
+    const options = this.getExtractionOptions(flowConfig);
+    const prefilled = [];
+    for (const field of fields) {
+      const profileValue = readProfileValue(user, field.profileField);
+      const match = profileValue && this.extractFieldMatch(profileValue, field, options);
+      if (!match || match.value === null || this.validateFieldValue(match.value, field)) continue;
+      
+      if (!onboardingProgress.stepProgress.some(stepProgress => stepProgress.stepId === step.stepId)) {
+        this.startStepProgress(onboardingProgress, step);
+      }
+      await onboardingProgress.updateFieldData(step.stepId, field.fieldId, match.value, {
+        rawValue: match.rawValue || match.text,
+        meta: { ...match.meta, prefilledFrom: field.profileField }
+      });
+      prefilled.push({
+        field,
+        value: this.formatFieldValue(field, this.findFieldData(onboardingProgress, field.fieldId)).trim()
+      });
+    }
+    
+    if (prefilled.length > 0) {
+      await onboardingProgress.recordAnswer(step.stepId, prefilled.map(item => item.field.fieldId));
+    }
+    return prefilled;
+  }
+
+  // Writes a confirmed step's answers back to the user's record for fields
+  // marked `updateProfile`. A failed write is logged and does not hold up the flow.
+  async updateUserProfile(onboardingProgress, step) {
+    const fields = this.getVisibleFields(step, onboardingProgress)
+      .filter(field => field.profileField && field.updateProfile);
+    if (fields.length === 0) return;
+    
+    try {
+      const user = await User.findById(onboardingProgress.userId);
+      if (!user) return;
+      
+      const updated = fields.filter(field => {
+        const fieldData = this.findFieldData(onboardingProgress, field.fieldId);
+        if (!fieldData || fieldData.skipped || fieldData.value === null || fieldData.value === undefined) return false;
+        
+        // Structured answers such as addresses are stored as their text
+        const value = typeof fieldData.value === 'object'
+          ? this.formatFieldValue(field, fieldData).trim().replace(/\s*\n\s*/g, ', ')
+          : fieldData.value;
+        return writeProfileValue(user, field.profileField, value);
+      });
+      
+      if (updated.length > 0) {
+        await user.save();
+        logger.info(`Updated ${updated.map(field => field.profileField).join(', ')} for user ${user._id} from session ${onboardingProgress.sessionId}`);
+      }
+    } catch (error) {
+      logger.error('Profile update error:', error);
+    }
+  }
+
+  // Asks for the next field still missing in the step, or shows the
+  // checkpoint summary once everything has been collected
+  async askNextField(onboardingProgress, currentStep, flowConfig, prefix = '') {
+    // showIf conditions may use computed values that the last answer changed
+    await this.refreshComputedValues(onboardingProgress, flowConfig);
+    const nextField = this.getNextFieldToCollect(currentStep, onboardingProgress);
+    
+    if (!nextField) {
+      const confirmation = await this.showStepConfirmation(onboardingProgress, currentStep, flowConfig);
+      return prefix ? this.createResponse(`${prefix} ${confirmation.content}`) : confirmation;
+    }
+    
+    const prompt = this.getFieldPrompt(nextField, onboardingProgress);
+    return this.createResponse(prefix ? `${prefix} ${prompt}` : prompt);
+  }
+
+  // Optional fields tell the user they can be skipped. An address that is
+  // missing a part asks for just that part, and a group that was started asks
+  // for the next field of its record.
+  getFieldPrompt(field, onboardingProgress) {
+    const missingParts = onboardingProgress ? this.getMissingAddressParts(field, onboardingProgress) : [];
+    if (missingParts.length > 0) return this.getAddressPartPrompt(missingParts[0]);
+    
+    const groupData = field.fieldType === 'group' && onboardingProgress && this.findFieldData(onboardingProgress, field.fieldId);
+    if (groupData) return this.getGroupPrompt(field, groupData, onboardingProgress);
+    
+    const prompt = field.required
+      ? field.prompt
+      : `${field.prompt} (This one is optional, just say "skip" to leave it out.)`;
+    if (field.fieldType === 'group') {
+      const [firstField] = this.getRemainingGroupFields(field, {}, onboardingProgress);
+      return firstField ? `${prompt} ${this.getFieldPrompt(firstField)}` : prompt;
+    }
+    return field.listOptions ? `${prompt}\n${this.listSelectOptions(field)}` : prompt;
+  }
+
+  // "1. Owned\n2. Rented\n..." for select fields that can be answered by number
+  listSelectOptions(field) {
+    return normalizeOptions((field.validation && field.validation.options) || [])
+      .map((option, index) => `${index + 1}. ${option.value}`)
+      .join('\n');
+  }
+
+  // "Male, Female or Other"
+  formatChoices(values, conjunction = 'or') {
+    if (values.length <= 1) return values.join('');
+    return `${values.slice(0, -1).join(', ')} ${conjunction} ${values[values.length - 1]}`;
+  }
+
+  // A message that is nothing but a skip phrase ("skip", "n/a", "rather not
+  // say"), maybe with "please". Anything else, "no" and "none" included, is
+  // read as an answer.
+  isSkipRequest(message) {
+    return this.isCommandPhrase(message, 'skip');
+  }
+
+  // A message that is nothing but a go-back phrase ("go back", "undo"), so
+  // an answer such as "5000 paid back monthly" is never taken for one
+  isGoBackRequest(message) {
+    return this.isCommandPhrase(message, 'go_back');
+  }
+
+  // Whether the whole message, less "please" and end punctuation, is one of
+  // the intent's keywords
+  isCommandPhrase(message, intentName) {
+    const phrase = message.toLowerCase().trim()
+      .replace(/[.!?]+$/, '')
+      .replace(/['’]/g, '')
+      .replace(/^(?:please|pls)\s+|\s+(?:please|pls)$/g, '')
+      .replace(/\s+/g, ' ');
+    
+    return this.intentKeywords[intentName].includes(phrase);
+  }
+
+  // Short messages containing one of an intent's keywords as whole words, so
+  // "next to the temple" in an address is not taken as a command
+  isCommand(message, intentName) {
+    const lowerMessage = message.toLowerCase().trim().replace(/[.!]+$/, '');
+    if (lowerMessage.split(/\s+/).length > 4) return false;
+    
+    return this.intentKeywords[intentName].some(keyword =>
+      new RegExp(`(^|\\s)${this.escapeRegExp(keyword)}(\\s|$)`).test(lowerMessage)
+    );
+  }
+
+  // Walks the progress history backwards: the last answer in the current step is
+  // re-opened first, then the previous step the user actually came from
+  async handleGoBack(onboardingProgress, currentStep, flowConfig) {
+    const groupUndo = await this.undoGroupAnswer(onboardingProgress, flowConfig);
+    if (groupUndo) return groupUndo;
+    
+    const entry = await onboardingProgress.goBack();
+    
+    if (!entry) {
+      const resume = await this.askNextField(onboardingProgress, currentStep, flowConfig);
+      return this.createResponse(`We're at the very beginning, so there's nothing to go back to. ${resume.content}`);
+    }
+    
+    const step = flowConfig.steps.find(s => s.stepId === entry.stepId);
+    if (!step) {
+      return this.createResponse("I'm sorry, I couldn't find the previous step. Could you please provide the information I asked for?");
+    }
+    
+    if (entry.action === 'answer') {
+      const field = step.fields.find(f => f.fieldId === entry.fieldIds[0]);
+      return this.createResponse(`Okay, let's redo that. ${field ? this.getFieldPrompt(field) : ''}`.trim());
+    }
+    
+    if (entry.action === 'correction') {
+      const names = step.fields.filter(f => entry.fieldIds.includes(f.fieldId)).map(f => f.fieldName).join(', ');
+      const reviewStep = this.findReopenedStep(onboardingProgress, currentStep, flowConfig) || currentStep;
+      const confirmation = await this.showStepConfirmation(onboardingProgress, reviewStep, flowConfig);
+      return this.createResponse(`Okay, I've undone the change to your ${names}. ${confirmation.content}`);
+    }
+    
+    // Back in a previous step: checkpoints show their summary again so the user
+    // can correct and re-confirm it, other steps re-open their last answer
+    if (step.isCheckpoint) {
+      const confirmation = await this.showStepConfirmation(onboardingProgress, step, flowConfig);
+      return this.createResponse(`Sure, let's go back to ${step.stepName}. ${confirmation.content}`);
+    }
+    
+    return await this.handleGoBack(onboardingProgress, step, flowConfig);
+  }
+
+  // Checks a value against the rules declared in field.validation. Returns the
+  // re-prompt for the first rule that fails, or null when the value is acceptable.
+  validateFieldValue(value, field) {
+    const validation = field.validation || {};
+    const messages = validation.messages || {};
+    const text = String(value);
+    
+    if (field.fieldType === 'date') {
+      const dateError = this.validateDateValue(value, field);
+      if (dateError) return dateError;
+    }
+    
+    if (validation.minLength && text.length < validation.minLength) {
+      return messages.minLength ||
+        `Your ${field.fieldName} should be at least ${validation.minLength} characters long. ${field.prompt}`;
+    }
+    
+    if (validation.maxLength && text.length > validation.maxLength) {
+      return messages.maxLength ||
+        `Your ${field.fieldName} can be at most ${validation.maxLength} characters long. ${field.prompt}`;
+    }
+    
+    const pattern = this.getFieldPattern(field);
+    if (pattern && !pattern.test(text)) {
+      return messages.pattern || `That doesn't look like a valid ${field.fieldName}. ${field.prompt}`;
+    }
+    
+    return null;
+  }
+  
+  // The field's validation pattern, or null when it has none or it is invalid
+  getFieldPattern(field) {
+    const source = field.validation && field.validation.pattern;
+    if (!source) return null;
+    
+    try {
+      return new RegExp(source);
+    } catch (error) {
+      logger.warn(`Ignoring invalid validation pattern for field "${field.fieldId}": ${source}`);
+      return null;
+    }
+  }
+  
+  // The whole message when it matches the pattern, else the first word-bounded
+  // part of it that does, e.g. the digits in "it's 123456789012" for ^\d{9,18}$
+  findPatternMatch(message, pattern) {
+    if (pattern.test(message)) return message;
+    
+    const core = pattern.source.replace(/^\^/, '').replace(/(?<!\\)\$$/, '');
+    const search = new RegExp(`(?<!\\w)(?:${core})(?!\\w)`, `g${pattern.flags.replace('g', '')}`);
+    const candidates = [...message.matchAll(search)].map(match => match[0]);
+    return candidates.find(candidate => pattern.test(candidate)) || null;
+  }
+
+  // Fills the fields named in `field.autofill` from the PIN code in the value.
+  // Values the user typed themselves are never overwritten. Returns the
+  // fields that were filled as [{ field, value, pincode }].
+  async applyPincodeAutofill(onboardingProgress, currentStep, field, value) {
+    const targets = field.autofill || {};
+    const parts = ['city', 'district', 'state'].filter(part => targets[part]);
+    if (parts.length === 0 || value === null || value === undefined) return [];
+    
+    const pincodeMatch = parsePincode(typeof value === 'object' ? String(value.pincode || '') : String(value));
+    const place = pincodeMatch && lookupPincode(pincodeMatch.value);
+    if (!place) return [];
+    
+    const stepProgress = onboardingProgress.stepProgress.find(step => step.stepId === currentStep.stepId);
+    const filled = [];
+    for (const part of parts) {
+      const target = currentStep.fields.find(f => f.fieldId === targets[part]);
+      if (!target || !place[part]) continue;
+      
+      const existing = stepProgress && stepProgress.fieldData.find(f => f.fieldId === target.fieldId);
+      if (existing && !(existing.meta && existing.meta.autofilledFrom)) continue;
+      
+      await onboardingProgress.updateFieldData(currentStep.stepId, target.fieldId, place[part], {
+        rawValue: place.pincode,
+        meta: { autofilledFrom: field.fieldId, pincode: place.pincode }
+      });
+      filled.push({ field: target, value: place[part], pincode: place.pincode });
+    }
+    
+    return filled;
+  }
+
+  // Lists the values filled in from a PIN code or the user's profile and asks
+  // the user to confirm them
+  async confirmAutofill(onboardingProgress, currentStep, autofilled, prefix = '') {
+    const fieldIds = [...new Set(autofilled.map(item => item.field.fieldId))];
+    await onboardingProgress.setPendingAutofill(currentStep.stepId, fieldIds);
+    
+    const intro = autofilled[0].pincode
+      ? `Going by PIN code ${autofilled[0].pincode}, I've filled in:`
+      : 'I have these details from your profile:';
+    const filledList = autofilled.map(item => `${item.label || item.field.fieldName}: ${item.value}`).join('\n');
+    return this.createResponse(`${prefix} ${intro}\n${filledList}\nIs that right?`.trim());
+  }
+
+  // "Yes" keeps the autofilled values. "No" clears them so they are asked for
+  // one by one; any other reply is taken as the answer to the first of them.
+  async handleAutofillConfirmation(message, onboardingProgress, currentStep, flowConfig) {
+    const { fieldIds } = onboardingProgress.pendingAutofill;
+    await onboardingProgress.clearPendingAutofill();
+    
+    const rejected = this.isCommand(message, 'correction');
+    if (!rejected && this.isCommand(message, 'confirmation')) {
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, 'Great.');
+    }
+    
+    for (const fieldId of fieldIds) {
+      const field = currentStep.fields.find(f => f.fieldId === fieldId);
+      if (field && field.fieldType === 'address') {
+        await this.removeAutofilledAddressParts(onboardingProgress, currentStep, field);
+      } else {
+        await onboardingProgress.removeFieldData(currentStep.stepId, fieldId);
+      }
+    }
+    
+    if (rejected) {
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, 'Okay, let\'s fill those in then.');
+    }
+    return await this.handleDataCollection(message, onboardingProgress, currentStep, flowConfig);
+  }
+
+  // Address parts still needed before the address is complete. Parts are
+  // required by `validation.requiredParts`, by default line1, city, state and pincode.
+  getAddressRequiredParts(field) {
+    const requiredParts = field.validation && field.validation.requiredParts;
+    return requiredParts && requiredParts.length > 0 ? requiredParts : ['line1', 'city', 'state', 'pincode'];
+  }
+
+  // The PIN code is asked for first, as it can fill in the city and state
+  getAddressMeta(field, parts, autofilledParts = [], { noAutofill = false } = {}) {
+    const missingParts = this.getAddressRequiredParts(field).filter(part => !parts[part]);
+    if (missingParts.includes('pincode')) {
+      missingParts.splice(missingParts.indexOf('pincode'), 1);
+      missingParts.unshift('pincode');
+    }
+    
+    return {
+      missingParts,
+      autofilledParts,
+      ...(noAutofill ? { noAutofill } : {})
+    };
+  }
+
+  getMissingAddressParts(field, onboardingProgress) {
+    if (field.fieldType !== 'address') return [];
+    const fieldData = this.findFieldData(onboardingProgress, field.fieldId);
+    return (fieldData && fieldData.meta && fieldData.meta.missingParts) || [];
+  }
+
+  getAddressPartPrompt(part) {
+    return `What's the ${ADDRESS_PART_LABELS[part] || part} for that address?`;
+  }
+
+  // Autofilled address parts, in the shape confirmAutofill lists them
+  getAddressAutofillItems(field, parts, meta) {
+    if (field.fieldType !== 'address' || !meta || !meta.autofilledParts) return [];
+    return meta.autofilledParts.map(part => ({
+      field,
+      label: `${ADDRESS_PART_LABELS[part].charAt(0).toUpperCase()}${ADDRESS_PART_LABELS[part].slice(1)}`,
+      value: parts[part],
+      pincode: parts.pincode
+    }));
+  }
+
+  // Takes the parts the user rejected out of an address so they are asked for
+  async removeAutofilledAddressParts(onboardingProgress, currentStep, field) {
+    const fieldData = this.findFieldData(onboardingProgress, field.fieldId);
+    if (!fieldData) return;
+    
+    const parts = { ...fieldData.value };
+    ((fieldData.meta && fieldData.meta.autofilledParts) || []).forEach(part => {
+      delete parts[part];
+    });
+    await onboardingProgress.updateFieldData(currentStep.stepId, field.fieldId, parts, {
+      rawValue: fieldData.rawValue,
+      meta: this.getAddressMeta(field, parts, [], { noAutofill: true })
+    });
+  }
+
+  // Answer to a follow-up for one missing address part. The reply may carry
+  // more than the part asked for, e.g. "Kanpur 208016" when asked for the city.
+  async handleAddressFollowUp(message, onboardingProgress, currentStep, field, flowConfig) {
+    const fieldData = this.findFieldData(onboardingProgress, field.fieldId);
+    const parts = { ...fieldData.value };
+    const [part] = fieldData.meta.missingParts;
+    const prompt = this.getAddressPartPrompt(part);
+    
+    if (this.isSkipRequest(message)) {
+      return this.createResponse(`I need the ${ADDRESS_PART_LABELS[part]} to complete your ${field.fieldName}. ${prompt}`);
+    }
+    
+    const reply = parseAddress(message, { autofill: false });
+    const replyParts = reply ? reply.parts : {};
+    let answer;
+    if (part === 'pincode') {
+      answer = replyParts.pincode;
+      if (!answer) return this.createResponse(`${describeIdError(message, 'pincode')} ${prompt}`);
+    } else if (part === 'state') {
+      answer = replyParts.state || normalizeState(message);
+      if (!answer) {
+        return this.createResponse(`I didn't recognise that as an Indian state or union territory. ${prompt}`);
+      }
+    } else {
+      answer = replyParts[part] || replyParts.line1;
+      if (answer) answer = answer.replace(/^(?:it'?s|it is|that'?s|in)\s+/i, '');
+      if (!answer) return this.createResponse(`I couldn't understand that. ${prompt}`);
+    }
+    parts[part] = answer;
+    
+    // Keep anything else the reply adds without overwriting earlier answers
+    ['city', 'state', 'pincode'].forEach(extraPart => {
+      if (!parts[extraPart] && replyParts[extraPart]) parts[extraPart] = replyParts[extraPart];
+    });
+    
+    const noAutofill = Boolean(fieldData.meta.noAutofill);
+    const newlyAutofilled = noAutofill ? [] : completeFromPincode(parts);
+    const meta = this.getAddressMeta(field, parts, [...(fieldData.meta.autofilledParts || []), ...newlyAutofilled], { noAutofill });
+    
+    const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+    await onboardingProgress.updateFieldData(currentStep.stepId, field.fieldId, parts, {
+      rawValue: [fieldData.rawValue, message.trim()].filter(Boolean).join(', '),
+      meta
+    });
+    await onboardingProgress.recordAnswer(currentStep.stepId, [field.fieldId], snapshot);
+    
+    if (newlyAutofilled.length > 0) {
+      const autofilled = this.getAddressAutofillItems(field, parts, { autofilledParts: newlyAutofilled });
+      return await this.confirmAutofill(onboardingProgress, currentStep, autofilled);
+    }
+    return await this.askNextField(onboardingProgress, currentStep, flowConfig);
+  }
+
+  // One message of a list field: entries are added until the user says "done"
+  // or the list reaches `validation.maxItems`. Required lists need at least
+  // `validation.minItems` entries (default 1).
+  async handleListEntry(message, onboardingProgress, currentStep, field, flowConfig) {
+    const fieldData = this.findFieldData(onboardingProgress, field.fieldId);
+    const items = fieldData && Array.isArray(fieldData.value) ? [...fieldData.value] : [];
+    const validation = field.validation || {};
+    const minItems = validation.minItems || (field.required ? 1 : 0);
+    const maxItems = validation.maxItems;
+    
+    if (isListDone(message)) {
+      if (items.length < minItems) {
+        const needed = minItems - items.length;
+        return this.createResponse(`I need ${needed} more for your ${field.fieldName} before we move on. ${field.prompt}`);
+      }
+      
+      const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+      if (items.length === 0) {
+        await onboardingProgress.skipFieldData(currentStep.stepId, field.fieldId);
+      } else {
+        await onboardingProgress.updateFieldData(currentStep.stepId, field.fieldId, items, {
+          rawValue: fieldData.rawValue,
+          meta: { collecting: false }
+        });
+      }
+      await onboardingProgress.recordAnswer(currentStep.stepId, [field.fieldId], snapshot);
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, 'Thanks.');
+    }
+    
+    const entries = splitListEntries(message);
+    if (entries.length === 0) {
+      return this.createResponse(`I couldn't understand that. ${field.prompt}`);
+    }
+    
+    items.push(...entries);
+    const full = Boolean(maxItems) && items.length >= maxItems;
+    const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+    await onboardingProgress.updateFieldData(currentStep.stepId, field.fieldId, full ? items.slice(0, maxItems) : items, {
+      rawValue: [fieldData && fieldData.rawValue, message.trim()].filter(Boolean).join('\n'),
+      meta: { collecting: !full }
+    });
+    await onboardingProgress.recordAnswer(currentStep.stepId, [field.fieldId], snapshot);
+    
+    if (full) {
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, `Thanks, that's all ${maxItems} I need.`);
+    }
+    if (items.length < minItems) {
+      return this.createResponse(`Got it. Please add ${minItems - items.length} more.`);
+    }
+    return this.createResponse('Got it. Anything else? Say "done" when that\'s all.');
+  }
+
+  // One message of a group field. The group's value is an array of records,
+  // objects keyed by the fieldIds in `field.fields`; the record being filled in
+  // is kept in meta.current until all of its fields are answered. After each
+  // record the user is asked whether to add another, between
+  // `validation.minItems` (default 1 when required) and `validation.maxItems`.
+  // meta.answers lists what each message changed, so "go back" can undo one
+  // answer at a time.
+  async handleGroupEntry(message, onboardingProgress, currentStep, field, flowConfig) {
+    const fieldData = this.findFieldData(onboardingProgress, field.fieldId);
+    const groupMeta = (fieldData && fieldData.meta) || {};
+    const records = fieldData && Array.isArray(fieldData.value) ? [...fieldData.value] : [];
+    const itemMeta = [...(groupMeta.itemMeta || [])];
+    const validation = field.validation || {};
+    const minItems = validation.minItems || (field.required ? 1 : 0);
+    const maxItems = validation.maxItems;
+    const itemName = this.getGroupItemName(field);
+    
+    const saveGroup = async (current, answer, collecting = true) => {
+      const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+      await onboardingProgress.updateFieldData(currentStep.stepId, field.fieldId, records, {
+        rawValue: [fieldData && fieldData.rawValue, message.trim()].filter(Boolean).join('\n'),
+        meta: { collecting, current, itemMeta, answers: [...(groupMeta.answers || []), answer] }
+      });
+      await onboardingProgress.recordAnswer(currentStep.stepId, [field.fieldId], snapshot);
+    };
+    
+    const startRecord = async (answer, prefix) => {
+      await saveGroup({ values: {}, meta: {} }, answer);
+      const [firstField] = this.getRemainingGroupFields(field, {}, onboardingProgress);
+      return this.createResponse(`${prefix} ${this.getFieldPrompt(firstField)}`);
+    };
+    
+    const finishGroup = async (answer, prefix) => {
+      await saveGroup(null, answer, false);
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, prefix);
+    };
+    
+    if (!fieldData && !field.required && this.isSkipRequest(message)) {
+      await onboardingProgress.skipFieldData(currentStep.stepId, field.fieldId);
+      await onboardingProgress.recordAnswer(currentStep.stepId, [field.fieldId]);
+      return await this.askNextField(onboardingProgress, currentStep, flowConfig, 'No problem, I\'ll leave that out.');
+    }
+    
+    const current = groupMeta.current || (fieldData ? null : { values: {}, meta: {} });
+    const isEmptyRecord = current && Object.keys(current.values).length === 0;
+    
+    // The answer to "add another?", or "done" instead of starting the next record
+    if (!current || (isEmptyRecord && isListDone(message))) {
+      const answer = isListDone(message) ? { value: false } : parseBoolean(message);
+      if (!answer) {
+        return this.createResponse(`Sorry, was that a yes or a no? ${this.getAddAnotherPrompt(field)}`);
+      }
+      
+      const nextRecord = { record: records.length, fieldIds: [] };
+      if (answer.value) {
+        return await startRecord(nextRecord, `Okay, ${itemName} ${records.length + 1}.`);
+      }
+      if (records.length < minItems) {
+        const needed = `I need ${minItems - records.length} more for your ${field.fieldName}`;
+        return current
+          ? this.createResponse(`${needed} before we move on. ${this.getGroupPrompt(field, fieldData, onboardingProgress)}`)
+          : await startRecord(nextRecord, `${needed}, so let's add ${itemName} ${records.length + 1}.`);
+      }
+      return await finishGroup(nextRecord, 'Thanks.');
+    }
+    
+    const values = { ...current.values };
+    const meta = { ...current.meta };
+    const remainingFields = this.getRemainingGroupFields(field, values, onboardingProgress);
+    const askedField = remainingFields[0];
+    
+    const isBooleanAnswer = askedField.fieldType === 'boolean' && parseBoolean(message);
+    if (this.isSkipRequest(message) && !isBooleanAnswer) {
+      if (askedField.required) {
+        return this.createResponse(`I'm sorry, ${askedField.fieldName} is required, so I can't skip it. ${askedField.prompt}`);
+      }
+      values[askedField.fieldId] = null;
+    } else {
+      // Several fields of the record can come in one message: "Ravi Kumar, 98765 43210, friend"
+      const slots = this.extractSlotValues(message, remainingFields, askedField, this.getExtractionOptions(flowConfig));
+      const rejected = slots.map(slot => this.validateFieldValue(slot.value, slot.field)).find(Boolean);
+      if (rejected) return this.createResponse(rejected);
+      if (slots.length === 0) return this.unrecognizedAnswer(message, onboardingProgress, askedField);
+      
+      slots.forEach(slot => {
+        values[slot.field.fieldId] = slot.value;
+        if (slot.meta) meta[slot.field.fieldId] = slot.meta;
+      });
+    }
+    
+    const answer = { record: records.length, fieldIds: remainingFields.map(f => f.fieldId).filter(id => id in values) };
+    const [nextField] = this.getRemainingGroupFields(field, values, onboardingProgress);
+    if (nextField) {
+      await saveGroup({ values, meta }, answer);
+      return this.createResponse(this.getFieldPrompt(nextField));
+    }
+    
+    records.push(values);
+    itemMeta.push(meta);
+    
+    if (maxItems && records.length >= maxItems) {
+      return await finishGroup(answer, `Thanks, that's all ${maxItems} I need.`);
+    }
+    if (records.length < minItems) {
+      return await startRecord(answer, `Thanks. Now ${itemName} ${records.length + 1}.`);
+    }
+    await saveGroup(null, answer);
+    return this.createResponse(`Thanks, I've added ${itemName} ${records.length}. ${this.getAddAnotherPrompt(field)}`);
+  }
+
+  // "Go back" inside a group undoes the latest answer given for it, re-opening
+  // the previous record if that answer completed it. Returns null when the
+  // latest answer was not part of a group, or was its first one, so the
+  // whole group is undone as any other field.
+  async undoGroupAnswer(onboardingProgress, flowConfig) {
+    const entry = onboardingProgress.history[onboardingProgress.history.length - 1];
+    if (!entry || entry.action !== 'answer' || entry.fieldIds.length !== 1) return null;
+    
+    const step = flowConfig.steps.find(s => s.stepId === entry.stepId);
+    const field = step && step.fields.find(f => f.fieldId === entry.fieldIds[0]);
+    const fieldData = field && field.fieldType === 'group' && this.findFieldData(onboardingProgress, field.fieldId);
+    const answers = fieldData && fieldData.meta && fieldData.meta.answers;
+    if (!answers || answers.length < 2) return null;
+    
+    const records = [...fieldData.value];
+    const itemMeta = [...(fieldData.meta.itemMeta || [])];
+    const last = answers[answers.length - 1];
+    let current = fieldData.meta.current;
+    
+    if (last.record < records.length) {
+      current = { values: { ...records.pop() }, meta: { ...itemMeta.pop() } };
+    }
+    if (last.fieldIds.length === 0) {
+      current = null;
+    } else {
+      current = { values: { ...current.values }, meta: { ...current.meta } };
+      last.fieldIds.forEach(fieldId => {
+        delete current.values[fieldId];
+        delete current.meta[fieldId];
+      });
+    }
+    
+    onboardingProgress.history.pop();
+    await onboardingProgress.updateFieldData(step.stepId, field.fieldId, records, {
+      rawValue: fieldData.rawValue,
+      meta: { collecting: true, current, itemMeta, answers: answers.slice(0, -1) }
+    });
+    
+    return this.createResponse(`Okay, let's redo that. ${this.getFieldPrompt(field, onboardingProgress)}`);
+  }
+
+  // What one record of a group is called in messages, e.g. "reference"
+  getGroupItemName(field) {
+    return field.itemName || 'entry';
+  }
+
+  getAddAnotherPrompt(field) {
+    return field.addAnotherPrompt || `Would you like to add another ${this.getGroupItemName(field)}?`;
+  }
+
+  // The group's prompt once it has been started: the next field of the record
+  // being filled in, or "add another?" between records
+  getGroupPrompt(field, fieldData, onboardingProgress) {
+    const current = fieldData.meta && fieldData.meta.current;
+    if (!current) return this.getAddAnotherPrompt(field);
+    
+    const [nextField] = this.getRemainingGroupFields(field, current.values, onboardingProgress);
+    return nextField ? this.getFieldPrompt(nextField) : this.getAddAnotherPrompt(field);
+  }
+
+  // Fields of a group's record still to be answered. showIf conditions see the
+  // record's own answers as well as the rest of the flow.
+  getRemainingGroupFields(field, recordValues, onboardingProgress) {
+    const values = { ...(onboardingProgress ? this.getCollectedValues(onboardingProgress) : {}), ...recordValues };
+    return (field.fields || []).filter(subField =>
+      !Object.prototype.hasOwnProperty.call(recordValues, subField.fieldId) && this.isFieldVisible(subField, values));
+  }
+
+  // The reply to an answer that couldn't be read. The answer goes to the
+  // review inbox, with the step it was given in.
+  unrecognizedAnswer(message, onboardingProgress, field) {
+    reviewInboxService.record({
+      kind: 'field_value',
+      text: message,
+      sessionId: onboardingProgress.sessionId,
+      userId: onboardingProgress.userId,
+      flowId: onboardingProgress.flowId,
+      stepId: onboardingProgress.currentStep,
+      fieldId: field.fieldId
+    });
+    return this.createResponse(this.getFormatErrorMessage(message, field));
+  }
+
+  // Re-prompt for a reply that holds no value of the asked field's type. ID
+  // fields explain what the identifier should look like.
+  getFormatErrorMessage(message, field) {
+    const messages = (field.validation && field.validation.messages) || {};
+    if (messages.format) return messages.format;
+    
+    const idError = describeIdError(message, field.fieldType);
+    if (idError) return `${idError} ${field.prompt}`;
+    
+    if (field.fieldType === 'boolean') {
+      return `Sorry, was that a yes or a no? ${field.prompt}`;
+    }
+    
+    if (field.fieldType === 'rating') {
+      const { min = 1, max = 5 } = field.validation || {};
+      return `Please give a rating from ${min} to ${max}. ${field.prompt}`;
+    }
+    
+    if (field.fieldType === 'select' || field.fieldType === 'multiselect') {
+      const options = (field.validation && field.validation.options) || [];
+      const choice = field.fieldType === 'select' && matchOption(message, options, { allowNumbers: Boolean(field.listOptions) });
+      if (choice && choice.candidates) {
+        return `Just to check, did you mean ${this.formatChoices(choice.candidates)}?`;
+      }
+      const optionList = field.listOptions
+        ? `\n${this.listSelectOptions(field)}`
+        : ` ${this.formatChoices(normalizeOptions(options).map(option => option.value))}.`;
+      return `I didn't catch which one you meant. Please choose one of these:${optionList}`;
+    }
+    
+    return `I couldn't understand that. ${field.prompt}`;
+  }
+
+  // Age rules for date fields. A date in the future is never a valid age.
+  validateDateValue(iso, field) {
+    const validation = field.validation || {};
+    const messages = validation.messages || {};
+    if (!isIsoDate(iso) || (!validation.minAge && !validation.maxAge)) return null;
+    
+    const today = new Date();
+    const age = calculateAge(iso, today);
+    
+    if (new Date(`${iso}T00:00:00`) > today) {
+      return messages.future ||
+        `${formatDate(iso)} is in the future, so it can't be your ${field.fieldName}. ${field.prompt}`;
+    }
+    
+    if (validation.minAge && age < validation.minAge) {
+      return messages.minAge ||
+        `That makes you ${age}, but you need to be at least ${validation.minAge} to continue. Could you check your ${field.fieldName}?`;
+    }
+    
+    if (validation.maxAge && age > validation.maxAge) {
+      return messages.maxAge ||
+        `That would make you ${age}, which is above our limit of ${validation.maxAge}. Could you check your ${field.fieldName}?`;
+    }
+    
+    return null;
+  }
+
+  // Returns the first stored value in a step that no longer passes validation
+  findInvalidFieldData(currentStep, stepProgress, onboardingProgress) {
+    if (!stepProgress) return null;
+    
+    for (const field of this.getVisibleFields(currentStep, onboardingProgress)) {
+      const fieldData = stepProgress.fieldData.find(f => f.fieldId === field.fieldId);
+      if (!fieldData || fieldData.skipped) continue;
+      
+      const error = this.validateFieldValue(fieldData.value, field);
+      if (error) return { field, error };
+    }
+    
+    return null;
+  }
+
+  // Slot filling: scan one message against all remaining fields of the step.
+  // Fields with an unambiguous format (email, phone, date, select) are picked up
+  // wherever they appear; free-form fields are only filled when they are the one
+  // being asked for, from whatever text is left once the other values are removed.
+  extractSlotValues(message, fields, askedField, options = {}) {
+    const filled = [];
+    let remainingText = message;
+    
+    const structuredFields = fields
+      .filter(field => this.slotExtractionOrder.includes(field.fieldType))
+      .sort((a, b) => this.slotExtractionOrder.indexOf(a.fieldType) - this.slotExtractionOrder.indexOf(b.fieldType));
+    
+    for (const field of structuredFields) {
+      const match = this.extractFieldMatch(remainingText, field, {
+        ...options,
+        strict: field.fieldId !== askedField.fieldId
+      });
+      if (!match) continue;
+      
+      filled.push({ field, value: match.value, rawValue: match.rawValue || match.text, meta: match.meta });
+      if (match.text) {
+        remainingText = remainingText.replace(match.text, ' ');
+      }
+    }
+    
+    const askedFilled = filled.some(slot => slot.field.fieldId === askedField.fieldId);
+    if (!askedFilled && !this.slotExtractionOrder.includes(askedField.fieldType)) {
+      const isFreeText = ['text', 'textarea'].includes(askedField.fieldType);
+      if (filled.length > 0 && isFreeText) {
+        const value = this.extractLeftoverText(remainingText, askedField, fields);
+        if (value !== null) {
+          filled.push({ field: askedField, value, rawValue: value });
+        }
+      } else {
+        const match = this.extractFieldMatch(remainingText, askedField, options);
+        if (match) {
+          filled.push({ field: askedField, value: match.value, rawValue: match.rawValue || match.text, meta: match.meta });
+        }
+      }
+    }
+    
+    // Keep the order in which the step declares its fields
+    return filled.sort((a, b) => fields.indexOf(a.field) - fields.indexOf(b.field));
+  }
+
+  // What is left of a message after other slots were taken out of it, minus
+  // separators, introductions ("I'm", "my name is") and label words ("born", "email")
+  extractLeftoverText(text, field, fields) {
+    const labelWords = new Set(['born', 'on', 'dob', 'email', 'e-mail', 'mail', 'id', 'phone', 'mobile', 'contact',
+      'number', 'no', 'and', 'my', 'is', 'at', 'it\'s', 'its', 'the']);
+    fields.forEach(f => f.fieldName.toLowerCase().split(/\s+/).forEach(word => labelWords.add(word)));
+    
+    const segments = text
+      .split(/[,;\n]+/)
+      .map(segment => segment
+        .replace(/^\s*(?:(?:hi|hello|hey)\b[\s!.]*)?(?:i'?m|i am|my name is|name is|this is|call me)\s+/i, '')
+        .replace(/\s+/g, ' ')
+        .trim())
+      .map(segment => {
+        // Drop label words around the value: "123456789 and ifsc" -> "123456789"
+        const words = segment.split(' ');
+        const isLabel = word => labelWords.has(word.toLowerCase().replace(/[^\w'-]/g, ''));
+        while (words.length > 0 && isLabel(words[0])) words.shift();
+        while (words.length > 0 && isLabel(words[words.length - 1])) words.pop();
+        return words.join(' ');
+      })
+      .filter(Boolean);
+    
+    if (segments.length === 0) return null;
+    
+    return field.fieldType === 'textarea' ? segments.join(', ') : segments[0];
+  }
+
+  async showStepConfirmation(onboardingProgress, currentStep, flowConfig) {
+    const stepProgress = onboardingProgress.stepProgress.find(progress => progress.stepId === currentStep.stepId);
+    const confirmationData = this.buildConfirmationData(currentStep, stepProgress, onboardingProgress);
+    
+    const template = currentStep.confirmationMessage || "Here's what I have:\n{confirmation_data}\nIs that correct?";
+    const confirmationMessage = template.replace('{confirmation_data}', confirmationData);
+    
+    return this.createResponse(confirmationMessage);
+  }
+
+  // Checkpoint corrections such as "change my email to ravi@y.com": work out which
+  // field is meant and take its new value from the same message
+  // A correction intent, or a message the classifier couldn't place that names a
+  // field or gives a value only one field can hold ("change dob to 4/3/1990")
+  isCheckpointCorrection(message, intent, onboardingProgress, currentStep, flowConfig) {
+    if (intent.name === 'correction') return true;
+    return intent.name === 'unknown' && Boolean(this.findCorrection(message, onboardingProgress, currentStep, flowConfig).field);
+  }
+
+  // The field a checkpoint correction is about and the new value given for it,
+  // either of them null when the message doesn't say
+  findCorrection(message, onboardingProgress, currentStep, flowConfig) {
+    const visibleFields = this.getVisibleFields(currentStep, onboardingProgress);
+    const reference = this.findReferencedField(message, visibleFields);
+    const options = this.getExtractionOptions(flowConfig);
+    let field = reference ? reference.field : null;
+    let correction = null;
+    
+    if (reference) {
+      const valueText = message
+        .slice(reference.index + reference.term.length)
+        .replace(this.correctionLeadIn, '');
+      if (valueText.trim()) {
+        correction = this.extractFieldMatch(valueText, field, options);
+      }
+    } else {
+      // No field named; accept the value if its format points at exactly one field
+      const candidates = visibleFields
+        .filter(f => this.slotExtractionOrder.includes(f.fieldType))
+        .map(f => ({ field: f, match: this.extractFieldMatch(message, f, { ...options, strict: true }) }))
+        .filter(candidate => candidate.match);
+      
+      if (candidates.length === 1) {
+        field = candidates[0].field;
+        correction = candidates[0].match;
       }
-      
-      return this.createResponse("I'm not sure how to help with that. Could you please provide the information I asked for?");
-      
-    } catch (error) {
-      logger.error('Onboarding message processing error:', error);
-      return this.createResponse("I encountered an error processing your response. Please try again.");
     }
+    
+    return { field, correction };
   }
 
-  async handleDataCollection(message, onboardingProgress, currentStep, flowConfig) {
-    const currentStepProgress = onboardingProgress.getCurrentStepProgress();
+  async handleFieldCorrection(message, onboardingProgress, currentStep, flowConfig) {
+    const { field, correction } = this.findCorrection(message, onboardingProgress, currentStep, flowConfig);
     
-    if (!currentStepProgress) {
-      // Initialize step progress
-      onboardingProgress.stepProgress.push({
-        stepId: currentStep.stepId,
-        stepName: currentStep.stepName,
-        status: 'in_progress',
-        startedAt: new Date(),
-        fieldData: []
-      });
+    if (!field) {
+      const visibleFields = this.getVisibleFields(currentStep, onboardingProgress);
+      const fieldNames = visibleFields.map(f => f.fieldName).join(', ');
+      return this.createResponse(`I understand you'd like to make changes. Which of these needs to be corrected: ${fieldNames}?`);
     }
     
-    // Find the next field to collect
-    const nextField = this.getNextFieldToCollect(currentStep, onboardingProgress);
+    if (!correction) {
+      // The next message gives the new value; the old one stays until then
+      await onboardingProgress.setPendingCorrection(currentStep.stepId, field.fieldId);
+      return this.createResponse(`Sure, let's fix your ${field.fieldName}. ${this.getFieldPrompt(field)}`);
+    }
     
-    if (!nextField) {
-      // All fields collected, show confirmation
-      return await this.showStepConfirmation(onboardingProgress, currentStep, flowConfig);
+    const error = this.validateFieldValue(correction.value, field);
+    if (error) {
+      return this.createResponse(error);
     }
     
-    // Extract field value from message
-    const fieldValue = this.extractFieldValue(message, nextField);
+    return await this.applyCorrection(onboardingProgress, currentStep, field, correction, flowConfig);
+  }
+  
+  // The reply to "let's fix your ...": the field's new value, "skip" for an
+  // optional field, or a confirmation that it was right after all
+  async handleCorrectionAnswer(message, intent, onboardingProgress, currentStep, flowConfig) {
+    const field = currentStep.fields.find(f => f.fieldId === onboardingProgress.pendingCorrection.fieldId);
+    const isBooleanAnswer = field && field.fieldType === 'boolean' && parseBoolean(message);
     
-    if (fieldValue !== null) {
-      // Update field data
-      await onboardingProgress.updateFieldData(currentStep.stepId, nextField.fieldId, fieldValue);
-      
-      // Check if this was the last field
-      const remainingFields = this.getRemainingFields(currentStep, onboardingProgress);
-      if (remainingFields.length === 0) {
-        return await this.showStepConfirmation(onboardingProgress, currentStep, flowConfig);
-      } else {
-        // Ask for next field
-        const nextFieldToAsk = remainingFields[0];
-        return this.createResponse(nextFieldToAsk.prompt);
+    if (!field || (intent.name === 'confirmation' && !isBooleanAnswer)) {
+      await onboardingProgress.clearPendingCorrection();
+      const confirmation = await this.showStepConfirmation(onboardingProgress, currentStep, flowConfig);
+      return this.createResponse(`Okay, I've left it as it was. ${confirmation.content}`);
+    }
+    
+    if (this.isSkipRequest(message) && !isBooleanAnswer) {
+      if (field.required) {
+        return this.createResponse(`I'm sorry, ${field.fieldName} is required, so I can't skip it. ${field.prompt}`);
       }
-    } else {
-      // Could not extract value, ask for clarification
-      return this.createResponse(`I couldn't understand that. ${nextField.prompt}`);
+      
+      const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+      await onboardingProgress.clearPendingCorrection();
+      await onboardingProgress.skipFieldData(currentStep.stepId, field.fieldId);
+      await onboardingProgress.recordCorrection(currentStep.stepId, [field.fieldId], snapshot);
+      const confirmation = await this.showStepConfirmation(onboardingProgress, currentStep, flowConfig);
+      return this.createResponse(`No problem, I'll leave that out. ${confirmation.content}`);
+    }
+    
+    const [slot] = this.extractSlotValues(message, [field], field, this.getExtractionOptions(flowConfig));
+    if (!slot) {
+      return this.unrecognizedAnswer(message, onboardingProgress, field);
+    }
+    
+    const error = this.validateFieldValue(slot.value, field);
+    if (error) {
+      return this.createResponse(error);
+    }
+    
+    await onboardingProgress.clearPendingCorrection();
+    return await this.applyCorrection(onboardingProgress, currentStep, field, slot, flowConfig);
+  }
+  
+  // Stores a validated correction, completing an address or autofilling from
+  // its PIN code, and records it so that going back restores the old values
+  async applyCorrection(onboardingProgress, currentStep, field, correction, flowConfig) {
+    const snapshot = onboardingProgress.getFieldDataSnapshot(currentStep.stepId);
+    const recordCorrection = (fields) => onboardingProgress.recordCorrection(currentStep.stepId, fields.map(f => f.fieldId), snapshot);
+    
+    await onboardingProgress.updateFieldData(currentStep.stepId, field.fieldId, correction.value, {
+      rawValue: correction.rawValue || correction.text,
+      meta: correction.meta
+    });
+    
+    const missingParts = this.getMissingAddressParts(field, onboardingProgress);
+    if (missingParts.length > 0) {
+      await recordCorrection([field]);
+      return this.createResponse(`I've updated your ${field.fieldName}. ${this.getAddressPartPrompt(missingParts[0])}`);
     }
+    
+    const autofilled = await this.applyPincodeAutofill(onboardingProgress, currentStep, field, correction.value);
+    const updatedFields = [field, ...autofilled.map(item => item.field)];
+    await recordCorrection(updatedFields);
+    const updatedNames = updatedFields.map(f => f.fieldName).join(', ');
+    
+    const confirmation = await this.showStepConfirmation(onboardingProgress, currentStep, flowConfig);
+    return this.createResponse(`I've updated your ${updatedNames}. ${confirmation.content}`);
   }
 
-  async showStepConfirmation(onboardingProgress, currentStep, flowConfig) {
-    const currentStepProgress = onboardingProgress.getCurrentStepProgress();
-    const confirmationData = this.buildConfirmationData(currentStep, currentStepProgress);
+  // Finds the field a message talks about by fieldName, fieldId or synonyms,
+  // falling back to words of a fieldName that no other field in the step shares
+  findReferencedField(message, fields) {
+    const lowerMessage = message.toLowerCase();
+    const wordCounts = {};
+    fields.forEach(field => {
+      new Set(field.fieldName.toLowerCase().split(/\s+/)).forEach(word => {
+        wordCounts[word] = (wordCounts[word] || 0) + 1;
+      });
+    });
     
-    const confirmationMessage = currentStep.confirmationMessage.replace('{confirmation_data}', confirmationData);
+    let best = null;
+    fields.forEach(field => {
+      const terms = [
+        field.fieldName,
+        field.fieldId,
+        field.fieldId.replace(/_/g, ' '),
+        ...(field.synonyms || [])
+      ].map(term => ({ term: term.toLowerCase(), score: term.length + 100 }));
+      
+      field.fieldName.toLowerCase().split(/\s+/)
+        .filter(word => word.length > 2 && wordCounts[word] === 1)
+        .forEach(word => terms.push({ term: word, score: word.length }));
+      
+      terms.forEach(({ term, score }) => {
+        const match = lowerMessage.match(new RegExp(`\\b${this.escapeRegExp(term)}\\b`));
+        if (match && (!best || score > best.score)) {
+          best = { field, term, index: match.index, score };
+        }
+      });
+    });
     
-    return this.createResponse(confirmationMessage);
+    return best;
   }
 
   async handleStepConfirmation(onboardingProgress, currentStep, flowConfig) {
-    // Confirm the step data
     const currentStepProgress = onboardingProgress.getCurrentStepProgress();
-    const confirmationData = this.buildConfirmationData(currentStep, currentStepProgress);
+    
+    // A step only completes once every stored value passes its rules
+    const invalid = this.findInvalidFieldData(currentStep, currentStepProgress, onboardingProgress);
+    if (invalid) {
+      await onboardingProgress.removeFieldData(currentStep.stepId, invalid.field.fieldId);
+      return this.createResponse(invalid.error);
+    }
+    
+    // Rules across fields come next; the fields of a failed rule are asked again
+    const failedRule = this.findFailedRule(currentStep, onboardingProgress);
+    if (failedRule) {
+      const fields = failedRule.fields
+        .map(fieldId => this.findFlowField(flowConfig, fieldId))
+        .filter(field => field && this.isFieldVisible(field, this.getCollectedValues(onboardingProgress)));
+      const explanation = failedRule.message ||
+        `Your ${this.formatChoices(fields.map(field => field.fieldName), 'and')} don't seem to add up.`;
+      
+      if (fields.length > 0) {
+        await onboardingProgress.setPendingRecheck(currentStep.stepId, fields.map(field => field.fieldId));
+        return this.createResponse(`${explanation} ${this.getFieldPrompt(fields[0])}`);
+      }
+      return this.createResponse(explanation);
+    }
+    
+    // Confirm the step data
+    const confirmationData = this.buildConfirmationData(currentStep, currentStepProgress, onboardingProgress);
     
     await onboardingProgress.confirmStepData(currentStep.stepId, confirmationData);
+    await this.updateUserProfile(onboardingProgress, currentStep);
     
     // Move to next step
-    if (currentStep.nextStep) {
-      await onboardingProgress.moveToNextStep(currentStep.nextStep);
-      const nextStep = flowConfig.steps.find(step => step.stepId === currentStep.nextStep);
+    const nextStepId = this.resolveNextStep(currentStep, onboardingProgress);
+    if (nextStepId) {
+      await onboardingProgress.moveToNextStep(nextStepId);
+      const nextStep = flowConfig.steps.find(step => step.stepId === nextStepId);
+      
+      // A step is prefilled from the profile only the first time it is reached
+      const started = onboardingProgress.stepProgress.some(stepProgress => stepProgress.stepId === nextStepId);
+      if (nextStep && nextStep.stepType === 'data_collection' && !started) {
+        const prefilled = await this.prefillFromProfile(onboardingProgress, nextStep, flowConfig);
+        if (prefilled.length > 0) {
+          return await this.confirmAutofill(onboardingProgress, nextStep, prefilled);
+        }
+      }
       
-      if (nextStep && nextStep.stepType === 'data_collection') {
-        const firstField = nextStep.fields[0];
-        return this.createResponse(firstField.prompt);
+      const firstField = nextStep && this.getNextFieldToCollect(nextStep, onboardingProgress);
+      if (nextStep && nextStep.stepType === 'data_collection' && firstField) {
+        return this.createResponse(this.getFieldPrompt(firstField));
       } else if (nextStep && nextStep.stepType === 'completion') {
-        return this.createResponse(nextStep.confirmationMessage || flowConfig.completionMessage);
+        await this.runEligibilityCheck(onboardingProgress, flowConfig);
+        return this.createResponse(this.getCompletionMessage(nextStep, onboardingProgress, flowConfig));
       }
     }
     
     return this.createResponse("Thank you for confirming. Let me process this information.");
   }
 
-  getNextFieldToCollect(currentStep, onboardingProgress) {
-    const currentStepProgress = onboardingProgress.getCurrentStepProgress();
-    if (!currentStepProgress) return currentStep.fields[0];
+  // Runs the flow's eligibility rules over everything collected and stores the
+  // decision, with the trace of every rule, on the progress
+  async runEligibilityCheck(onboardingProgress, flowConfig) {
+    const eligibility = flowConfig.eligibility;
+    if (!eligibility || !eligibility.rules || eligibility.rules.length === 0) return null;
+    
+    await this.refreshComputedValues(onboardingProgress, flowConfig);
+    const decision = evaluateDecision(eligibility, this.getCollectedValues(onboardingProgress), COMPUTED_FUNCTIONS);
+    await onboardingProgress.setDecision(decision);
+    
+    logger.info(`Eligibility decision for session ${onboardingProgress.sessionId}: ${decision.outcome}, score ${decision.score}` +
+      (decision.reasonCodes.length > 0 ? `, reasons ${decision.reasonCodes.join(', ')}` : ''));
+    return decision;
+  }
+
+  // The message configured for the eligibility decision, if there is one,
+  // otherwise the completion step's or the flow's
+  getCompletionMessage(step, onboardingProgress, flowConfig) {
+    const decision = onboardingProgress.decision;
+    const messages = (flowConfig.eligibility && flowConfig.eligibility.messages) || {};
+    const message = decision && decision.outcome && messages[decision.outcome];
+    if (!message) return step.confirmationMessage || flowConfig.completionMessage;
+    
+    const reasons = decision.reasons && decision.reasons.length > 0
+      ? this.formatChoices([...decision.reasons], 'and')
+      : 'your application doesn\'t meet all of our criteria';
+    return message.replace('{reasons}', reasons);
+  }
+
+  // The first of the step's validationRules whose condition fails. Rules with a
+  // field that has no value yet, or was skipped, do not apply.
+  findFailedRule(currentStep, onboardingProgress) {
+    const values = this.getCollectedValues(onboardingProgress);
+    
+    return (currentStep.validationRules || []).find(rule => {
+      if (!rule.condition) return false;
+      if ((rule.fields || []).some(fieldId => values[fieldId] === null || values[fieldId] === undefined)) return false;
+      
+      try {
+        return !evaluateExpression(rule.condition, values, COMPUTED_FUNCTIONS);
+      } catch (error) {
+        logger.warn(`Ignoring invalid validation rule in step "${currentStep.stepId}": ${error.message}`);
+        return false;
+      }
+    }) || null;
+  }
+
+  // One answer to a field asked again by a failed validation rule. The value is
+  // stored in the step the field belongs to; once every field has been
+  // answered the checkpoint summary is shown again, and its rules re-checked
+  // when the user confirms.
+  async handleRecheckAnswer(message, onboardingProgress, currentStep, flowConfig) {
+    const [fieldId, ...remainingIds] = onboardingProgress.pendingRecheck.fieldIds;
+    const step = this.findFieldStep(flowConfig, fieldId);
+    const field = step && step.fields.find(f => f.fieldId === fieldId);
+    
+    if (field) {
+      // Recorded like a correction, so that going back restores the old value
+      const snapshot = onboardingProgress.getFieldDataSnapshot(step.stepId);
+      const isBooleanAnswer = field.fieldType === 'boolean' && parseBoolean(message);
+      if (this.isSkipRequest(message) && !isBooleanAnswer) {
+        if (field.required) {
+          return this.createResponse(`I'm sorry, ${field.fieldName} is required, so I can't skip it. ${field.prompt}`);
+        }
+        await onboardingProgress.skipFieldData(step.stepId, field.fieldId);
+      } else {
+        const [slot] = this.extractSlotValues(message, [field], field, this.getExtractionOptions(flowConfig));
+        if (!slot) {
+          return this.unrecognizedAnswer(message, onboardingProgress, field);
+        }
+        
+        const error = this.validateFieldValue(slot.value, field);
+        if (error) {
+          return this.createResponse(error);
+        }
+        
+        await onboardingProgress.updateFieldData(step.stepId, field.fieldId, slot.value, {
+          rawValue: slot.rawValue,
+          meta: slot.meta
+        });
+      }
+      await onboardingProgress.recordCorrection(step.stepId, [field.fieldId], snapshot);
+      
+      // An earlier checkpoint's summary no longer holds once its answers change
+      if (step.stepId !== currentStep.stepId && step.isCheckpoint) {
+        await onboardingProgress.reopenStep(step.stepId);
+      }
+    }
+    
+    if (remainingIds.length > 0) {
+      await onboardingProgress.setPendingRecheck(currentStep.stepId, remainingIds);
+      const nextField = this.findFlowField(flowConfig, remainingIds[0]);
+      return this.createResponse(nextField ? this.getFieldPrompt(nextField) : '');
+    }
     
-    const collectedFields = currentStepProgress.fieldData.map(field => field.fieldId);
-    return currentStep.fields.find(field => !collectedFields.includes(field.fieldId));
+    await onboardingProgress.clearPendingRecheck();
+    const reviewStep = this.findReopenedStep(onboardingProgress, currentStep, flowConfig) || currentStep;
+    const confirmation = await this.showStepConfirmation(onboardingProgress, reviewStep, flowConfig);
+    return this.createResponse(`Thanks, I've updated that. ${confirmation.content}`);
+  }
+  
+  // The first checkpoint before the current step that was reopened because a
+  // recheck changed its answers, or null
+  findReopenedStep(onboardingProgress, currentStep, flowConfig) {
+    return flowConfig.steps.find(step => step.stepId !== currentStep.stepId && step.isCheckpoint &&
+      onboardingProgress.stepProgress.some(progress => progress.stepId === step.stepId && progress.status === 'in_progress')) || null;
+  }
+  
+  // Confirms a reopened checkpoint again, then shows the next summary to confirm
+  async handleReopenedStepConfirmation(onboardingProgress, step, currentStep, flowConfig) {
+    const stepProgress = onboardingProgress.stepProgress.find(progress => progress.stepId === step.stepId);
+    await onboardingProgress.confirmStepData(step.stepId, this.buildConfirmationData(step, stepProgress, onboardingProgress));
+    await this.updateUserProfile(onboardingProgress, step);
+    
+    const reviewStep = this.findReopenedStep(onboardingProgress, currentStep, flowConfig) || currentStep;
+    const confirmation = await this.showStepConfirmation(onboardingProgress, reviewStep, flowConfig);
+    return this.createResponse(`Thanks for confirming. ${confirmation.content}`);
+  }
+
+  // The step that declares a field, wherever it is in the flow
+  findFieldStep(flowConfig, fieldId) {
+    return flowConfig.steps.find(step => step.fields.some(field => field.fieldId === fieldId)) || null;
+  }
+
+  findFlowField(flowConfig, fieldId) {
+    const step = this.findFieldStep(flowConfig, fieldId);
+    return step ? step.fields.find(field => field.fieldId === fieldId) : null;
+  }
+
+  // nextStep is either a stepId or an ordered list of
+  // { condition: "address_type == 'Rented'", stepId: 'rent_details' } entries;
+  // the first entry whose condition holds wins, an entry without one is the default
+  resolveNextStep(currentStep, onboardingProgress) {
+    const { nextStep } = currentStep;
+    if (!Array.isArray(nextStep)) return nextStep || null;
+    
+    const values = this.getCollectedValues(onboardingProgress);
+    for (const branch of nextStep) {
+      if (!branch.condition) return branch.stepId;
+      
+      try {
+        if (evaluateExpression(branch.condition, values, COMPUTED_FUNCTIONS)) return branch.stepId;
+      } catch (error) {
+        logger.warn(`Ignoring invalid nextStep condition in step "${currentStep.stepId}": ${error.message}`);
+      }
+    }
+    
+    return null;
+  }
+
+  // All values collected so far in the flow, keyed by fieldId, together with
+  // the computed values unless `computed` is false. Skipped fields are null.
+  getCollectedValues(onboardingProgress, { computed = true } = {}) {
+    const values = {};
+    onboardingProgress.stepProgress.forEach(stepProgress => {
+      stepProgress.fieldData.forEach(fieldData => {
+        values[fieldData.fieldId] = fieldData.skipped ? null : fieldData.value;
+      });
+    });
+    return computed ? { ...values, ...(onboardingProgress.computedValues || {}) } : values;
+  }
+
+  // Re-evaluates the flow's computed fields and stores them when they changed
+  async refreshComputedValues(onboardingProgress, flowConfig) {
+    if (!flowConfig.computedFields || flowConfig.computedFields.length === 0) return;
+    
+    const values = computeValues(flowConfig.computedFields, this.getCollectedValues(onboardingProgress, { computed: false }));
+    if (JSON.stringify(values) !== JSON.stringify(onboardingProgress.computedValues || {})) {
+      await onboardingProgress.setComputedValues(values);
+    }
+  }
+
+  // Replaces {field_id} placeholders with collected or computed values, shown
+  // as in the checkpoint summary. Values not available yet are left out;
+  // placeholders that name no field, like {confirmation_data}, are kept.
+  fillTemplate(text, onboardingProgress, flowConfig) {
+    if (typeof text !== 'string' || !text.includes('{')) return text;
+    
+    return text.replace(/\{(\w+)\}/g, (placeholder, fieldId) => {
+      const computedField = (flowConfig.computedFields || []).find(f => f.fieldId === fieldId);
+      if (computedField) {
+        const value = onboardingProgress.computedValues && onboardingProgress.computedValues[fieldId];
+        return formatComputedValue(value, computedField, { currency: flowConfig.currency });
+      }
+      
+      const field = this.findFlowField(flowConfig, fieldId);
+      if (!field) return placeholder;
+      
+      const fieldData = this.findFieldData(onboardingProgress, fieldId);
+      return fieldData && !fieldData.skipped ? String(this.formatFieldValue(field, fieldData)).trim() : '';
+    });
+  }
+
+  // The stored data for a field, from whichever step collected it
+  findFieldData(onboardingProgress, fieldId) {
+    for (const stepProgress of onboardingProgress.stepProgress) {
+      const fieldData = stepProgress.fieldData.find(f => f.fieldId === fieldId);
+      if (fieldData) return fieldData;
+    }
+    return null;
+  }
+
+  getNextFieldToCollect(currentStep, onboardingProgress) {
+    return this.getRemainingFields(currentStep, onboardingProgress)[0];
   }
 
   getRemainingFields(currentStep, onboardingProgress) {
-    const currentStepProgress = onboardingProgress.getCurrentStepProgress();
-    if (!currentStepProgress) return currentStep.fields;
+    const visibleFields = this.getVisibleFields(currentStep, onboardingProgress);
+    const stepProgress = onboardingProgress.stepProgress.find(step => step.stepId === currentStep.stepId);
+    if (!stepProgress) return visibleFields;
     
-    const collectedFields = currentStepProgress.fieldData.map(field => field.fieldId);
-    return currentStep.fields.filter(field => !collectedFields.includes(field.fieldId));
+    // Addresses missing a required part and lists still taking entries are not collected yet
+    const collectedFields = stepProgress.fieldData
+      .filter(fieldData => !(fieldData.meta && (fieldData.meta.collecting ||
+        (fieldData.meta.missingParts && fieldData.meta.missingParts.length > 0))))
+      .map(field => field.fieldId);
+    return visibleFields.filter(field => !collectedFields.includes(field.fieldId));
   }
 
-  extractFieldValue(message, field) {
-    const lowerMessage = message.toLowerCase();
+  // Fields whose showIf expression holds for the answers collected so far
+  getVisibleFields(step, onboardingProgress) {
+    const values = this.getCollectedValues(onboardingProgress);
+    return step.fields.filter(field => this.isFieldVisible(field, values));
+  }
+
+  isFieldVisible(field, values) {
+    if (!field.showIf) return true;
     
+    try {
+      return Boolean(evaluateExpression(field.showIf, values, COMPUTED_FUNCTIONS));
+    } catch (error) {
+      // A broken condition should not silently drop a field
+      logger.warn(`Ignoring invalid showIf condition on field "${field.fieldId}": ${error.message}`);
+      return true;
+    }
+  }
+
+  extractFieldValue(message, field, options = {}) {
+    const match = this.extractFieldMatch(message, field, options);
+    return match ? match.value : null;
+  }
+
+  // Flow-wide settings that affect how values are read
+  getExtractionOptions(flowConfig) {
+    return {
+      locale: flowConfig.locale,
+      currency: flowConfig.currency,
+      region: flowConfig.defaultRegion
+    };
+  }
+
+  // Returns the extracted value together with the text it was read from, so
+  // callers can take it out of the message, and any type-specific meta data.
+  // A `rawValue` replaces the text as the stored raw value when the text must
+  // not be kept, as with Aadhaar numbers.
+  // With `strict`, only values that can be told apart from the rest of a
+  // sentence are returned.
+  extractFieldMatch(message, field, { strict = false, locale, currency, region } = {}) {
     switch (field.fieldType) {
       case 'text':
-      case 'textarea':
-        return message.trim();
+      case 'textarea': {
+        // "My account number is ..." answers with what follows; a field with a
+        // pattern takes the part of the message that matches it
+        const answer = message.trim().replace(this.answerLeadIn, '').trim() || message.trim();
+        const pattern = this.getFieldPattern(field);
+        const patternMatch = pattern && this.findPatternMatch(answer, pattern);
+        return patternMatch ? { value: patternMatch, text: patternMatch } : { value: answer, text: message };
+      }
       
       case 'email':
         const emailMatch = message.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-        return emailMatch ? emailMatch[0] : null;
+        return emailMatch ? { value: emailMatch[0], text: emailMatch[0] } : null;
       
       case 'phone':
-        const phoneMatch = message.match(/\b\d{10}\b|\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/);
-        return phoneMatch ? phoneMatch[0] : null;
+        // Stored in E.164 form, with the display form and region in meta
+        const phone = parsePhoneNumber(message, {
+          defaultRegion: (field.validation && field.validation.region) || region || 'IN'
+        });
+        return phone
+          ? { value: phone.e164, text: phone.text, meta: { display: phone.display, region: phone.region } }
+          : null;
       
       case 'date':
-        // Simple date extraction - can be enhanced
-        const dateMatch = message.match(/\b\d{1,2}(?:st|nd|rd|th)?\s+(?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{4}\b/i);
-        if (dateMatch) return dateMatch[0];
-        
-        const numericDateMatch = message.match(/\b\d{1,2}[-/]\d{1,2}[-/]\d{4}\b/);
-        return numericDateMatch ? numericDateMatch[0] : null;
+        // Stored as an ISO date; the text it was read from is kept as the raw value
+        const parsedDate = parseDate(message, { locale });
+        return parsedDate ? { value: parsedDate.iso, text: parsedDate.text } : null;
+      
+      case 'currency':
+        // Stored as a plain number, with the currency code in meta
+        const amount = parseAmount(message, {
+          defaultCurrency: (field.validation && field.validation.currency) || currency || 'INR',
+          requireMarker: strict
+        });
+        return amount ? { value: amount.amount, text: amount.text, meta: { currency: amount.currency } } : null;
+      
+      case 'pan':
+        return parsePan(message);
+      
+      case 'aadhaar':
+        // Only a masked number is stored, with the last four digits in meta
+        return parseAadhaar(message);
+      
+      case 'ifsc':
+        return parseIfsc(message);
+      
+      case 'pincode':
+        return parsePincode(message);
+      
+      case 'address':
+        // Stored as { line1, line2, locality, city, district, state, pincode }; the
+        // parts still needed are listed in meta and asked for one at a time
+        const address = parseAddress(message);
+        return address
+          ? { value: address.parts, text: message, meta: this.getAddressMeta(field, address.parts, address.autofilledParts) }
+          : null;
       
       case 'number':
         const numberMatch = message.match(/\b\d+(?:,\d{3})*(?:\.\d{2})?\b/);
-        return numberMatch ? numberMatch[0] : null;
+        return numberMatch ? { value: numberMatch[0], text: numberMatch[0] } : null;
       
       case 'select':
-        if (field.validation && field.validation.options) {
-          const selectedOption = field.validation.options.find(option => 
-            lowerMessage.includes(option.toLowerCase())
-          );
-          return selectedOption || null;
-        }
+        // Typos, option synonyms and negation; numbers only when the prompt lists the options
+        const choice = matchOption(message, (field.validation && field.validation.options) || [], {
+          strict,
+          allowNumbers: Boolean(field.listOptions)
+        });
+        return choice && choice.option ? { value: choice.option, text: choice.text } : null;
+      
+      case 'multiselect':
+        // Stored as an array of option values
+        const choices = matchOptions(message, (field.validation && field.validation.options) || [], {
+          allowNumbers: Boolean(field.listOptions)
+        });
+        return choices ? { value: choices.options, text: choices.text } : null;
+      
+      case 'boolean':
+        return parseBoolean(message);
+      
+      case 'rating':
+        // A whole number on the validation.min to validation.max scale, 1 to 5 by default
+        return parseRating(message, {
+          min: field.validation && field.validation.min,
+          max: field.validation && field.validation.max
+        });
+      
+      case 'list':
+        // Stored as an array of entries
+        const entries = splitListEntries(message);
+        return entries.length > 0 ? { value: entries, text: message } : null;
+      
+      case 'group':
+        // Collected record by record in handleGroupEntry
         return null;
       
       default:
-        return message.trim();
+        return { value: message.trim(), text: message };
     }
   }
 
-  buildConfirmationData(currentStep, stepProgress) {
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  buildConfirmationData(currentStep, stepProgress, onboardingProgress) {
     if (!stepProgress || !stepProgress.fieldData) return '';
     
-    return stepProgress.fieldData.map(fieldData => {
-      const field = currentStep.fields.find(f => f.fieldId === fieldData.fieldId);
-      if (!field) return '';
+    return this.getVisibleFields(currentStep, onboardingProgress).map(field => {
+      const fieldData = stepProgress.fieldData.find(f => f.fieldId === field.fieldId);
+      if (!fieldData) return '';
+      
+      if (fieldData.skipped) {
+        return `${field.fieldName}: not provided`;
+      }
       
       const confirmationPrompt = field.confirmationPrompt || `${field.fieldName}: {value}`;
-      return confirmationPrompt.replace('{value}', fieldData.value);
-    }).join('\n');
+      return confirmationPrompt.replace('{value}', this.formatFieldValue(field, fieldData));
+    }).filter(Boolean).join('\n').replace(/ +\n/g, '\n');
+  }
+
+  // How a stored value is shown back to the user
+  formatFieldValue(field, fieldData) {
+    const { value, meta } = fieldData;
+    
+    switch (field.fieldType) {
+      case 'date':
+        return formatDate(value);
+      
+      case 'currency':
+        return formatAmount(value, (meta && meta.currency) || 'INR');
+      
+      case 'phone':
+        return (meta && meta.display) || formatPhoneNumber(value);
+      
+      case 'aadhaar':
+        return formatAadhaar(value);
+      
+      case 'address':
+        return `\n${formatAddress(value).replace(/^/gm, '  ')}`;
+      
+      case 'multiselect':
+        return Array.isArray(value) ? value.join(', ') : value;
+      
+      case 'boolean':
+        return value ? 'Yes' : 'No';
+      
+      case 'rating':
+        return `${value}/${(field.validation && field.validation.max) || 5}`;
+      
+      case 'list':
+        return Array.isArray(value) ? `\n${value.map(item => `  - ${item}`).join('\n')}` : value;
+      
+      case 'group':
+        // One numbered line per record: "1. Name: Ravi Kumar, Phone: +91 98765 43210"
+        return Array.isArray(value)
+          ? `\n${value.map((record, index) => `  ${index + 1}. ${this.formatGroupRecord(field, record, meta && meta.itemMeta && meta.itemMeta[index])}`).join('\n')}`
+          : value;
+      
+      default:
+        return value;
+    }
+  }
+
+  formatGroupRecord(field, record, recordMeta = {}) {
+    return (field.fields || [])
+      .filter(subField => record[subField.fieldId] !== undefined && record[subField.fieldId] !== null)
+      .map(subField => `${subField.fieldName}: ${this.formatFieldValue(subField, {
+        value: record[subField.fieldId],
+        meta: recordMeta && recordMeta[subField.fieldId]
+      })}`)
+      .join(', ');
   }
 
   createResponse(content) {
@@ -297,20 +2025,195 @@ class AIService {
       .replace(/\s+/g, ' '); // Normalize whitespace
   }
 
+  // Returns { name, confidence, alternatives }, the alternatives being the
+  // next most likely intents with their confidences
   classifyIntent(text) {
-    const lowerText = text.toLowerCase();
-    let bestMatch = { name: 'unknown', confidence: 0 };
-    
-    for (const [intent, keywords] of Object.entries(this.intentKeywords)) {
-      const matches = keywords.filter(keyword => lowerText.includes(keyword));
-      const confidence = matches.length / keywords.length;
-      
-      if (confidence > bestMatch.confidence) {
-        bestMatch = { name: intent, confidence };
-      }
+    return classifyText(this.intentModel, text, this.intentOptions);
+  }
+
+  // The intents to ask about when the classifier isn't sure: none for an
+  // unknown message (that is one for the review inbox) or when the best intent
+  // is likely enough and clearly ahead of the next, otherwise the best two and
+  // any others within clarifyMargin of the best. Flow commands mean nothing
+  // outside a flow, so they are never offered.
+  getClarificationOptions(intent) {
+    const { clarifyBelow, clarifyMargin, clarifyMinConfidence } = this.intentOptions;
+    if (intent.name === 'unknown') return [];
+    const ranked = [intent, ...intent.alternatives]
+      .filter(item => item.confidence >= clarifyMinConfidence && !this.flowCommandIntents.includes(item.name));
+    if (ranked.length === 0) return [];
+
+    const [best, next] = ranked;
+    if (best.confidence >= clarifyBelow && (!next || best.confidence - next.confidence >= clarifyMargin)) return [];
+    return ranked
+      .filter((item, index) => index < 2 || best.confidence - item.confidence < clarifyMargin)
+      .map(item => item.name);
+  }
+
+  // The dialogue state kept with the conversation. Conversations without one
+  // get the topic of the latest recent message that mentions one.
+  getDialogueState(context) {
+    if (context.dialogueState) return context.dialogueState;
+
+    // The last message of the history is the one being answered
+    const history = (context.conversationHistory || []).slice(0, -1);
+    const lastReply = [...history].reverse().find(item => item.role === 'assistant');
+    const mention = [...history].reverse()
+      .filter(item => item.role === 'user')
+      .map(item => findTopicMention(this.topics, this.preprocessText(item.content)))
+      .find(Boolean);
+
+    return {
+      topic: mention ? mention.topic : null,
+      subject: mention ? mention.subject : null,
+      intent: lastReply && lastReply.metadata && lastReply.metadata.intent ? lastReply.metadata.intent.name : null,
+      entities: [],
+      turn: 0
+    };
+  }
+
+  // The topic and subject a follow-up asks about: "tell me more" stays on the
+  // previous ones, "and what about health insurance?" looks for the subject
+  // in the previous topic first. Null when the message isn't a follow-up, or
+  // there is nothing to follow up on.
+  resolveFollowUp(text, dialogueState) {
+    if (!dialogueState.topic) return null;
+    const followUp = parseFollowUp(text);
+    if (!followUp) return null;
+    if (followUp.type === 'more') {
+      return { topic: dialogueState.topic, subject: dialogueState.subject, more: true };
+    }
+    return findTopicMention(this.topics, followUp.subject, dialogueState.topic);
+  }
+
+  // A mentioned subject as an entity, e.g. { type: 'benefit', value: 'health insurance' }
+  getTopicEntities(mention) {
+    if (!mention || !mention.subject) return [];
+    return [{ type: this.topics[mention.topic].entity, value: mention.subject, confidence: 1 }];
+  }
+
+  // Intents added by admins are offered by their description, or their name
+  describeIntent(name) {
+    if (this.intentChoices[name]) return this.intentChoices[name];
+    const stored = this.storedIntents.find(intent => intent.name === name);
+    const phrase = (stored && stored.description) || name.replace(/_/g, ' ');
+    return { label: phrase.charAt(0).toUpperCase() + phrase.slice(1), phrase };
+  }
+
+  // "Did you want help, or to start your application?"
+  getClarificationQuestion(options) {
+    const phrases = options.map(name => this.describeIntent(name).phrase);
+    if (phrases.length === 1) return `Just to check, did you want ${phrases[0]}?`;
+    return `Did you want ${phrases.slice(0, -1).join(', ')}, or ${phrases[phrases.length - 1]}?`;
+  }
+
+  // The intent a reply to a clarifying question picks - a quick reply, the
+  // option's number or a message clearly meaning one of the options - 'none'
+  // for "something else", and null when the reply is about something new
+  resolveClarification(message, pending) {
+    const text = this.preprocessText(message);
+    const labels = pending.options.map(name => this.preprocessText(this.describeIntent(name).label));
+    if (labels.includes(text)) return pending.options[labels.indexOf(text)];
+    if (/^\d$/.test(text) && pending.options[Number(text) - 1]) return pending.options[Number(text) - 1];
+    if (['something else', 'neither', 'none', 'none of these', 'none of them', 'no', 'nope'].includes(text)) return 'none';
+
+    const intent = this.classifyIntent(text);
+    return pending.options.includes(intent.name) && intent.confidence >= this.intentOptions.clarifyBelow
+      ? intent.name
+      : null;
+  }
+
+  // Answers the message that was asked about as the picked intent, and keeps
+  // the message as an example of it for the next retrain. "Something else"
+  // sends it to the review inbox instead.
+  async answerClarification(choice, pending, context, dialogueState, startTime) {
+    const processedText = this.preprocessText(pending.text);
+    const topicMention = findTopicMention(this.topics, processedText, dialogueState.topic);
+    const sentiment = this.analyzeSentiment(processedText);
+    const entities = [...this.extractEntities(processedText), ...this.getTopicEntities(topicMention)];
+    let intent;
+    let response;
+    let nextState = dialogueState;
+
+    if (choice === 'none') {
+      reviewInboxService.record({ kind: 'intent', text: pending.text, sessionId: context.sessionId, userId: context.userId });
+      intent = { name: 'unknown', confidence: 0, alternatives: [] };
+      response = "No problem. Could you tell me a little more about what you're looking for?";
+    } else {
+      reviewInboxService.recordClarification(pending.text, choice);
+      intent = { name: choice, confidence: 1, alternatives: [] };
+      response = await this.generateResponse(processedText, intent, sentiment, entities, { ...context, topicMention });
+      nextState = updateDialogueState(dialogueState, { intent: choice, entities, mention: topicMention });
     }
+
+    return {
+      id: uuidv4(),
+      content: response,
+      role: 'assistant',
+      timestamp: new Date(),
+      metadata: {
+        intent,
+        confidence: intent.confidence,
+        entities,
+        sentiment,
+        processingTime: Date.now() - startTime,
+        clarifiedFrom: pending.text,
+        dialogueState: nextState,
+        context
+      }
+    };
+  }
+
+  // The built-in examples, with stored intents replacing those of the same
+  // name (or switching them off when inactive), plus examples added at runtime
+  getIntentTrainingExamples(storedIntents = this.storedIntents) {
+    const examples = { ...this.intentExamples };
+    storedIntents.forEach(intent => {
+      if (intent.isActive) {
+        examples[intent.name] = intent.examples.map(example => example.text);
+      } else {
+        delete examples[intent.name];
+      }
+    });
+    Object.entries(this.addedIntentExamples).forEach(([intent, texts]) => {
+      examples[intent] = [...(examples[intent] || []), ...texts];
+    });
     
-    return bestMatch;
+    return Object.entries(examples).flatMap(([intent, texts]) => texts.map(text => ({ intent, text })));
+  }
+
+  // Rebuilds the intent model; takes effect for the next message
+  retrainIntentClassifier() {
+    const examples = this.getIntentTrainingExamples();
+    this.intentModel = trainIntentClassifier(examples);
+    logger.info(`Trained intent classifier on ${examples.length} examples for ${this.intentModel.intents.length} intents`);
+    return this.intentModel;
+  }
+
+  // Switches to another set of stored intents and retrains
+  useStoredIntents(storedIntents) {
+    this.storedIntents = storedIntents;
+    return this.retrainIntentClassifier();
+  }
+
+  // Trains on the intents in the database; the built-in examples stay in use
+  // if they can't be read
+  async loadStoredIntents() {
+    try {
+      return this.useStoredIntents(await NluIntent.find().lean());
+    } catch (error) {
+      logger.error('Error loading stored intents:', error);
+      return this.intentModel;
+    }
+  }
+
+  addIntentExamples(intent, examples) {
+    if (!this.addedIntentExamples[intent]) {
+      this.addedIntentExamples[intent] = [];
+    }
+    this.addedIntentExamples[intent].push(...examples);
+    logger.info(`Added examples for intent "${intent}": ${examples.join(', ')}`);
+    this.retrainIntentClassifier();
   }
 
   analyzeSentiment(text) {
@@ -395,6 +2298,9 @@ class AIService {
       case 'confusion':
         return this.getConfusionResponse(context);
       
+      case 'start_flow':
+        return this.getStartFlowResponse();
+      
       default:
         return this.getDefaultResponse(text, context);
     }
@@ -421,24 +2327,25 @@ class AIService {
   }
 
   getQuestionResponse(text, context) {
-    // Simple question answering based on keywords
-    const lowerText = text.toLowerCase();
-    
-    if (lowerText.includes('company') || lowerText.includes('organization')) {
-      return "Our company is focused on innovation and growth. We value collaboration, creativity, and continuous learning. Is there something specific about the company you'd like to know?";
-    }
-    
-    if (lowerText.includes('benefits') || lowerText.includes('perks')) {
-      return "We offer comprehensive benefits including health insurance, retirement plans, flexible working hours, and professional development opportunities. Would you like more details about any specific benefit?";
-    }
-    
-    if (lowerText.includes('policy') || lowerText.includes('policies')) {
-      return "We have various policies covering work hours, remote work, code of conduct, and more. Which policy would you like to learn about?";
+    // Answer from the topic the question mentions, or follows up on
+    if (context.topicMention) {
+      return this.getTopicResponse(context.topicMention);
     }
     
     return "That's a great question! I'd be happy to help you find the answer. Could you provide a bit more detail about what you're looking for?";
   }
 
+  // The overview of a topic, the answer about a subject, or for "tell me
+  // more", what else there is to know
+  getTopicResponse({ topic, subject, more = false }) {
+    const { overview, more: topicMore, subjects } = this.topics[topic];
+    if (!subject) return more ? topicMore : overview;
+    if (!more) return subjects[subject].answer;
+    
+    const others = Object.keys(subjects).filter(name => name !== subject);
+    return `That's the main thing to know about ${subject}, and HR can give you the full details. I can also tell you about ${this.formatChoices(others, 'or')}.`;
+  }
+
   getGratitudeResponse() {
     const responses = [
       "You're very welcome! I'm glad I could help.",
@@ -479,6 +2386,11 @@ class AIService {
            "What's confusing you right now? I'll do my best to explain it clearly.";
   }
 
+  getStartFlowResponse() {
+    return "Great, let's get you started! Open Onboarding Flows and pick the application you'd like to complete. " +
+           "I'll then walk you through it here, one question at a time.";
+  }
+
   getDefaultResponse(text, context) {
     return "I'm not sure I fully understand what you're asking. Could you rephrase your question or provide more details? I'm here to help with your onboarding process!";
   }
@@ -511,13 +2423,14 @@ class AIService {
     }
   }
 
-  // Method to add new intent keywords
+  // Keywords are also training examples, so the classifier learns them too
   addIntentKeywords(intent, keywords) {
     if (!this.intentKeywords[intent]) {
       this.intentKeywords[intent] = [];
     }
     this.intentKeywords[intent].push(...keywords);
     logger.info(`Added keywords for intent "${intent}": ${keywords.join(', ')}`);
+    this.addIntentExamples(intent, keywords);
   }
 
   // Method to get conversation suggestions
@@ -0,0 +1,149 @@
+import logger from '../utils/logger.js';
+import UnrecognizedUtterance from '../models/UnrecognizedUtterance.js';
+import NluIntent from '../models/NluIntent.js';
+import OnboardingFlowConfig from '../models/OnboardingFlowConfig.js';
+import { INTENT_NAME } from '../utils/nluTrainingData.js';
+import { maskUtterance, utteranceTokens, findClosestCluster } from '../utils/utteranceClustering.js';
+import aiService from './aiService.js';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Collects the messages the bot didn't understand into clusters for admins to
+// label, and turns a label into training examples or synonyms
+class ReviewInboxService {
+  constructor() {
+    this.similarityThreshold = 0.6;
+    this.candidateLimit = 200; // Open clusters compared with each new message
+  }
+
+  // Adds a message to the most similar open cluster from the same place in a
+  // flow, or starts a new cluster. Failures are logged, never thrown, so
+  // callers need not wait for it.
+  async record({ kind, text, sessionId, userId, flowId = null, stepId = null, fieldId = null }) {
+    try {
+      const masked = maskUtterance(text);
+      const tokens = utteranceTokens(masked);
+      if (tokens.length === 0) return null;
+
+      const scope = { kind, status: 'open', flowId, stepId, fieldId };
+      const candidates = await UnrecognizedUtterance.find(scope)
+        .sort({ lastSeenAt: -1 })
+        .limit(this.candidateLimit);
+      const cluster = findClosestCluster(candidates, tokens, this.similarityThreshold) ||
+        new UnrecognizedUtterance({ ...scope, text: masked, tokens });
+
+      return await cluster.addOccurrence(masked, { sessionId, userId });
+    } catch (error) {
+      logger.error('Error recording unrecognized message:', error);
+      return null;
+    }
+  }
+
+  // Labels a cluster as
+  //   { type: 'intent', intent }                   examples of an existing intent
+  //   { type: 'new_intent', intent, description }  the first examples of a new intent
+  //   { type: 'synonym', flowId, fieldId, option } synonyms of a field, or of one of its options
+  // New examples are used from the next retrain; synonyms straight away.
+  async label(cluster, label, user) {
+    if (cluster.status !== 'open') throw badRequest('This cluster has already been reviewed');
+    const texts = cluster.variants.map(variant => variant.text);
+
+    if (label.type === 'intent' || label.type === 'new_intent') {
+      await this.addIntentExamples(label, texts, user);
+    } else if (label.type === 'synonym') {
+      await this.addSynonyms({ ...label, flowId: label.flowId || cluster.flowId, fieldId: label.fieldId || cluster.fieldId }, texts);
+    } else {
+      throw badRequest('Label type must be intent, new_intent or synonym');
+    }
+
+    cluster.status = 'labeled';
+    cluster.label = {
+      type: label.type,
+      intent: label.intent,
+      flowId: label.flowId || cluster.flowId,
+      fieldId: label.fieldId || cluster.fieldId,
+      option: label.option,
+      labeledBy: user._id,
+      labeledAt: new Date()
+    };
+    await cluster.save();
+
+    logger.info(`Review cluster ${cluster._id} labeled as ${label.type} ${label.intent || label.fieldId || cluster.fieldId} by admin: ${user.email}`);
+    return cluster;
+  }
+
+  // Keeps a message as an example of the intent the user picked when asked
+  // what they meant, for the next retrain. Failures are logged, never thrown.
+  async recordClarification(text, name) {
+    try {
+      await this.addIntentExamples({ type: 'intent', intent: name }, [maskUtterance(text)], null, 'clarification');
+    } catch (error) {
+      logger.error('Error recording clarified message:', error);
+    }
+  }
+
+  async addIntentExamples({ type, intent: name, description }, texts, user, source = 'review') {
+    if (!name || !INTENT_NAME.test(name)) throw badRequest('A valid intent name is required');
+
+    const builtIn = aiService.intentExamples[name];
+    let intent = await NluIntent.findOne({ name });
+    if (type === 'intent' && !intent && !builtIn) throw badRequest(`Intent "${name}" does not exist`);
+    if (type === 'new_intent' && (intent || builtIn)) throw badRequest(`Intent "${name}" already exists`);
+
+    if (!intent) {
+      // A built-in intent keeps its built-in examples once it is stored
+      intent = new NluIntent({ name, description, createdBy: user && user._id });
+      intent.addExamples((builtIn || []).map(text => ({ text })));
+    }
+    intent.addExamples(texts.map(text => ({ text, source })));
+    if (user) intent.updatedBy = user._id;
+    await intent.save();
+  }
+
+  async addSynonyms({ flowId, fieldId, option }, texts) {
+    const flowConfig = flowId && await OnboardingFlowConfig.findOne({ flowId });
+    if (!flowConfig) throw badRequest('A flow is required for a synonym');
+
+    const field = this.findField(flowConfig.steps.flatMap(step => step.fields), fieldId);
+    if (!field) throw badRequest(`Field "${fieldId}" not found in flow "${flowId}"`);
+
+    const addTo = (list) => {
+      texts.forEach(text => {
+        if (!list.some(item => item.toLowerCase() === text.toLowerCase())) list.push(text);
+      });
+      return list;
+    };
+
+    if (option) {
+      const options = (field.validation && field.validation.options) || [];
+      const index = options.findIndex(item => (typeof item === 'string' ? item : item && item.value) === option);
+      if (index < 0) throw badRequest(`"${option}" is not an option of ${field.fieldName}`);
+
+      const current = options[index];
+      options.set(index, typeof current === 'string'
+        ? { value: current, synonyms: addTo([]) }
+        : { ...current, synonyms: addTo([...(current.synonyms || [])]) });
+    } else {
+      field.synonyms = addTo([...(field.synonyms || [])]);
+    }
+
+    flowConfig.markModified('steps');
+    await flowConfig.save();
+  }
+
+  // Fields of group fields are searched too
+  findField(fields, fieldId) {
+    for (const field of fields) {
+      if (field.fieldId === fieldId) return field;
+      const nested = field.fields && field.fields.length > 0 && this.findField(field.fields, fieldId);
+      if (nested) return nested;
+    }
+    return null;
+  }
+}
+
+export default new ReviewInboxService();
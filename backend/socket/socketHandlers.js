@@ -117,9 +117,12 @@ const setupSocketHandlers = (io) => {
         // Process message with AI
         const context = {
           userId: socket.userId,
+          sessionId,
           userProfile: socket.user.profile,
           onboardingStep: socket.user.onboarding.currentStep,
-          conversationHistory: conversation.getRecentMessages(5)
+          conversationHistory: conversation.getRecentMessages(5),
+          pendingClarification: conversation.context && conversation.context.pendingClarification,
+          dialogueState: conversation.context && conversation.context.dialogueState
         };
 
         let aiResponse;
@@ -151,7 +154,10 @@ const setupSocketHandlers = (io) => {
         await conversation.updateContext({
           lastUserMessage: content,
           lastAIResponse: aiResponse.content,
-          lastInteraction: new Date()
+          lastInteraction: new Date(),
+          pendingClarification: (aiResponse.metadata && aiResponse.metadata.pendingClarification) || null,
+          // Flow answers leave the dialogue state as it was
+          dialogueState: (aiResponse.metadata && aiResponse.metadata.dialogueState) || context.dialogueState || null
         });
 
         // Broadcast AI response to conversation room
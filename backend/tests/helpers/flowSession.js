@@ -0,0 +1,46 @@
+// Runs conversations through the AI service without a database: progress is
+// kept in memory, saves only validate, and the profile lookup and the review
+// inbox are stubbed
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import OnboardingFlowConfig from '../../models/OnboardingFlowConfig.js';
+import OnboardingProgress from '../../models/OnboardingProgress.js';
+import User from '../../models/User.js';
+import aiService from '../../services/aiService.js';
+import reviewInboxService from '../../services/reviewInboxService.js';
+
+const stubDatabase = ({ user = null } = {}) => {
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+  jest.spyOn(reviewInboxService, 'record').mockResolvedValue(null);
+  jest.spyOn(reviewInboxService, 'recordClarification').mockResolvedValue(null);
+};
+
+// Starts a session of the flow at its first step, or at the step given
+const startFlow = (flowDefinition, { currentStep = flowDefinition.steps[0].stepId, userId } = {}) => {
+  const flowConfig = new OnboardingFlowConfig(flowDefinition);
+  const progress = new OnboardingProgress({
+    userId: userId || new mongoose.Types.ObjectId(),
+    flowId: flowDefinition.flowId,
+    sessionId: 'test-session',
+    currentStep
+  });
+  progress.save = async function() {
+    const error = this.validateSync();
+    if (error) throw error;
+    return this;
+  };
+  return { flowConfig, progress };
+};
+
+// Sends the messages in order and resolves to the last reply
+const send = async (session, ...messages) => {
+  let response = null;
+  for (const message of messages) {
+    response = await aiService.processMessage(message, { onboardingProgress: session.progress, flowConfig: session.flowConfig });
+  }
+  return response;
+};
+
+const collectedValues = (session) => aiService.getCollectedValues(session.progress, { computed: false });
+
+export { stubDatabase, startFlow, send, collectedValues };
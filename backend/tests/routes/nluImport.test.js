@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import nluRoutes from '../../routes/nlu.js';
+import NluIntent from '../../models/NluIntent.js';
+import User from '../../models/User.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/nlu', nluRoutes);
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'admin', isActive: true };
+const token = jwt.sign({ id: admin._id }, process.env.JWT_SECRET || 'fallback-secret');
+
+const importCsv = (csv) => request(app)
+  .post('/api/nlu/import')
+  .set('Authorization', `Bearer ${token}`)
+  .attach('file', Buffer.from(csv), 'training.csv');
+
+let saved;
+beforeEach(() => {
+  saved = [];
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+  jest.spyOn(NluIntent, 'findOne').mockResolvedValue(null);
+  jest.spyOn(NluIntent.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    saved.push(this);
+    return this;
+  });
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/nlu/import', () => {
+  test('imports the usable rows and reports the others', async () => {
+    const csv = [
+      'intent,text',
+      'loan_query,"what is the interest rate,\nand the tenure?"',
+      `loan_query,${'x'.repeat(501)}`,
+      'Bad Name,hello'
+    ].join('\n');
+
+    const res = await importCsv(csv);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ created: 1, updated: 0, examplesAdded: 1 });
+    expect(res.body.errors).toEqual([
+      { row: 2, message: 'Example text is longer than 500 characters' },
+      { row: 3, message: 'Invalid intent name "Bad Name"' }
+    ]);
+    expect(saved[0].examples.map(example => example.text)).toEqual(['what is the interest rate,\nand the tenure?']);
+  });
+
+  test('rejects a file with an unclosed quote', async () => {
+    const res = await importCsv('intent,text\nloan_query,"what is the rate\n');
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Could not read the training data: Unclosed quote in CSV record 2');
+    expect(saved).toEqual([]);
+  });
+
+  test('reports an intent that fails validation and imports the rest', async () => {
+    const stored = new NluIntent({ name: 'greeting', examples: [{ text: 'y'.repeat(600) }] });
+    NluIntent.findOne.mockImplementation(async ({ name }) => (name === 'greeting' ? stored : null));
+
+    const res = await request(app)
+      .post('/api/nlu/import')
+      .set('Authorization', `Bearer ${token}`)
+      .send([
+        { intent: 'greeting', text: 'namaste' },
+        { intent: 'loan_query', text: 'what is the rate?' },
+        { intent: 'loan_query', text: 'rate please', entities: [{ entity: ' ', value: 'rate' }] }
+      ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ created: 1, updated: 0, examplesAdded: 1 });
+    expect(res.body.errors).toEqual([
+      { row: 3, message: 'Entity annotations need an entity and a value' },
+      { intent: 'greeting', message: expect.stringMatching(/maximum allowed length \(500\)/) }
+    ]);
+    expect(saved.map(intent => intent.name)).toEqual(['loan_query']);
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import mongoose from 'mongoose';
+import nluRoutes from '../../routes/nlu.js';
+import UnrecognizedUtterance from '../../models/UnrecognizedUtterance.js';
+import Conversation from '../../models/Conversation.js';
+import NluIntent from '../../models/NluIntent.js';
+import User from '../../models/User.js';
+import reviewInboxService from '../../services/reviewInboxService.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/nlu', nluRoutes);
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'admin', isActive: true };
+const token = jwt.sign({ id: admin._id }, process.env.JWT_SECRET || 'fallback-secret');
+
+const makeCluster = () => new UnrecognizedUtterance({
+  kind: 'intent',
+  text: 'loan rates?',
+  tokens: ['loan', 'rate'],
+  variants: [{ text: 'loan rates?', count: 1 }],
+  count: 1
+});
+
+let cluster;
+beforeEach(() => {
+  cluster = makeCluster();
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+  jest.spyOn(UnrecognizedUtterance.prototype, 'save').mockImplementation(async function() {
+    return this;
+  });
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/nlu/review', () => {
+  test('lists the open clusters matching the filters', async () => {
+    const query = { select: () => query, sort: () => query, skip: () => query, limit: () => Promise.resolve([cluster]) };
+    const find = jest.spyOn(UnrecognizedUtterance, 'find').mockReturnValue(query);
+    jest.spyOn(UnrecognizedUtterance, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app)
+      .get('/api/nlu/review?kind=field_value&flowId=loan_application')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ status: 'open', kind: 'field_value', flowId: 'loan_application' });
+    expect(res.body.clusters).toHaveLength(1);
+    expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+  });
+
+  test.each([
+    ['status=closed', 'Status must be open, labeled or dismissed'],
+    ['kind=everything', 'Kind must be intent or field_value']
+  ])('rejects %s', async (filter, message) => {
+    const find = jest.spyOn(UnrecognizedUtterance, 'find');
+
+    const res = await request(app)
+      .get(`/api/nlu/review?${filter}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(JSON.stringify(res.body)).toContain(message);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/nlu/review/:id', () => {
+  test('shows each sample with the messages around it, masked', async () => {
+    const at = new Date('2026-10-01T10:00:05Z');
+    cluster.samples.push({ sessionId: 's1', text: 'loan rates?', at });
+    jest.spyOn(UnrecognizedUtterance, 'findById').mockReturnValue({ select: () => Promise.resolve(cluster) });
+    jest.spyOn(Conversation, 'findOne').mockReturnValue({
+      select: () => Promise.resolve({
+        messages: [
+          { role: 'user', content: 'my number is 98765 43210', timestamp: new Date('2026-10-01T10:00:00Z') },
+          { role: 'assistant', content: 'Thanks!', timestamp: new Date('2026-10-01T10:00:01Z') },
+          { role: 'user', content: 'loan rates?', timestamp: at },
+          { role: 'assistant', content: "I'm not sure I follow.", timestamp: new Date('2026-10-01T10:00:06Z') },
+          { role: 'user', content: 'never mind', timestamp: new Date('2026-10-01T10:01:00Z') }
+        ]
+      })
+    });
+
+    const res = await request(app)
+      .get(`/api/nlu/review/${cluster._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.samples[0].conversation.map(message => message.content))
+      .toEqual(['my number is #', 'Thanks!', 'loan rates?', "I'm not sure I follow."]);
+  });
+
+  test('returns 404 for an unknown cluster', async () => {
+    jest.spyOn(UnrecognizedUtterance, 'findById').mockReturnValue({ select: () => Promise.resolve(null) });
+
+    const res = await request(app)
+      .get(`/api/nlu/review/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Review cluster not found');
+  });
+});
+
+describe('POST /api/nlu/review/:id/label', () => {
+  const label = (body) => request(app)
+    .post(`/api/nlu/review/${cluster._id}/label`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  test('labels the cluster', async () => {
+    jest.spyOn(UnrecognizedUtterance, 'findById').mockResolvedValue(cluster);
+    const labelCluster = jest.spyOn(reviewInboxService, 'label').mockImplementation(async (target) => target);
+
+    const res = await label({ type: 'intent', intent: 'help' });
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Cluster labeled; the examples are used from the next retrain');
+    expect(labelCluster).toHaveBeenCalledWith(cluster, expect.objectContaining({ type: 'intent', intent: 'help' }), admin);
+  });
+
+  test('passes on what is wrong with the label', async () => {
+    jest.spyOn(UnrecognizedUtterance, 'findById').mockResolvedValue(cluster);
+    jest.spyOn(NluIntent, 'findOne').mockResolvedValue(null);
+
+    const res = await label({ type: 'intent', intent: 'loan_rates' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Intent "loan_rates" does not exist');
+  });
+});
+
+describe('POST /api/nlu/review/:id/dismiss', () => {
+  test('dismisses the cluster', async () => {
+    jest.spyOn(UnrecognizedUtterance, 'findById').mockResolvedValue(cluster);
+
+    const res = await request(app)
+      .post(`/api/nlu/review/${cluster._id}/dismiss`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cluster.status).toBe('dismissed');
+    expect(cluster.save).toHaveBeenCalled();
+  });
+});
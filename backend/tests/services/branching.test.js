@@ -0,0 +1,42 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+// Other details with the address type and employment type left to each test
+const otherDetails = (addressType, employmentType) => [
+  '12 MG Road, Bengaluru 560001', 'yes', addressType, '3 years', 'skip', employmentType,
+  ...(employmentType === 'salaried' ? ['Infosys'] : []),
+  '80000', 'HDFC', '123456789012', 'HDFC0001234', 'yes'
+];
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('conditional branching between steps', () => {
+  test('goes to the default step when no condition matches', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    const reply = await send(session, ...otherDetails('owned', 'salaried'));
+    expect(session.progress.currentStep).toBe('references');
+    expect(reply.content).toMatch(/two people we can contact as references/);
+  });
+
+  test('takes the first matching condition, then branches again from the next step', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    const reply = await send(session, ...otherDetails('rented', 'self employed'));
+    expect(session.progress.currentStep).toBe('rent_details');
+    expect(reply.content).toMatch(/how much rent do you pay/);
+
+    await send(session, '18000', 'skip', 'yes');
+    expect(session.progress.currentStep).toBe('business_details');
+  });
+
+  test('going back from a branch returns to the step that chose it', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(session, ...otherDetails('rented', 'salaried'));
+
+    const reply = await send(session, 'go back');
+    expect(reply.content).toMatch(/^Sure, let's go back to Other Details/);
+    expect(session.progress.currentStep).toBe('other_details');
+    expect(session.progress.stepProgress.map(step => step.stepId)).toEqual(['other_details']);
+  });
+});
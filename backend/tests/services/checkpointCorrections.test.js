@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+import aiService from '../../services/aiService.js';
+
+const personalDetails = ['Ravi Kumar', '3 March 1990', 'male', '+91 98765 43210', 'ravi@example.com', 'skip', 'skip'];
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('checkpoint corrections', () => {
+  test.each([
+    ['change dob to 4/3/1990', 'date_of_birth', '1990-03-04'],
+    ['email should be ravi@y.com', 'email_address', 'ravi@y.com'],
+    ['wrong mobile: +91 91234 56789', 'mobile_number', '+919123456789']
+  ])('applies "%s" and carries it on once confirmed', async (message, fieldId, value) => {
+    const session = startFlow(loanApplicationFlow);
+    expect((await send(session, ...personalDetails)).content).toContain('Is that correct?');
+
+    const reply = await send(session, message);
+    expect(reply.content).toMatch(/^I've updated your/);
+    expect(collectedValues(session)[fieldId]).toBe(value);
+
+    await send(session, 'yes');
+    expect(session.progress.currentStep).toBe('loan_details');
+    expect(session.progress.stepProgress[0]).toMatchObject({ status: 'completed' });
+    expect(collectedValues(session)[fieldId]).toBe(value);
+  });
+
+  test('treats a message naming a field as a correction when the classifier is unsure', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...personalDetails);
+    jest.spyOn(aiService, 'classifyIntent').mockReturnValue({ name: 'unknown', confidence: 0.2, alternatives: [] });
+
+    await send(session, 'change dob to 4/3/1990');
+    expect(collectedValues(session).date_of_birth).toBe('1990-03-04');
+  });
+
+  test('shows the summary again for an unsure message that names no field', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...personalDetails);
+    jest.spyOn(aiService, 'classifyIntent').mockReturnValue({ name: 'unknown', confidence: 0.2, alternatives: [] });
+
+    const reply = await send(session, 'hmm');
+    expect(reply.content).toMatch(/^Just to confirm/);
+    expect(collectedValues(session).date_of_birth).toBe('1990-03-03');
+  });
+});
+
+describe('corrections without a new value', () => {
+  test.each(['the name is wrong', 'my name is incorrect', 'name is not right'])('asks for the new value after "%s"', async (message) => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...personalDetails);
+
+    const reply = await send(session, message);
+    expect(reply.content).toMatch(/^Sure, let's fix your Full Name\./);
+    expect(collectedValues(session).full_name).toBe('Ravi Kumar');
+
+    const updated = await send(session, 'Ravi Kumar Sharma');
+    expect(updated.content).toMatch(/^I've updated your Full Name\. Just to confirm/);
+    expect(collectedValues(session).full_name).toBe('Ravi Kumar Sharma');
+    expect(session.progress.pendingCorrection.fieldId).toBeUndefined();
+  });
+
+  test('takes the value given after the complaint', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...personalDetails);
+
+    await send(session, "the name is wrong, it's Ravi Kumar Sharma");
+    expect(collectedValues(session).full_name).toBe('Ravi Kumar Sharma');
+    await send(session, 'my name is spelled Ravi Kumar Verma');
+    expect(collectedValues(session).full_name).toBe('Ravi Kumar Verma');
+  });
+
+  test('keeps the old value when the user confirms it after all', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...personalDetails, 'the name is wrong');
+
+    const reply = await send(session, 'yes');
+    expect(reply.content).toMatch(/^Okay, I've left it as it was\. Just to confirm/);
+    expect(collectedValues(session).full_name).toBe('Ravi Kumar');
+  });
+
+  test('lets going back restore the value a correction replaced', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...personalDetails, 'the name is wrong', 'Ravi Kumar Sharma');
+
+    const reply = await send(session, 'go back');
+    expect(reply.content).toMatch(/^Okay, I've undone the change to your Full Name\./);
+    expect(collectedValues(session).full_name).toBe('Ravi Kumar');
+  });
+});
@@ -0,0 +1,24 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+import aiService from '../../services/aiService.js';
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('computed fields in a flow', () => {
+  test('shows a computed value in the checkpoint message', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    const reply = await send(session, '5 lakh', '5', 'education', 'no');
+    expect(reply.content).toMatch(/That works out to an estimated EMI of ₹10,747 a month\. Is that right\?$/);
+  });
+
+  test('works the value out again after a correction', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    await send(session, '5 lakh', '5', 'education', 'no');
+
+    const reply = await send(session, 'no, loan amount 3 lakh');
+    expect(reply.content).toContain('estimated EMI of ₹6,448 a month');
+    expect(aiService.getCollectedValues(session.progress).emi).toBeCloseTo(6448.17, 2);
+  });
+});
@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+const personalDetails = ['Ravi Kumar', '3 March 1990', 'male', '9876543210', 'ravi@example.com', 'skip', 'skip', 'yes'];
+const references = ['Anita Sharma, 98765 43210, friend', 'Raj Mehta, 9123456789, coworker', 'no', 'yes'];
+
+// The whole loan application with the loan amount, income and employment left to each test
+const applyFor = (session, { loanAmount, income, employment = ['salaried', 'Infosys'] }) => send(session,
+  ...personalDetails,
+  loanAmount, '5', 'education', 'no', 'yes',
+  '12 MG Road, Bengaluru 560001', 'yes', 'owned', '3 years', 'skip', ...employment,
+  income, 'HDFC', '123456789012', 'HDFC0001234', 'yes',
+  ...(employment[0] === 'self employed' ? ['Ravi Traders', '2', 'yes'] : []),
+  ...references);
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('eligibility decision at completion', () => {
+  test('pre-qualifies a strong application and records the score', async () => {
+    const session = startFlow(loanApplicationFlow);
+    const reply = await applyFor(session, { loanAmount: '5 lakh', income: '80000' });
+
+    expect(reply.content).toMatch(/^Good news! Based on what you've told us, you're pre-qualified for a loan of ₹5,00,000, with an estimated EMI of ₹10,747 a month\./);
+    expect(session.progress.decision).toMatchObject({ outcome: 'eligible', score: 100, reasonCodes: [] });
+    expect(session.progress.decision.trace.find(entry => entry.ruleId === 'age_at_maturity')).toMatchObject({ matched: false });
+  });
+
+  test('refers an application that a rule flags, with its reason', async () => {
+    const session = startFlow(loanApplicationFlow);
+    const reply = await applyFor(session, { loanAmount: '5 lakh', income: '30000', employment: ['self employed'] });
+
+    expect(reply.content).toMatch(/needs a closer look from our team because your business has been running for less than 3 years\./);
+    expect(session.progress.decision).toMatchObject({ outcome: 'refer', reasonCodes: ['NEW_BUSINESS', 'LOW_SCORE'] });
+  });
+
+  test('declines at a stopping rule and leaves the later rules out', async () => {
+    const session = startFlow(loanApplicationFlow);
+    const reply = await applyFor(session, { loanAmount: '2 lakh', income: '12000' });
+
+    expect(reply.content).toMatch(/can't pre-approve this loan because your monthly income is below our minimum of ₹15,000\./);
+    expect(session.progress.decision).toMatchObject({ outcome: 'decline', reasonCodes: ['LOW_INCOME', 'LOW_SCORE'] });
+    expect(session.progress.decision.trace.map(entry => entry.ruleId)).toEqual(['age_at_maturity', 'minimum_income']);
+  });
+});
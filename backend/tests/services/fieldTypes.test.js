@@ -0,0 +1,246 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('date fields', () => {
+  test('stores an ISO date and shows it written out', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar', '12 Aug 1988');
+    expect(collectedValues(session).date_of_birth).toBe('1988-08-12');
+
+    const reply = await send(session, 'male', '9876543210', 'ravi@example.com', 'skip', 'skip');
+    expect(reply.content).toContain('DOB: 12 August 1988');
+  });
+
+  test('checks the age limits with the flow\'s own messages', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar');
+
+    const reply = await send(session, '1st of march 2015');
+    expect(reply.content).toBe('Applicants need to be at least 18 years old for a loan. Could you double-check your date of birth?');
+    expect(collectedValues(session)).not.toHaveProperty('date_of_birth');
+  });
+
+  test('asks again for a date that does not exist', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar');
+
+    expect((await send(session, '31/02/1990')).content).toBe("I couldn't understand that. And your date of birth?");
+  });
+});
+
+describe('currency fields', () => {
+  test('stores amounts as numbers and shows them in Indian digit grouping', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    const reply = await send(session, '₹2,50,000', '5', 'travel', 'yes', 'rupees 12k');
+
+    expect(collectedValues(session)).toMatchObject({ loan_amount: 250000, existing_emi: 12000 });
+    expect(reply.content).toContain('Loan amount: ₹2,50,000');
+    expect(reply.content).toContain('Existing EMIs: ₹12,000 a month');
+  });
+
+  test('reads lakh and crore in answers and corrections', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    await send(session, 'two and a half lakh');
+    expect(collectedValues(session).loan_amount).toBe(250000);
+    await send(session, 'go back', '1.5 crore');
+    expect(collectedValues(session).loan_amount).toBe(15000000);
+
+    await send(session, '5', 'travel', 'no');
+    await send(session, 'no, loan amount 3 lakh');
+    expect(collectedValues(session).loan_amount).toBe(300000);
+  });
+
+  test('asks again when the answer has no amount', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    const reply = await send(session, 'not sure');
+    expect(reply.content).toBe("I couldn't understand that. How much would you like to borrow? You can say something like 5 lakh or ₹2,50,000.");
+  });
+});
+
+describe('phone fields', () => {
+  const atMobileNumber = async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar', '3 March 1990', 'male');
+    return session;
+  };
+
+  test.each([
+    ['098765 43210', '+919876543210'],
+    ['my number is +91-98765-43210', '+919876543210'],
+    ['+44 20 7946 0958', '+442079460958']
+  ])('stores "%s" in E.164', async (message, value) => {
+    const session = await atMobileNumber();
+    await send(session, message);
+    expect(collectedValues(session).mobile_number).toBe(value);
+  });
+
+  test('shows an Indian number grouped and asks again for one that is too short', async () => {
+    const session = await atMobileNumber();
+    expect((await send(session, '12345')).content).toBe("I couldn't understand that. Which mobile number should we use to contact you?");
+
+    const reply = await send(session, '9876543210', 'ravi@example.com', 'skip', 'skip');
+    expect(reply.content).toContain('Mobile: +91 98765 43210');
+  });
+});
+
+describe('Indian ID fields', () => {
+  const atPan = async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar', '3 March 1990', 'male', '9876543210', 'ravi@example.com');
+    return session;
+  };
+
+  test('picks a PAN out of a longer reply and explains the format when it is wrong', async () => {
+    const session = await atPan();
+    const reply = await send(session, 'my pan is abcde1234');
+    expect(reply.content).toMatch(/^A PAN has 10 characters: five letters, four digits and a letter, like ABCPE1234F\./);
+
+    await send(session, 'it is abcpe1234f');
+    expect(collectedValues(session).pan_number).toBe('ABCPE1234F');
+  });
+
+  test('rejects an Aadhaar number that fails the check digit', async () => {
+    const session = await atPan();
+    await send(session, 'skip');
+
+    const reply = await send(session, 'aadhaar 2345 6789 0123');
+    expect(reply.content).toMatch(/^That Aadhaar number doesn't pass the check-digit test/);
+    expect(collectedValues(session)).not.toHaveProperty('aadhaar_number');
+  });
+
+  test('keeps only the last four digits of an Aadhaar number', async () => {
+    const session = await atPan();
+    const reply = await send(session, 'skip', '2345 6789 0124');
+
+    expect(collectedValues(session).aadhaar_number).toBe('XXXXXXXX0124');
+    expect(reply.content).toContain('Aadhaar: XXXX XXXX 0124');
+  });
+});
+
+describe('address fields', () => {
+  test('asks for each missing part on its own', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    expect((await send(session, '45 Park Street, Kolkata')).content).toBe("What's the PIN code for that address?");
+    expect((await send(session, '12345')).content).toBe("A PIN code has 6 digits, like 110016. What's the PIN code for that address?");
+    expect((await send(session, '700016')).content).toBe("What's the state for that address?");
+    expect((await send(session, 'Atlantis')).content).toMatch(/^I didn't recognise that as an Indian state or union territory\./);
+
+    await send(session, 'west bengal');
+    expect(collectedValues(session).current_address).toEqual({
+      line1: '45 Park Street',
+      city: 'Kolkata',
+      pincode: '700016',
+      state: 'West Bengal'
+    });
+  });
+
+  test('fills parts in from a PIN code given in a follow-up', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(session, 'Plot 7, Sector 18, Noida');
+
+    const reply = await send(session, '201301');
+    expect(reply.content).toBe("Going by PIN code 201301, I've filled in:\nDistrict: Gautam Buddha Nagar\nState: Uttar Pradesh\nIs that right?");
+    expect((await send(session, 'yes')).content).toMatch(/^Great\. Is this owned, rented, or provided by your employer\?/);
+  });
+});
+
+describe('select fields', () => {
+  const atGender = async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar', '3 March 1990');
+    return session;
+  };
+
+  test.each([['femal', 'Female'], ['2', 'Female'], ['I am a man', 'Male']])('reads "%s" as %s', async (message, value) => {
+    const session = await atGender();
+    await send(session, message);
+    expect(collectedValues(session).gender).toBe(value);
+  });
+
+  test('takes an option from its synonyms', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(session, '12 MG Road, Bengaluru 560001', 'yes', 'its my own house');
+    expect(collectedValues(session).address_type).toBe('Owned');
+  });
+
+  test('offers the other options after a negation', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(session, '12 MG Road, Bengaluru 560001', 'yes');
+
+    expect((await send(session, 'not rented')).content).toBe('Just to check, did you mean Owned or Provided by employer?');
+    await send(session, 'owned');
+    expect(collectedValues(session).address_type).toBe('Owned');
+  });
+
+  test('does not read a number as an option when the options were not listed', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(session, '12 MG Road, Bengaluru 560001', 'yes', 'owned', '3 years', 'skip');
+
+    const reply = await send(session, '2');
+    expect(reply.content).toBe("I didn't catch which one you meant. Please choose one of these: Salaried or Self-employed.");
+  });
+});
+
+describe('multiselect fields', () => {
+  test('stores every option picked and lists them in the summary', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    const reply = await send(session, '5 lakh', '5', 'education and medical', 'no');
+
+    expect(collectedValues(session).loan_purpose).toEqual(['Education', 'Medical']);
+    expect(reply.content).toContain('Purpose: Education, Medical');
+  });
+
+  test('reads "all except" and replaces the choice on a correction', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    await send(session, '5 lakh', '5', 'all except travel and wedding', 'no');
+    expect(collectedValues(session).loan_purpose).toEqual(['Home renovation', 'Education', 'Medical', 'Debt consolidation', 'Other']);
+
+    await send(session, 'no, purpose education, travel');
+    expect(collectedValues(session).loan_purpose).toEqual(['Education', 'Travel']);
+  });
+});
+
+describe('rating and yes/no fields', () => {
+  const feedbackFlow = {
+    flowId: 'feedback_test',
+    name: 'Feedback test',
+    steps: [
+      {
+        stepId: 'feedback',
+        stepName: 'Feedback',
+        stepType: 'data_collection',
+        isCheckpoint: true,
+        confirmationMessage: 'Just to confirm:\n{confirmation_data}\nIs that correct?',
+        fields: [
+          { fieldId: 'rating', fieldName: 'Rating', fieldType: 'rating', required: true, prompt: 'How would you rate us from 1 to 5?' },
+          { fieldId: 'recommend', fieldName: 'Recommend', fieldType: 'boolean', required: true, prompt: 'Would you recommend us?' }
+        ]
+      }
+    ]
+  };
+
+  test('rescales a rating, stores yes/no as a boolean and shows both', async () => {
+    const session = startFlow(feedbackFlow);
+    const reply = await send(session, '8 out of 10', 'yeah definitely');
+
+    expect(collectedValues(session)).toEqual({ rating: 4, recommend: true });
+    expect(reply.content).toBe('Just to confirm:\nRating: 4/5\nRecommend: Yes\nIs that correct?');
+  });
+
+  test('asks again when a yes/no answer is unsure', async () => {
+    const session = startFlow(feedbackFlow);
+    await send(session, '3');
+
+    expect((await send(session, 'not sure')).content).toBe('Sorry, was that a yes or a no? Would you recommend us?');
+    expect(collectedValues(session)).toEqual({ rating: 3 });
+  });
+
+  test('asks again for a rating outside the scale', async () => {
+    const session = startFlow(feedbackFlow);
+    expect((await send(session, '7')).content).toBe('Please give a rating from 1 to 5. How would you rate us from 1 to 5?');
+  });
+});
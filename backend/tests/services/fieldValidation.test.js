@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+import aiService from '../../services/aiService.js';
+
+const upToAccountNumber = ['12 MG Road, Bengaluru 560001', 'yes', 'owned', '3 years', 'skip', 'salaried', 'Infosys', '80000', 'HDFC'];
+
+const atAccountNumber = async () => {
+  const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+  const reply = await send(session, ...upToAccountNumber);
+  expect(reply.content).toBe("What's the account number for that bank account?");
+  return session;
+};
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('validation rules declared in the flow', () => {
+  test.each([
+    '123456789012',
+    'my account number is 123456789012',
+    "it's 123456789012",
+    'account no. 123456789012 please'
+  ])('takes the part of "%s" that matches the pattern', async (message) => {
+    const session = await atAccountNumber();
+    expect((await send(session, message)).content).toBe('And the IFSC code?');
+    expect(collectedValues(session).account_number).toBe('123456789012');
+  });
+
+  test('fills the account number and IFSC code from one message', async () => {
+    const session = await atAccountNumber();
+    await send(session, '123456789012, HDFC0001234');
+    expect(collectedValues(session)).toMatchObject({ account_number: '123456789012', ifsc_code: 'HDFC0001234' });
+  });
+
+  test("explains the pattern when nothing in the message matches it", async () => {
+    const session = await atAccountNumber();
+    const reply = await send(session, 'my account number is 12345');
+    expect(reply.content).toBe('Account numbers have 9 to 18 digits. Could you check it and share the account number again?');
+    expect(collectedValues(session).account_number).toBeUndefined();
+  });
+
+  test('checks the length of a text answer without its lead-in', async () => {
+    const session = startFlow(loanApplicationFlow);
+    expect((await send(session, 'my name is Al')).content).toMatch(/^That seems too short for a full name/);
+    await send(session, 'my name is Ravi Kumar');
+    expect(collectedValues(session).full_name).toBe('Ravi Kumar');
+  });
+});
+
+describe('findPatternMatch', () => {
+  test('prefers the whole message, then a word-bounded part of it', () => {
+    const pattern = /^\d{9,18}$/;
+    expect(aiService.findPatternMatch('123456789', pattern)).toBe('123456789');
+    expect(aiService.findPatternMatch('no. 1234567890123456789 or 123456789', pattern)).toBe('123456789');
+    expect(aiService.findPatternMatch('abc123456789', pattern)).toBeNull();
+  });
+});
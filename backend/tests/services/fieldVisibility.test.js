@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+const beforeEmployment = ['12 MG Road, Bengaluru 560001', 'yes', 'owned', '3 years', 'skip'];
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('showIf visibility conditions', () => {
+  test('asks a field only when its condition holds', async () => {
+    const salaried = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(salaried, ...beforeEmployment);
+    expect((await send(salaried, 'salaried')).content).toMatch(/^Which company do you work for\?/);
+
+    const selfEmployed = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(selfEmployed, ...beforeEmployment);
+    expect((await send(selfEmployed, 'self employed')).content).toMatch(/^What's your monthly net income/);
+  });
+
+  test('treats a yes/no field name as a condition', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    await send(session, '5 lakh', '5', 'education');
+
+    const reply = await send(session, 'no');
+    expect(reply.content).toMatch(/^Here are your loan details:/);
+    expect(reply.content).not.toContain('Existing EMIs');
+  });
+
+  test('drops a field from the summary once a correction hides it', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    const summary = await send(session, '5 lakh', '5', 'education', 'yes', '12000');
+    expect(summary.content).toContain('Existing EMIs: ₹12,000 a month');
+
+    const reply = await send(session, 'no, existing loans no');
+    expect(reply.content).toMatch(/^I've updated your Existing Loans\./);
+    expect(reply.content).toContain('Existing loans: No');
+    expect(reply.content).not.toContain('Existing EMIs');
+  });
+});
@@ -0,0 +1,69 @@
+import { jest } from '@jest/globals';
+import aiService from '../../services/aiService.js';
+import reviewInboxService from '../../services/reviewInboxService.js';
+
+const { benefits, policies } = aiService.topics;
+
+// Sends the messages in order, carrying the dialogue state from each reply
+// to the next message the way the conversation routes do
+const chat = async (...messages) => {
+  let dialogueState = null;
+  let response = null;
+  for (const message of messages) {
+    response = await aiService.processMessage(message, { sessionId: 's1', dialogueState });
+    dialogueState = response.metadata.dialogueState;
+  }
+  return response;
+};
+
+beforeEach(() => {
+  jest.spyOn(reviewInboxService, 'record').mockResolvedValue(null);
+  jest.spyOn(reviewInboxService, 'recordClarification').mockResolvedValue(null);
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('follow-up questions', () => {
+  test('answers "tell me more" about the previous topic', async () => {
+    const response = await chat('what are the benefits?', 'tell me more');
+    expect(response.content).toBe(benefits.more);
+    expect(response.metadata.dialogueState).toMatchObject({ topic: 'benefits', intent: 'question', turn: 2 });
+  });
+
+  test('answers "and what about ...?" from the previous topic', async () => {
+    const response = await chat('what are the benefits?', 'and what about health insurance?');
+    expect(response.content).toBe(benefits.subjects['health insurance'].answer);
+    expect(response.metadata.entities).toEqual(expect.arrayContaining([expect.objectContaining({ value: 'health insurance' })]));
+    expect(response.metadata.dialogueState).toMatchObject({ topic: 'benefits', subject: 'health insurance' });
+  });
+
+  test('moves to another topic a follow-up names', async () => {
+    const response = await chat('what are the benefits?', 'how about leave');
+    expect(response.content).toBe(policies.subjects.leave.answer);
+    expect(response.metadata.dialogueState).toMatchObject({ topic: 'policies', subject: 'leave' });
+  });
+
+  test('keeps the topic over an unrelated turn and drops it after a goodbye', async () => {
+    expect((await chat('what are the benefits?', 'thanks', 'tell me more')).content).toBe(benefits.more);
+    const goodbye = await chat('what are the benefits?', 'bye');
+    expect(goodbye.metadata.dialogueState).toMatchObject({ topic: null, intent: 'farewell' });
+    expect((await chat('what are the benefits?', 'bye', 'tell me more')).content).not.toBe(benefits.more);
+  });
+});
+
+describe('getDialogueState', () => {
+  test('uses the state kept with the conversation', () => {
+    const state = { topic: 'policies', subject: 'leave', intent: 'question', entities: [], turn: 4 };
+    expect(aiService.getDialogueState({ dialogueState: state })).toBe(state);
+  });
+
+  test('recovers the topic from the recent messages of a conversation without one', () => {
+    const state = aiService.getDialogueState({
+      conversationHistory: [
+        { role: 'user', content: 'tell me about the leave policy' },
+        { role: 'assistant', content: policies.subjects.leave.answer, metadata: { intent: { name: 'question' } } },
+        { role: 'user', content: 'tell me more' }
+      ]
+    });
+    expect(state).toEqual({ topic: 'policies', subject: 'leave', intent: 'question', entities: [], turn: 0 });
+  });
+});
@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+const personalDetails = ['Ravi Kumar', '3 March 1990', 'male', '9876543210', 'ravi@example.com', 'skip', 'skip'];
+
+const listFlow = {
+  flowId: 'go_back_test',
+  name: 'Go back test',
+  steps: [
+    {
+      stepId: 'languages',
+      stepName: 'Languages',
+      stepType: 'data_collection',
+      fields: [
+        {
+          fieldId: 'languages',
+          fieldName: 'Languages',
+          fieldType: 'list',
+          required: true,
+          prompt: 'Which languages do you speak?'
+        },
+        {
+          fieldId: 'city',
+          fieldName: 'City',
+          fieldType: 'text',
+          required: true,
+          prompt: 'Which city do you live in?'
+        }
+      ]
+    }
+  ]
+};
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('going back', () => {
+  test('says so when there is nothing to go back to', async () => {
+    const session = startFlow(loanApplicationFlow);
+    const reply = await send(session, 'go back');
+    expect(reply.content).toMatch(/^We're at the very beginning, so there's nothing to go back to\./);
+  });
+
+  test('undoes the last answer and asks for it again', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar', '3 March 1990');
+
+    const reply = await send(session, 'undo');
+    expect(reply.content).toBe("Okay, let's redo that. And your date of birth?");
+    expect(collectedValues(session)).toEqual({ full_name: 'Ravi Kumar' });
+  });
+
+  test('returns to the previous checkpoint from the start of the next step', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...personalDetails, 'yes');
+    expect(session.progress.currentStep).toBe('loan_details');
+
+    const reply = await send(session, 'go back');
+    expect(reply.content).toMatch(/^Sure, let's go back to Personal Details\. Just to confirm/);
+    expect(session.progress.currentStep).toBe('personal_details');
+    expect(session.progress.stepProgress[0].status).toBe('in_progress');
+
+    await send(session, 'yes');
+    expect(session.progress.currentStep).toBe('loan_details');
+  });
+
+  test('takes an answer that mentions going back as an answer', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    await send(session, '5 lakh', '5', 'education', 'yes');
+
+    await send(session, '5000 paid back monthly');
+    expect(collectedValues(session).existing_emi).toBe(5000);
+  });
+
+  test('undoes only the last list entry', async () => {
+    const session = startFlow(listFlow);
+    await send(session, 'Hindi', 'Tamil');
+    expect(collectedValues(session).languages).toEqual(['Hindi', 'Tamil']);
+
+    await send(session, 'go back');
+    expect(collectedValues(session).languages).toEqual(['Hindi']);
+
+    await send(session, 'go back');
+    expect(collectedValues(session).languages).toBeUndefined();
+  });
+
+  test('reopens a finished list without losing its entries', async () => {
+    const session = startFlow(listFlow);
+    await send(session, 'Hindi', 'done');
+
+    const reply = await send(session, 'go back');
+    expect(reply.content).toMatch(/^Okay, let's redo that/);
+    expect(collectedValues(session).languages).toEqual(['Hindi']);
+    expect((await send(session, 'Bengali', 'done')).content).toMatch(/Which city/);
+    expect(collectedValues(session).languages).toEqual(['Hindi', 'Bengali']);
+  });
+
+  test('undoes only the last part of an address', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(session, '45 Park Street, Kolkata');
+    await send(session, '700016');
+    expect(collectedValues(session).current_address).toMatchObject({ line1: '45 Park Street', pincode: '700016' });
+
+    await send(session, 'go back');
+    const address = collectedValues(session).current_address;
+    expect(address).toMatchObject({ line1: '45 Park Street', city: 'Kolkata' });
+    expect(address.pincode).toBeUndefined();
+  });
+});
@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+const atReferences = () => startFlow(loanApplicationFlow, { currentStep: 'references' });
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('repeating group fields', () => {
+  test('collects a record field by field or from one message', async () => {
+    const session = atReferences();
+    expect((await send(session, 'Anita Sharma, 98765 43210, friend')).content)
+      .toBe("Thanks. Now reference 2. What's the reference's full name?");
+
+    expect((await send(session, 'Raj Mehta')).content).toBe("What's their phone number?");
+    await send(session, '9123456789');
+    expect((await send(session, 'colleague')).content).toBe("Thanks, I've added reference 2. Would you like to add another reference?");
+
+    expect(collectedValues(session).references).toEqual([
+      { name: 'Anita Sharma', phone: '+919876543210', relation: 'Friend' },
+      { name: 'Raj Mehta', phone: '+919123456789', relation: 'Colleague' }
+    ]);
+  });
+
+  test('lists each record on its own line in the summary', async () => {
+    const session = atReferences();
+    const reply = await send(session, 'Anita Sharma, 98765 43210, friend', 'Raj Mehta, 9123456789, coworker', 'no');
+
+    expect(reply.content).toBe([
+      'Thanks. Here are your references:',
+      'References:',
+      '  1. Name: Anita Sharma, Phone: +91 98765 43210, Relation: Friend',
+      '  2. Name: Raj Mehta, Phone: +91 91234 56789, Relation: Colleague',
+      'Is that correct?'
+    ].join('\n'));
+  });
+
+  test('needs the minimum number of records and stops at the maximum', async () => {
+    const session = atReferences();
+    await send(session, 'A One, 9876543210, friend');
+    expect((await send(session, 'done')).content).toMatch(/^I need 1 more for your References before we move on\./);
+
+    await send(session, 'B Two, 9876543211, friend', 'yes', 'C Three, 9876543212, friend', 'yes');
+    const reply = await send(session, 'D Four, 9876543213, friend');
+    expect(reply.content).toMatch(/^Thanks, that's all 4 I need\. Here are your references:/);
+    expect(collectedValues(session).references).toHaveLength(4);
+  });
+
+  test('going back undoes one answer inside a record', async () => {
+    const session = atReferences();
+    await send(session, 'Anita Sharma, 98765 43210, friend', 'Raj Mehta', '9123456789');
+
+    expect((await send(session, 'go back')).content).toBe("Okay, let's redo that. What's their phone number?");
+    await send(session, '9123456788', 'colleague');
+    expect(collectedValues(session).references[1]).toEqual({ name: 'Raj Mehta', phone: '+919123456788', relation: 'Colleague' });
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import aiService from '../../services/aiService.js';
+import reviewInboxService from '../../services/reviewInboxService.js';
+import NluIntent from '../../models/NluIntent.js';
+
+const uncertain = {
+  name: 'help',
+  confidence: 0.45,
+  alternatives: [{ name: 'start_flow', confidence: 0.4 }, { name: 'greeting', confidence: 0.05 }]
+};
+
+const ask = async (text = 'can i get started with some help') => {
+  jest.spyOn(aiService, 'classifyIntent').mockReturnValueOnce(uncertain);
+  return aiService.processMessage(text, { sessionId: 's1' });
+};
+
+beforeEach(() => {
+  jest.spyOn(reviewInboxService, 'record').mockResolvedValue(null);
+  jest.spyOn(reviewInboxService, 'recordClarification').mockResolvedValue(null);
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('getClarificationOptions', () => {
+  test('asks nothing for an unknown message or a clear winner', () => {
+    expect(aiService.getClarificationOptions({ name: 'unknown', confidence: 0, alternatives: [] })).toEqual([]);
+    expect(aiService.getClarificationOptions({ name: 'help', confidence: 0.8, alternatives: [{ name: 'question', confidence: 0.1 }] })).toEqual([]);
+  });
+
+  test('offers the best two, and any others close to the best', () => {
+    expect(aiService.getClarificationOptions(uncertain)).toEqual(['help', 'start_flow']);
+    expect(aiService.getClarificationOptions({
+      name: 'help',
+      confidence: 0.7,
+      alternatives: [{ name: 'question', confidence: 0.6 }, { name: 'learning', confidence: 0.55 }]
+    })).toEqual(['help', 'question', 'learning']);
+  });
+
+  test('never offers flow commands or very unlikely intents', () => {
+    expect(aiService.getClarificationOptions({
+      name: 'confirmation',
+      confidence: 0.4,
+      alternatives: [{ name: 'gratitude', confidence: 0.35 }, { name: 'farewell', confidence: 0.05 }]
+    })).toEqual(['gratitude']);
+  });
+});
+
+describe('asking which intent was meant', () => {
+  test('asks with a quick reply for each option', async () => {
+    const response = await ask();
+    expect(response.content).toBe('Did you want help, or to start your application?');
+    expect(response.metadata.quickReplies).toEqual(['Get help', 'Start my application', 'Something else']);
+    expect(response.metadata.pendingClarification).toMatchObject({ text: 'can i get started with some help', options: ['help', 'start_flow'] });
+  });
+
+  test('asks about a single option on its own', () => {
+    expect(aiService.getClarificationQuestion(['help'])).toBe('Just to check, did you want help?');
+  });
+
+  test('offers an admin-added intent by its description', () => {
+    jest.replaceProperty(aiService, 'storedIntents', [{ name: 'loan_rates', description: 'to know our loan rates' }]);
+    expect(aiService.describeIntent('loan_rates')).toEqual({ label: 'To know our loan rates', phrase: 'to know our loan rates' });
+    expect(aiService.describeIntent('card_limit')).toEqual({ label: 'Card limit', phrase: 'card limit' });
+  });
+});
+
+describe('replies to a clarifying question', () => {
+  const reply = async (message) => {
+    const { pendingClarification } = (await ask()).metadata;
+    return aiService.processMessage(message, { sessionId: 's1', pendingClarification });
+  };
+
+  test.each(['Start my application', '2', 'start my application!'])('"%s" picks the option and keeps the message as its example', async (message) => {
+    const response = await reply(message);
+    expect(response.metadata.intent).toEqual({ name: 'start_flow', confidence: 1, alternatives: [] });
+    expect(response.metadata.clarifiedFrom).toBe('can i get started with some help');
+    expect(reviewInboxService.recordClarification).toHaveBeenCalledWith('can i get started with some help', 'start_flow');
+  });
+
+  test('"Something else" asks for more and sends the message to the review inbox', async () => {
+    const response = await reply('Something else');
+    expect(response.content).toBe("No problem. Could you tell me a little more about what you're looking for?");
+    expect(reviewInboxService.record).toHaveBeenCalledWith(expect.objectContaining({ kind: 'intent', text: 'can i get started with some help' }));
+    expect(reviewInboxService.recordClarification).not.toHaveBeenCalled();
+  });
+
+  test('a new request is answered on its own', async () => {
+    const response = await reply('thank you so much');
+    expect(response.metadata.intent.name).toBe('gratitude');
+    expect(response.metadata.clarifiedFrom).toBeUndefined();
+    expect(reviewInboxService.recordClarification).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordClarification', () => {
+  test('stores the masked message as an example of the picked intent', async () => {
+    reviewInboxService.recordClarification.mockRestore();
+    jest.spyOn(NluIntent, 'findOne').mockResolvedValue(null);
+    const save = jest.spyOn(NluIntent.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+
+    await reviewInboxService.recordClarification('help me, call 98765 43210', 'help');
+    const intent = save.mock.contexts[0];
+    expect(intent.name).toBe('help');
+    expect(intent.examples[intent.examples.length - 1]).toMatchObject({ text: 'help me, call #', source: 'clarification' });
+  });
+});
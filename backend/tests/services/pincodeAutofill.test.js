@@ -0,0 +1,64 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+
+const pincodeFlow = {
+  flowId: 'pincode_test',
+  name: 'PIN code test',
+  steps: [
+    {
+      stepId: 'address',
+      stepName: 'Address',
+      stepType: 'data_collection',
+      isCheckpoint: true,
+      confirmationMessage: 'Just to confirm:\n{confirmation_data}\nIs that correct?',
+      fields: [
+        {
+          fieldId: 'pincode',
+          fieldName: 'PIN Code',
+          fieldType: 'pincode',
+          required: true,
+          prompt: "What's your PIN code?",
+          autofill: { city: 'city', state: 'state' }
+        },
+        { fieldId: 'city', fieldName: 'City', fieldType: 'text', required: true, prompt: 'Which city?' },
+        { fieldId: 'state', fieldName: 'State', fieldType: 'text', required: true, prompt: 'Which state?' }
+      ]
+    }
+  ]
+};
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('PIN code autofill', () => {
+  test('fills in the city and state and asks the user to confirm them', async () => {
+    const session = startFlow(pincodeFlow);
+    const reply = await send(session, 'my pin is 110001');
+    expect(reply.content).toBe("Going by PIN code 110001, I've filled in:\nCity: New Delhi\nState: Delhi\nIs that right?");
+
+    const summary = await send(session, 'yes');
+    expect(summary.content).toBe('Great. Just to confirm:\nPIN Code: 110001\nCity: New Delhi\nState: Delhi\nIs that correct?');
+  });
+
+  test('asks for the filled-in fields when the user says they are wrong', async () => {
+    const session = startFlow(pincodeFlow);
+    await send(session, '110001');
+
+    expect((await send(session, 'no')).content).toBe("Okay, let's fill those in then. Which city?");
+    await send(session, 'Noida', 'Uttar Pradesh');
+    expect(collectedValues(session)).toEqual({ pincode: '110001', city: 'Noida', state: 'Uttar Pradesh' });
+  });
+
+  test('asks for every field when the PIN code is not in the dataset', async () => {
+    const session = startFlow(pincodeFlow);
+    expect((await send(session, '999999')).content).toBe('Which city?');
+  });
+
+  test('fills the place in again when the PIN code is corrected', async () => {
+    const session = startFlow(pincodeFlow);
+    await send(session, '110001', 'yes');
+
+    await send(session, 'change the pin code to 560001');
+    expect(collectedValues(session)).toEqual({ pincode: '560001', city: 'Bengaluru', state: 'Karnataka' });
+  });
+});
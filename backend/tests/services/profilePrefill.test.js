@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+import User from '../../models/User.js';
+
+const makeUser = (profile = {}) => {
+  const user = new User({
+    email: 'ravi@example.com',
+    password: 'secret123',
+    firstName: 'Ravi',
+    lastName: 'Kumar',
+    profile
+  });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('prefilling from the profile', () => {
+  test('asks to confirm the values the profile holds', async () => {
+    stubDatabase({ user: makeUser({ phone: '9876543210' }) });
+    const session = startFlow(loanApplicationFlow);
+
+    const reply = await send(session, 'hi');
+    expect(reply.content).toBe('I have these details from your profile:\nFull Name: Ravi Kumar\nMobile Number: +91 98765 43210\nEmail Address: ravi@example.com\nIs that right?');
+    expect(collectedValues(session)).toEqual({ full_name: 'Ravi Kumar', mobile_number: '+919876543210', email_address: 'ravi@example.com' });
+
+    const next = await send(session, 'yes');
+    expect(next.content).toBe('Great. And your date of birth?');
+  });
+
+  test('asks for each value again when the user rejects them', async () => {
+    stubDatabase({ user: makeUser({ phone: '9876543210' }) });
+    const session = startFlow(loanApplicationFlow);
+
+    await send(session, 'hi');
+    const reply = await send(session, 'no');
+    expect(reply.content).toBe("Okay, let's fill those in then. Great! Can I have your full name as per your official documents?");
+    expect(collectedValues(session)).toEqual({});
+  });
+
+  test('leaves a profile value that fails the field rules to be asked for', async () => {
+    stubDatabase({ user: makeUser({ phone: '12345' }) });
+    const session = startFlow(loanApplicationFlow);
+
+    const reply = await send(session, 'hi');
+    expect(reply.content).not.toContain('Mobile Number');
+    expect(collectedValues(session).mobile_number).toBeUndefined();
+
+    await send(session, 'yes', '3 March 1990', 'male');
+    expect(collectedValues(session).mobile_number).toBeUndefined();
+  });
+
+  test('asks as usual when there is no user record', async () => {
+    stubDatabase();
+    const session = startFlow(loanApplicationFlow);
+
+    const reply = await send(session, 'Ravi Kumar');
+    expect(reply.content).toBe('And your date of birth?');
+  });
+});
+
+describe('writing answers back to the profile', () => {
+  test('saves a changed mobile number once the step is confirmed', async () => {
+    const user = makeUser({ phone: '9876543210' });
+    stubDatabase({ user });
+    const session = startFlow(loanApplicationFlow);
+
+    await send(session, 'hi', 'yes', '3 March 1990', 'male', 'skip', 'skip');
+    const summary = await send(session, 'change mobile to 9123456789');
+    expect(summary.content).toMatch(/^I've updated your Mobile Number\./);
+    expect(user.save).not.toHaveBeenCalled();
+
+    await send(session, 'yes');
+    expect(session.progress.currentStep).toBe('loan_details');
+    expect(user.profile.phone).toBe('+919123456789');
+    expect(user.email).toBe('ravi@example.com');
+    expect(user.save).toHaveBeenCalledTimes(1);
+  });
+});
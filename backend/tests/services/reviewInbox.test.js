@@ -0,0 +1,176 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { stubDatabase, startFlow, send } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+import UnrecognizedUtterance from '../../models/UnrecognizedUtterance.js';
+import NluIntent from '../../models/NluIntent.js';
+import OnboardingFlowConfig from '../../models/OnboardingFlowConfig.js';
+import aiService from '../../services/aiService.js';
+import reviewInboxService from '../../services/reviewInboxService.js';
+
+const admin = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com' };
+
+const stubClusters = (candidates = []) => {
+  const find = jest.spyOn(UnrecognizedUtterance, 'find').mockReturnValue({
+    sort: () => ({ limit: () => Promise.resolve(candidates) })
+  });
+  jest.spyOn(UnrecognizedUtterance.prototype, 'save').mockImplementation(async function() {
+    await this.validate();
+    return this;
+  });
+  return find;
+};
+
+const makeCluster = (texts, scope = {}) => {
+  const cluster = new UnrecognizedUtterance({ kind: 'intent', text: texts[0], tokens: ['loan', 'rate'], ...scope });
+  texts.forEach(text => cluster.variants.push({ text, count: 1 }));
+  return cluster;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('recording unrecognized messages', () => {
+  test('starts a cluster with the message masked', async () => {
+    const find = stubClusters();
+
+    const cluster = await reviewInboxService.record({ kind: 'intent', text: 'loan rates for 98765 43210?', sessionId: 's1' });
+    expect(find).toHaveBeenCalledWith({ kind: 'intent', status: 'open', flowId: null, stepId: null, fieldId: null });
+    expect(cluster).toMatchObject({ text: 'loan rates for #?', count: 1 });
+    expect(cluster.samples[0]).toMatchObject({ sessionId: 's1', text: 'loan rates for #?' });
+  });
+
+  test('counts a similar message in the existing cluster', async () => {
+    const existing = makeCluster(['loan rates?']);
+    existing.count = 1;
+    stubClusters([existing]);
+
+    const cluster = await reviewInboxService.record({ kind: 'intent', text: 'Loan rates?', sessionId: 's2' });
+    expect(cluster).toBe(existing);
+    expect(cluster.count).toBe(2);
+    expect(cluster.variants).toEqual([expect.objectContaining({ text: 'loan rates?', count: 2 })]);
+  });
+
+  test('skips a message with no words and never throws', async () => {
+    const find = stubClusters();
+    expect(await reviewInboxService.record({ kind: 'intent', text: '???' })).toBeNull();
+    expect(find).not.toHaveBeenCalled();
+
+    find.mockImplementation(() => { throw new Error('connection lost'); });
+    expect(await reviewInboxService.record({ kind: 'intent', text: 'loan rates' })).toBeNull();
+  });
+});
+
+describe('labeling a cluster', () => {
+  let savedIntents;
+  beforeEach(() => {
+    savedIntents = [];
+    jest.spyOn(UnrecognizedUtterance.prototype, 'save').mockResolvedValue(null);
+    jest.spyOn(NluIntent, 'findOne').mockResolvedValue(null);
+    jest.spyOn(NluIntent.prototype, 'save').mockImplementation(async function() {
+      await this.validate();
+      savedIntents.push(this);
+      return this;
+    });
+  });
+
+  test('adds the messages as examples of an existing intent', async () => {
+    const cluster = makeCluster(['loan rates?', 'what are your rates']);
+
+    await reviewInboxService.label(cluster, { type: 'intent', intent: 'help' }, admin);
+    const [intent] = savedIntents;
+    expect(intent.name).toBe('help');
+    expect(intent.examples.map(example => example.text)).toEqual(expect.arrayContaining(['i need help', 'loan rates?']));
+    expect(intent.examples.find(example => example.text === 'what are your rates').source).toBe('review');
+    expect(cluster.status).toBe('labeled');
+    expect(cluster.label).toMatchObject({ type: 'intent', intent: 'help', labeledBy: admin._id });
+  });
+
+  test('starts a new intent with the messages', async () => {
+    const cluster = makeCluster(['loan rates?']);
+
+    await reviewInboxService.label(cluster, { type: 'new_intent', intent: 'loan_rates', description: 'Rate questions' }, admin);
+    expect(savedIntents[0]).toMatchObject({ name: 'loan_rates', description: 'Rate questions' });
+    expect(savedIntents[0].examples.map(example => example.text)).toEqual(['loan rates?']);
+  });
+
+  test.each([
+    [{ type: 'intent', intent: 'loan_rates' }, 'Intent "loan_rates" does not exist'],
+    [{ type: 'new_intent', intent: 'help' }, 'Intent "help" already exists'],
+    [{ type: 'intent', intent: 'Loan Rates' }, 'A valid intent name is required'],
+    [{ type: 'entity' }, 'Label type must be intent, new_intent or synonym']
+  ])('rejects %j', async (label, message) => {
+    const cluster = makeCluster(['loan rates?']);
+    await expect(reviewInboxService.label(cluster, label, admin)).rejects.toMatchObject({ status: 400, message });
+    expect(cluster.status).toBe('open');
+  });
+
+  test('rejects a cluster that has been reviewed', async () => {
+    const cluster = makeCluster(['loan rates?'], { status: 'dismissed' });
+    await expect(reviewInboxService.label(cluster, { type: 'intent', intent: 'help' }, admin))
+      .rejects.toMatchObject({ status: 400, message: 'This cluster has already been reviewed' });
+  });
+
+  describe('as synonyms', () => {
+    let flowConfig;
+    beforeEach(() => {
+      flowConfig = new OnboardingFlowConfig(loanApplicationFlow);
+      jest.spyOn(flowConfig, 'save').mockResolvedValue(flowConfig);
+      jest.spyOn(OnboardingFlowConfig, 'findOne').mockResolvedValue(flowConfig);
+    });
+
+    const findField = (fieldId) => reviewInboxService.findField(flowConfig.steps.flatMap(step => step.fields), fieldId);
+
+    test('adds them to the field the messages were given for', async () => {
+      const cluster = makeCluster(['cell no', 'Mobile'], { kind: 'field_value', flowId: 'loan_application', fieldId: 'mobile_number' });
+
+      await reviewInboxService.label(cluster, { type: 'synonym' }, admin);
+      expect(findField('mobile_number').synonyms).toEqual(['mobile', 'phone', 'phone number', 'contact number', 'cell no']);
+      expect(flowConfig.save).toHaveBeenCalled();
+      expect(cluster.label).toMatchObject({ type: 'synonym', flowId: 'loan_application', fieldId: 'mobile_number' });
+    });
+
+    test('adds them to an option of a select field', async () => {
+      const cluster = makeCluster(['gents'], { kind: 'field_value', flowId: 'loan_application', fieldId: 'gender' });
+
+      await reviewInboxService.label(cluster, { type: 'synonym', option: 'Male' }, admin);
+      const male = findField('gender').validation.options.find(option => option.value === 'Male');
+      expect(male.synonyms).toEqual(['man', 'boy', 'gents']);
+    });
+
+    test('rejects an unknown field or option', async () => {
+      const cluster = makeCluster(['gents'], { kind: 'field_value', flowId: 'loan_application', fieldId: 'gender' });
+
+      await expect(reviewInboxService.label(cluster, { type: 'synonym', option: 'Gents' }, admin))
+        .rejects.toMatchObject({ status: 400, message: '"Gents" is not an option of Gender' });
+      await expect(reviewInboxService.label(cluster, { type: 'synonym', fieldId: 'shoe_size' }, admin))
+        .rejects.toMatchObject({ status: 400, message: 'Field "shoe_size" not found in flow "loan_application"' });
+    });
+  });
+});
+
+describe('misses in conversations', () => {
+  beforeEach(() => stubDatabase());
+
+  test('sends a message no intent was recognised in to the inbox', async () => {
+    await aiService.processMessage('zebra crossing', { sessionId: 's1' });
+    expect(reviewInboxService.record).toHaveBeenCalledWith(expect.objectContaining({ kind: 'intent', text: 'zebra crossing', sessionId: 's1' }));
+
+    reviewInboxService.record.mockClear();
+    await aiService.processMessage('hello there', { sessionId: 's1' });
+    expect(reviewInboxService.record).not.toHaveBeenCalled();
+  });
+
+  test('sends an answer that could not be read to the inbox with its step and field', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+    await send(session, 'whenever it suits you');
+
+    expect(reviewInboxService.record).toHaveBeenCalledWith(expect.objectContaining({
+      kind: 'field_value',
+      text: 'whenever it suits you',
+      sessionId: 'test-session',
+      flowId: 'loan_application',
+      stepId: 'loan_details',
+      fieldId: 'loan_amount'
+    }));
+  });
+});
@@ -0,0 +1,46 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+const requiredPersonalDetails = ['Ravi Kumar', '3 march 1990', 'male', '9876543210', 'ravi@example.com'];
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('skipping optional fields', () => {
+  test('leaves an optional field out and shows it as not provided', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...requiredPersonalDetails);
+
+    expect((await send(session, 'skip it please')).content).toMatch(/^No problem, I'll leave that out\. And your Aadhaar number\?/);
+    const reply = await send(session, 'skip');
+    expect(reply.content).toContain('PAN: not provided\nAadhaar: not provided');
+    expect(collectedValues(session)).toMatchObject({ pan_number: null, aadhaar_number: null });
+  });
+
+  test('refuses to skip a required field', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar');
+
+    const reply = await send(session, 'skip');
+    expect(reply.content).toBe("I'm sorry, Date of Birth is required, so I can't skip it. And your date of birth?");
+    expect(collectedValues(session)).toEqual({ full_name: 'Ravi Kumar' });
+  });
+
+  test('takes an answer that only contains the word skip as an answer', async () => {
+    const session = startFlow(loanApplicationFlow, { currentStep: 'other_details' });
+    await send(session, '12 MG Road, Bengaluru 560001', 'yes', 'owned', '3 years', 'skip', 'salaried');
+
+    await send(session, 'Skip Logistics');
+    expect(collectedValues(session)).toMatchObject({ permanent_address: null, employer_name: 'Skip Logistics' });
+  });
+
+  test('going back after a skip asks the field again', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, ...requiredPersonalDetails, 'skip');
+
+    const reply = await send(session, 'go back');
+    expect(reply.content).toMatch(/Could you share your PAN\?/);
+    expect(collectedValues(session)).not.toHaveProperty('pan_number');
+  });
+});
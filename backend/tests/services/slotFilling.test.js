@@ -0,0 +1,54 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('filling several fields from one message', () => {
+  test('stores every field the message answers and asks for the next missing one', async () => {
+    const session = startFlow(loanApplicationFlow);
+    const reply = await send(session, 'I am Ravi Kumar, born 3 March 1990, male, email ravi@example.com, mobile 9876543210');
+
+    expect(reply.content).toMatch(/^Thanks, I've noted your Full Name, Date of Birth, Gender, Mobile Number, Email Address\. Could you share your PAN\?/);
+    expect(collectedValues(session)).toEqual({
+      full_name: 'Ravi Kumar',
+      date_of_birth: '1990-03-03',
+      gender: 'Male',
+      mobile_number: '+919876543210',
+      email_address: 'ravi@example.com'
+    });
+  });
+
+  test('fills fields other than the one asked for', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar');
+
+    const reply = await send(session, 'my pan is abcpe1234f and email ravi@example.com, dob 3/3/1990');
+    expect(reply.content).toMatch(/^Thanks, I've noted your Date of Birth, Email Address, PAN\. Gender\?/);
+    expect(collectedValues(session)).toMatchObject({ pan_number: 'ABCPE1234F', email_address: 'ravi@example.com' });
+
+    // The PAN is not asked for again
+    expect((await send(session, 'female', '9876543210')).content).toMatch(/^And your Aadhaar number\?/);
+  });
+
+  test('leaves out values that fail validation', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar');
+
+    await send(session, 'dob 3/3/1990, mobile 12345, email ravi@example.com');
+    expect(collectedValues(session)).toEqual({
+      full_name: 'Ravi Kumar',
+      date_of_birth: '1990-03-03',
+      email_address: 'ravi@example.com'
+    });
+  });
+
+  test('undoes every field of a multi-field answer together', async () => {
+    const session = startFlow(loanApplicationFlow);
+    await send(session, 'Ravi Kumar', 'my pan is abcpe1234f and email ravi@example.com, dob 3/3/1990');
+
+    await send(session, 'go back');
+    expect(collectedValues(session)).toEqual({ full_name: 'Ravi Kumar' });
+  });
+});
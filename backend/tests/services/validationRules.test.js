@@ -0,0 +1,56 @@
+import { jest } from '@jest/globals';
+import { stubDatabase, startFlow, send, collectedValues } from '../helpers/flowSession.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+const loanDetails = ['50 lakh', '5', 'education', 'no', 'yes'];
+const otherDetails = ['12 MG Road, Bengaluru 560001', 'yes', 'owned', '3 years', 'skip', 'salaried', 'Infosys', '80000', 'HDFC', '123456789012', 'HDFC0001234'];
+
+// Loan details confirmed with ₹50 lakh, then other details with an income of ₹80,000, which the rule rejects
+const startRecheck = async () => {
+  const session = startFlow(loanApplicationFlow, { currentStep: 'loan_details' });
+  await send(session, ...loanDetails, ...otherDetails);
+  const reply = await send(session, 'yes');
+  expect(reply.content).toMatch(/^We can lend up to 20 times your monthly income/);
+  return session;
+};
+
+const stepStatus = (session, stepId) => session.progress.stepProgress.find(step => step.stepId === stepId).status;
+
+beforeEach(() => stubDatabase());
+afterEach(() => jest.restoreAllMocks());
+
+describe('cross-field validation rules', () => {
+  test('asks the fields of a failed rule again, then moves on once it holds', async () => {
+    const session = await startRecheck();
+    expect((await send(session, '10 lakh')).content).toMatch(/monthly net income/);
+    await send(session, '80000', 'yes', 'yes');
+
+    expect(session.progress.currentStep).toBe('references');
+    expect(collectedValues(session)).toMatchObject({ loan_amount: 1000000, monthly_income: 80000 });
+  });
+
+  test('shows an earlier checkpoint again when a recheck changed its answers', async () => {
+    const session = await startRecheck();
+    const reply = await send(session, '10 lakh', '80000');
+    expect(reply.content).toMatch(/^Thanks, I've updated that\. Here are your loan details:\nLoan amount: ₹10,00,000/);
+    expect(stepStatus(session, 'loan_details')).toBe('in_progress');
+
+    const next = await send(session, 'yes');
+    expect(next.content).toMatch(/^Thanks for confirming\. Just to confirm/);
+    expect(stepStatus(session, 'loan_details')).toBe('completed');
+    expect(session.progress.stepProgress[0].confirmationData).toContain('₹10,00,000');
+    expect(session.progress.currentStep).toBe('other_details');
+  });
+
+  test('lets going back undo a rechecked answer rather than an earlier one', async () => {
+    const session = await startRecheck();
+    await send(session, '10 lakh', '90000');
+
+    const reply = await send(session, 'go back');
+    expect(reply.content).toMatch(/^Okay, I've undone the change to your Monthly Income\./);
+    expect(collectedValues(session)).toMatchObject({ loan_amount: 1000000, monthly_income: 80000, ifsc_code: 'HDFC0001234' });
+
+    await send(session, 'go back');
+    expect(collectedValues(session)).toMatchObject({ loan_amount: 5000000, ifsc_code: 'HDFC0001234' });
+  });
+});
@@ -0,0 +1,55 @@
+import { parseAddress, normalizeState, completeFromPincode, formatAddress } from '../../utils/addressParser.js';
+
+describe('parseAddress', () => {
+  test('splits a one-line address into its parts', () => {
+    const message = 'Flat 4B, Sunshine Apartments, 12 MG Road, Indiranagar, Bengaluru, Karnataka 560038';
+    expect(parseAddress(message, { autofill: false })).toEqual({
+      parts: {
+        line1: 'Flat 4B',
+        line2: 'Sunshine Apartments, 12 MG Road',
+        locality: 'Indiranagar',
+        city: 'Bengaluru',
+        state: 'Karnataka',
+        pincode: '560038'
+      },
+      autofilledParts: [],
+      text: message
+    });
+  });
+
+  test('fills in the district and state from a known PIN code', () => {
+    const address = parseAddress('Plot 7, Sector 18, Noida, UP - 201301');
+    expect(address.parts).toMatchObject({ city: 'Noida', state: 'Uttar Pradesh', district: 'Gautam Buddha Nagar' });
+    expect(address.autofilledParts).toEqual(['district']);
+  });
+});
+
+describe('normalizeState', () => {
+  test('returns the canonical name for the ways people write a state', () => {
+    expect(normalizeState('tamilnadu')).toBe('Tamil Nadu');
+    expect(normalizeState('TN')).toBe('Tamil Nadu');
+    expect(normalizeState('Goa.')).toBe('Goa');
+    expect(normalizeState('Atlantis')).toBeNull();
+  });
+});
+
+describe('completeFromPincode', () => {
+  test('adds the missing parts and lists them', () => {
+    const parts = { line1: '1 Janpath', pincode: '110001' };
+    expect(completeFromPincode(parts)).toEqual(['city', 'district', 'state']);
+    expect(parts).toMatchObject({ city: 'New Delhi', district: 'New Delhi', state: 'Delhi' });
+  });
+
+  test('leaves parts alone for an unknown PIN code', () => {
+    const parts = { line1: '45 Park Street', pincode: '999999' };
+    expect(completeFromPincode(parts)).toEqual([]);
+    expect(parts).toEqual({ line1: '45 Park Street', pincode: '999999' });
+  });
+});
+
+describe('formatAddress', () => {
+  test('lists the parts in order with their labels', () => {
+    expect(formatAddress({ pincode: '560038', city: 'Bengaluru', line1: 'Flat 4B' }))
+      .toBe('House number and street: Flat 4B\nCity: Bengaluru\nPIN code: 560038');
+  });
+});
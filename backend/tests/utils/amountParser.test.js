@@ -0,0 +1,42 @@
+import { parseAmount, formatAmount } from '../../utils/amountParser.js';
+
+describe('parseAmount', () => {
+  test.each([
+    ['5 lakh', 500000],
+    ['1.5 lakhs', 150000],
+    ['2.5 crore', 25000000],
+    ['50k', 50000],
+    ['₹1,20,000', 120000],
+    ['Rs. 85,000', 85000],
+    ['fifty thousand', 50000],
+    ['two lakh fifty thousand', 250000],
+    ['two and a half lakh', 250000],
+    ['one and half crore', 15000000],
+    ['half a lakh', 50000],
+    ['a lakh and a half', 150000]
+  ])('reads %s in rupees', (message, amount) => {
+    expect(parseAmount(message)).toEqual({ amount, currency: 'INR', text: message });
+  });
+
+  test('picks up the currency from its marker', () => {
+    expect(parseAmount('$5,000')).toEqual({ amount: 5000, currency: 'USD', text: '$5,000' });
+  });
+
+  test('ignores bare numbers when a marker is required', () => {
+    expect(parseAmount('12')).toEqual({ amount: 12, currency: 'INR', text: '12' });
+    expect(parseAmount('12', { requireMarker: true })).toBeNull();
+    expect(parseAmount('50k', { requireMarker: true }).amount).toBe(50000);
+  });
+
+  test('returns null when there is no amount', () => {
+    expect(parseAmount('hello')).toBeNull();
+  });
+});
+
+describe('formatAmount', () => {
+  test('groups rupees the Indian way and other currencies the Western way', () => {
+    expect(formatAmount(120000)).toBe('₹1,20,000');
+    expect(formatAmount(1234567.5)).toBe('₹12,34,567.5');
+    expect(formatAmount(5000, 'USD')).toBe('$5,000');
+  });
+});
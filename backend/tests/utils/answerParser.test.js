@@ -0,0 +1,53 @@
+import { parseBoolean, parseRating, splitListEntries, isListDone } from '../../utils/answerParser.js';
+
+describe('parseBoolean', () => {
+  test.each([
+    ['yeah', true],
+    ['haan ji', true],
+    ['I have a car loan', true],
+    ['nope', false],
+    ["no, I don't", false],
+    ['I dont', false],
+    ['not correct', false]
+  ])('reads "%s" as %s', (message, value) => {
+    expect(parseBoolean(message)).toEqual({ value, text: message });
+  });
+
+  test('returns null when there is no yes or no, or the answer is unsure', () => {
+    expect(parseBoolean('maybe later')).toBeNull();
+    expect(parseBoolean('not sure')).toBeNull();
+    expect(parseBoolean("I don't know")).toBeNull();
+  });
+});
+
+describe('parseRating', () => {
+  test.each([['4', 4], ['four', 4], ['4/5', 4], ['★★★★', 4], ['8 out of 10', 4]])('reads "%s" as %s', (message, value) => {
+    expect(parseRating(message)).toMatchObject({ value });
+  });
+
+  test('returns null for a rating outside the scale or not a whole number', () => {
+    expect(parseRating('7')).toBeNull();
+    expect(parseRating('3.5')).toBeNull();
+    expect(parseRating('7', { min: 0, max: 10 })).toMatchObject({ value: 7 });
+  });
+});
+
+describe('splitListEntries', () => {
+  test('splits on commas, semicolons and lines, with "and" before the last entry', () => {
+    expect(splitListEntries('Infosys, TCS and Wipro')).toEqual(['Infosys', 'TCS', 'Wipro']);
+    expect(splitListEntries('1. Hindi\n2. Tamil')).toEqual(['Hindi', 'Tamil']);
+    expect(splitListEntries('Tata and Sons')).toEqual(['Tata and Sons']);
+  });
+});
+
+describe('isListDone', () => {
+  test.each(['done', "that's all", 'nothing else', 'no more', "no, that's all thanks"])('ends the list on "%s"', (message) => {
+    expect(isListDone(message)).toBe(true);
+  });
+
+  test('does not end the list on an entry', () => {
+    expect(isListDone('Wipro')).toBe(false);
+    expect(isListDone('Done with Infosys')).toBe(false);
+    expect(isListDone('no more loans with HDFC')).toBe(false);
+  });
+});
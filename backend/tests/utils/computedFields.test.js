@@ -0,0 +1,39 @@
+import { computeValues, formatComputedValue } from '../../utils/computedFields.js';
+import { loanApplicationFlow } from '../../scripts/seedLoanFlow.js';
+
+describe('computeValues', () => {
+  test('evaluates fields in order, so later ones can use earlier ones', () => {
+    const computed = computeValues(loanApplicationFlow.computedFields, { loan_amount: 500000, loan_tenure: '5', monthly_income: 80000 });
+    expect(computed.emi).toBeCloseTo(10746.95, 2);
+    expect(computed.debt_to_income).toBeCloseTo(13.43, 2);
+  });
+
+  test('counts whole years with age()', () => {
+    const year = new Date().getFullYear() - 30;
+    expect(computeValues([{ fieldId: 'age', expression: 'age(dob)' }], { dob: `${year}-01-01` })).toEqual({ age: 30 });
+  });
+
+  test('leaves a value empty until its answers are in', () => {
+    expect(computeValues(loanApplicationFlow.computedFields, { loan_amount: 500000 }))
+      .toEqual({ applicant_age: null, emi: null, debt_to_income: null });
+  });
+
+  test('stores null for a broken expression or a result that is not finite', () => {
+    expect(computeValues([{ fieldId: 'x', expression: 'loan_amount +' }, { fieldId: 'y', expression: '1 / 0' }], {}))
+      .toEqual({ x: null, y: null });
+  });
+
+  test('counts and adds up lists and records', () => {
+    const fields = [{ fieldId: 'n', expression: 'count(items)' }, { fieldId: 's', expression: "sum(items, 'amount')" }];
+    expect(computeValues(fields, { items: [{ amount: 5 }, { amount: '7' }, {}] })).toEqual({ n: 3, s: 12 });
+  });
+});
+
+describe('formatComputedValue', () => {
+  test('formats currency, percent and plain numbers', () => {
+    expect(formatComputedValue(10746.95, { format: 'currency' })).toBe('₹10,747');
+    expect(formatComputedValue(15.4321, { format: 'percent', decimals: 1 })).toBe('15.4%');
+    expect(formatComputedValue(123456.789, {})).toBe('1,23,456.79');
+    expect(formatComputedValue(null, { format: 'currency' })).toBe('');
+  });
+});
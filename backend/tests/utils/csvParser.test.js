@@ -0,0 +1,28 @@
+import { parseCsv, parseCsvLine } from '../../utils/csvParser.js';
+
+describe('parseCsv', () => {
+  test('reads rows keyed by the lower-cased header', () => {
+    expect(parseCsv('﻿Intent,Text\r\ngreeting,hi\n\nhelp,"help, please"\n')).toEqual([
+      { intent: 'greeting', text: 'hi' },
+      { intent: 'help', text: 'help, please' }
+    ]);
+  });
+
+  test('keeps line breaks and quotes inside quoted values', () => {
+    expect(parseCsv('intent,text\ngreeting,"hello\r\nthere"\nhelp,"say ""help"""')).toEqual([
+      { intent: 'greeting', text: 'hello\nthere' },
+      { intent: 'help', text: 'say "help"' }
+    ]);
+  });
+
+  test('rejects a quote that is never closed', () => {
+    expect(() => parseCsv('intent,text\ngreeting,"hello\nhelp,hi')).toThrow('Unclosed quote in CSV record 2');
+  });
+});
+
+describe('parseCsvLine', () => {
+  test('reads a single line, tolerating an unclosed quote', () => {
+    expect(parseCsvLine('560001, "Bengaluru, Urban" ,KARNATAKA')).toEqual(['560001', 'Bengaluru, Urban', 'KARNATAKA']);
+    expect(parseCsvLine('a,"b')).toEqual(['a', 'b']);
+  });
+});
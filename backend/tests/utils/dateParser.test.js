@@ -0,0 +1,46 @@
+import { parseDate, isIsoDate, calculateAge, formatDate } from '../../utils/dateParser.js';
+
+const today = new Date('2024-06-15T00:00:00');
+
+describe('parseDate', () => {
+  test.each([
+    ['15 Aug 1992', '1992-08-15'],
+    ['August 15, 1992', '1992-08-15'],
+    ['1992-08-15', '1992-08-15'],
+    ['born on 15th August 1992', '1992-08-15'],
+    ['03/03/90', '1990-03-03']
+  ])('reads %s', (message, iso) => {
+    expect(parseDate(message, { today }).iso).toBe(iso);
+  });
+
+  test('reads numeric dates day first unless the locale writes month first', () => {
+    expect(parseDate('03/04/1990', { today }).iso).toBe('1990-04-03');
+    expect(parseDate('03/04/1990', { locale: 'en-US', today }).iso).toBe('1990-03-04');
+  });
+
+  test('uses the only valid reading of a numeric date', () => {
+    expect(parseDate('13/04/1990', { locale: 'en-US', today }).iso).toBe('1990-04-13');
+  });
+
+  test('rejects impossible dates and messages without a date', () => {
+    expect(parseDate('31/02/1990', { today })).toBeNull();
+    expect(parseDate('no date here', { today })).toBeNull();
+  });
+});
+
+describe('calculateAge', () => {
+  test('counts whole years up to today', () => {
+    expect(calculateAge('1992-06-15', today)).toBe(32);
+    expect(calculateAge('1992-06-16', today)).toBe(31);
+    expect(calculateAge('1992-08-15', today)).toBe(31);
+  });
+});
+
+describe('isIsoDate and formatDate', () => {
+  test('formats ISO dates and leaves anything else alone', () => {
+    expect(isIsoDate('1990-03-03')).toBe(true);
+    expect(isIsoDate('3/3/90')).toBe(false);
+    expect(formatDate('1990-03-03')).toBe('3 March 1990');
+    expect(formatDate('abc')).toBe('abc');
+  });
+});
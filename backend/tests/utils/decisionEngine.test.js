@@ -0,0 +1,42 @@
+import { evaluateDecision } from '../../utils/decisionEngine.js';
+
+const config = {
+  rules: [
+    { ruleId: 'underage', condition: 'age < 21', outcome: 'decline', reasonCode: 'UNDERAGE', reason: 'You must be 21 or older' },
+    { ruleId: 'income', condition: 'income >= 50000', score: 30 },
+    { ruleId: 'self_employed', condition: "employment == 'Self-employed'", outcome: 'refer', reasonCode: 'MANUAL_REVIEW', stop: true },
+    { ruleId: 'bonus', condition: 'true', score: 5 }
+  ],
+  thresholds: { eligible: 30, refer: 20 }
+};
+
+describe('evaluateDecision', () => {
+  test('adds up the scores of matching rules', () => {
+    const decision = evaluateDecision(config, { age: 30, income: 60000 });
+    expect(decision).toMatchObject({ outcome: 'eligible', score: 35, reasonCodes: [], reasons: [] });
+    expect(decision.trace.map(entry => entry.matched)).toEqual([false, true, false, true]);
+  });
+
+  test('lets a rule force a more severe outcome, with its reason', () => {
+    const decision = evaluateDecision(config, { age: 18, income: 60000 });
+    expect(decision).toMatchObject({ outcome: 'decline', reasonCodes: ['UNDERAGE'], reasons: ['You must be 21 or older'] });
+  });
+
+  test('stops at a rule marked stop', () => {
+    const decision = evaluateDecision(config, { age: 30, income: 60000, employment: 'self-employed' });
+    expect(decision).toMatchObject({ outcome: 'refer', score: 30, reasonCodes: ['MANUAL_REVIEW'] });
+    expect(decision.trace).toHaveLength(3);
+    expect(decision.trace[2].stopped).toBe(true);
+  });
+
+  test('refers or declines a low score by the thresholds', () => {
+    expect(evaluateDecision(config, { age: 30, income: 0 }, {})).toMatchObject({ outcome: 'decline', score: 5, reasonCodes: ['LOW_SCORE'] });
+    expect(evaluateDecision({ ...config, baseScore: 15 }, { age: 30, income: 0 })).toMatchObject({ outcome: 'refer', score: 20 });
+  });
+
+  test('counts a broken rule as not matched and notes the error', () => {
+    const decision = evaluateDecision({ rules: [{ ruleId: 'broken', condition: 'foo(', score: 100 }] }, {});
+    expect(decision).toMatchObject({ outcome: 'eligible', score: 0 });
+    expect(decision.trace[0]).toMatchObject({ matched: false, error: expect.stringContaining('Unexpected end') });
+  });
+});
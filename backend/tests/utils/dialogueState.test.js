@@ -0,0 +1,73 @@
+import { parseFollowUp, findTopicMention, updateDialogueState } from '../../utils/dialogueState.js';
+
+const topics = {
+  benefits: {
+    keywords: ['benefits', 'perks'],
+    subjects: {
+      'health insurance': { synonyms: ['insurance', 'health'] },
+      'flexible working hours': { synonyms: ['flexible hours'] }
+    }
+  },
+  policies: {
+    keywords: ['policies', 'policy'],
+    subjects: {
+      leave: { synonyms: ['leave policy', 'holidays'] },
+      'working hours': { synonyms: ['office hours'] }
+    }
+  }
+};
+
+describe('parseFollowUp', () => {
+  test.each(['tell me more', 'Tell me a bit more about it.', 'go on', 'what else?', 'and?', 'ok more details please'])('reads "%s" as asking for more', (text) => {
+    expect(parseFollowUp(text)).toEqual({ type: 'more' });
+  });
+
+  test.each([
+    ['and what about health insurance?', 'health insurance'],
+    ['How about leave', 'leave'],
+    ['and remote work?', 'remote work']
+  ])('reads "%s" as asking about %s', (text, subject) => {
+    expect(parseFollowUp(text)).toEqual({ type: 'about', subject });
+  });
+
+  test('returns null for other messages', () => {
+    expect(parseFollowUp('what are the benefits?')).toBeNull();
+    expect(parseFollowUp('more or less')).toBeNull();
+  });
+});
+
+describe('findTopicMention', () => {
+  test('finds a topic by its keywords and a subject by its synonyms', () => {
+    expect(findTopicMention(topics, 'What perks do we get?')).toEqual({ topic: 'benefits', subject: null });
+    expect(findTopicMention(topics, 'is there any insurance')).toEqual({ topic: 'benefits', subject: 'health insurance' });
+  });
+
+  test('prefers a subject to a topic keyword', () => {
+    expect(findTopicMention(topics, 'the leave policy')).toEqual({ topic: 'policies', subject: 'leave' });
+  });
+
+  test('prefers a subject of the current topic, then the longest phrase', () => {
+    expect(findTopicMention(topics, 'flexible working hours')).toEqual({ topic: 'benefits', subject: 'flexible working hours' });
+    expect(findTopicMention(topics, 'working hours', 'policies')).toEqual({ topic: 'policies', subject: 'working hours' });
+  });
+
+  test('matches whole words only', () => {
+    expect(findTopicMention(topics, 'healthy snacks')).toBeNull();
+  });
+});
+
+describe('updateDialogueState', () => {
+  test('takes the topic mentioned, or keeps the previous one', () => {
+    const first = updateDialogueState(null, { intent: 'question', mention: { topic: 'benefits', subject: null } });
+    expect(first).toMatchObject({ topic: 'benefits', subject: null, intent: 'question', entities: [], turn: 1 });
+
+    const entities = [{ type: 'benefit', value: 'health insurance' }];
+    const second = updateDialogueState(first, { intent: 'gratitude', entities });
+    expect(second).toMatchObject({ topic: 'benefits', intent: 'gratitude', entities, turn: 2 });
+  });
+
+  test('ends the topic on a farewell', () => {
+    const state = { topic: 'benefits', subject: 'health insurance', turn: 3 };
+    expect(updateDialogueState(state, { intent: 'farewell' })).toMatchObject({ topic: null, subject: null, turn: 4 });
+  });
+});
@@ -0,0 +1,72 @@
+import { parseExpression, evaluateExpression } from '../../utils/expression.js';
+
+describe('evaluateExpression', () => {
+  test('compares field values, ignoring case for strings', () => {
+    const values = { address_type: 'rented', monthly_income: 30000 };
+    expect(evaluateExpression("address_type == 'Rented' and monthly_income > 25000", values)).toBe(true);
+    expect(evaluateExpression("address_type != 'Rented' or monthly_income > 50000", values)).toBe(false);
+  });
+
+  test('follows operator precedence and parentheses', () => {
+    expect(evaluateExpression('1 + 2 * 3')).toBe(7);
+    expect(evaluateExpression('(1 + 2) * 3')).toBe(9);
+    expect(evaluateExpression('10 % 4 - -1')).toBe(3);
+    expect(evaluateExpression('x && !y || z', { x: true, y: true, z: false })).toBe(false);
+    expect(evaluateExpression('not (a or b)', { a: false, b: false })).toBe(true);
+  });
+
+  test('supports lists, dotted paths and missing fields', () => {
+    expect(evaluateExpression("x in ['a', 'b']", { x: 'B' })).toBe(true);
+    expect(evaluateExpression('a.b.c >= 2', { a: { b: { c: 2 } } })).toBe(true);
+    expect(evaluateExpression('missing == null', {})).toBe(true);
+    expect(evaluateExpression('xs.length', { xs: [1, 2] })).toBe(2);
+  });
+
+  test('never matches an ordering on missing values or failed arithmetic', () => {
+    expect(evaluateExpression('age > 65', {})).toBe(false);
+    expect(evaluateExpression('age + tenure > 65', { tenure: 5 })).toBe(false);
+    expect(evaluateExpression('age + tenure <= 65', {})).toBe(false);
+    expect(evaluateExpression('age + tenure > 65', { age: 62, tenure: 5 })).toBe(true);
+  });
+
+  test('joins text with + but adds numbers', () => {
+    expect(evaluateExpression("'a' + 1")).toBe('a1');
+    expect(evaluateExpression("a + '2'", { a: 1 })).toBe(3);
+  });
+
+  test('calls whitelisted functions only', () => {
+    const functions = { max: Math.max, len: (list) => list.length };
+    expect(evaluateExpression('max(a, 3) + len(xs)', { a: 1, xs: [1, 2] }, functions)).toBe(5);
+    expect(() => evaluateExpression('foo(1)', {}, functions)).toThrow('Unknown function "foo"');
+    expect(() => evaluateExpression('toString()', {}, functions)).toThrow('Unknown function "toString"');
+  });
+
+  test('treats Object.prototype names as missing fields', () => {
+    expect(evaluateExpression('constructor == null', {})).toBe(true);
+    expect(evaluateExpression('toString == null', {})).toBe(true);
+    expect(evaluateExpression('x.constructor == null', { x: {} })).toBe(true);
+    expect(evaluateExpression('__proto__.x == null', {})).toBe(true);
+  });
+
+  test.each([
+    ['a ==', 'Unexpected end of expression'],
+    ["'open", 'Unterminated string'],
+    ['a b', 'Unexpected "b"'],
+    ['1 +* 2', 'Unexpected "*"']
+  ])('throws a syntax error for %s', (expression, message) => {
+    expect(() => evaluateExpression(expression, {})).toThrow(message);
+  });
+});
+
+describe('parseExpression', () => {
+  test('returns the same tree for the same expression', () => {
+    expect(parseExpression('a + 1')).toBe(parseExpression('a + 1'));
+  });
+
+  test('keeps working once old expressions have been evicted', () => {
+    for (let i = 0; i < 1000; i++) {
+      expect(evaluateExpression(`a + ${i}`, { a: 1 })).toBe(i + 1);
+    }
+    expect(evaluateExpression('a + 5', { a: 1 })).toBe(6);
+  });
+});
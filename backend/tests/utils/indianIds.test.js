@@ -0,0 +1,76 @@
+import {
+  isValidVerhoeff,
+  parsePan,
+  parseAadhaar,
+  parseIfsc,
+  parsePincode,
+  formatAadhaar,
+  describeIdError
+} from '../../utils/indianIds.js';
+
+describe('isValidVerhoeff', () => {
+  test('accepts numbers whose last digit is the Verhoeff check digit', () => {
+    expect(isValidVerhoeff('2363')).toBe(true);
+    expect(isValidVerhoeff('234123412346')).toBe(true);
+  });
+
+  test('rejects a wrong check digit', () => {
+    expect(isValidVerhoeff('2364')).toBe(false);
+    expect(isValidVerhoeff('234123412345')).toBe(false);
+  });
+});
+
+describe('parseAadhaar', () => {
+  test('keeps only the last four digits', () => {
+    expect(parseAadhaar('my aadhaar is 2345 6789 0124')).toEqual({
+      value: 'XXXXXXXX0124',
+      text: '2345 6789 0124',
+      rawValue: 'XXXX XXXX 0124',
+      meta: { last4: '0124' }
+    });
+    expect(parseAadhaar('234567890124').value).toBe('XXXXXXXX0124');
+  });
+
+  test('rejects numbers starting with 0 or 1, or failing the check digit', () => {
+    expect(parseAadhaar('1234 5678 9012')).toBeNull();
+    expect(parseAadhaar('2345 6789 0123')).toBeNull();
+  });
+
+  test('formats the masked number in groups of four', () => {
+    expect(formatAadhaar('XXXXXXXX1234')).toBe('XXXX XXXX 1234');
+  });
+});
+
+describe('parsePan', () => {
+  test('finds a PAN in a message and upper-cases it', () => {
+    expect(parsePan('ABCPE1234F')).toEqual({ value: 'ABCPE1234F', text: 'ABCPE1234F' });
+    expect(parsePan('my pan is abcpe1234f')).toEqual({ value: 'ABCPE1234F', text: 'abcpe1234f' });
+  });
+
+  test('rejects an unknown holder type or the wrong shape', () => {
+    expect(parsePan('ABCXE1234F')).toBeNull();
+    expect(parsePan('ABCDE12345')).toBeNull();
+  });
+});
+
+describe('parseIfsc and parsePincode', () => {
+  test('reads an IFSC code with a zero in fifth place', () => {
+    expect(parseIfsc('hdfc0001234')).toEqual({ value: 'HDFC0001234', text: 'hdfc0001234' });
+    expect(parseIfsc('HDFC1001234')).toBeNull();
+  });
+
+  test('reads a six-digit PIN code not starting with 0', () => {
+    expect(parsePincode('New Delhi 110016').value).toBe('110016');
+    expect(parsePincode('110 016').value).toBe('110016');
+    expect(parsePincode('011001')).toBeNull();
+    expect(parsePincode('9876543210')).toBeNull();
+  });
+});
+
+describe('describeIdError', () => {
+  test('explains what was wrong', () => {
+    expect(describeIdError('ABCDE1234', 'pan')).toMatch(/10 characters/);
+    expect(describeIdError('2345 6789 0123', 'aadhaar')).toMatch(/check-digit/);
+    expect(describeIdError('12345', 'pincode')).toMatch(/6 digits/);
+  });
+});
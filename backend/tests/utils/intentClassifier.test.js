@@ -0,0 +1,57 @@
+import { tokenize, trainIntentClassifier, classifyText, evaluateIntentClassifier } from '../../utils/intentClassifier.js';
+
+const examples = [
+  { intent: 'greeting', text: 'hello there' },
+  { intent: 'greeting', text: 'hi' },
+  { intent: 'greeting', text: 'good morning' },
+  { intent: 'help', text: 'i need help' },
+  { intent: 'help', text: 'can you help me' },
+  { intent: 'help', text: 'what can you do' },
+  { intent: 'builder', text: 'constructor' },
+  { intent: 'builder', text: 'who is the constructor' },
+  { intent: 'builder', text: 'tostring valueof' }
+];
+
+describe('tokenize', () => {
+  test('returns lowercased words and adjacent word pairs', () => {
+    expect(tokenize("That's NOT right!")).toEqual(['thats', 'not', 'right', 'thats not', 'not right']);
+  });
+});
+
+describe('classifyText', () => {
+  const model = trainIntentClassifier(examples);
+
+  test('picks the intent whose examples fit best', () => {
+    expect(classifyText(model, 'hello').name).toBe('greeting');
+    expect(classifyText(model, 'please help me').name).toBe('help');
+  });
+
+  test('treats words named like object properties as plain words', () => {
+    const result = classifyText(model, 'constructor');
+    expect(result.name).toBe('builder');
+    expect(Number.isFinite(result.confidence)).toBe(true);
+    expect(classifyText(model, 'tostring').name).toBe('builder');
+    expect(classifyText(model, 'hello hasownproperty').name).toBe('greeting');
+  });
+
+  test('works the same with a model stored and read back as JSON', () => {
+    const stored = JSON.parse(JSON.stringify(model));
+    expect(classifyText(stored, 'constructor')).toEqual(classifyText(model, 'constructor'));
+    expect(classifyText(stored, 'valueof').name).toBe('builder');
+  });
+
+  test('returns unknown when no word is known or the confidence is too low', () => {
+    expect(classifyText(model, 'zebra')).toEqual({ name: 'unknown', confidence: 0, alternatives: [] });
+    const even = trainIntentClassifier([{ intent: 'greeting', text: 'hello there' }, { intent: 'help', text: 'help there' }]);
+    expect(classifyText(even, 'there', { minConfidence: 0.6 })).toMatchObject({ name: 'unknown', confidence: 0.5 });
+  });
+});
+
+describe('evaluateIntentClassifier', () => {
+  test('reports accuracy and a confusion matrix over the held-out examples', () => {
+    const report = evaluateIntentClassifier(examples, { testRatio: 0.34 });
+    expect(report).toMatchObject({ exampleCount: 9, intentCount: 3, trainSize: 6, testSize: 3 });
+    expect(report.confusionMatrix.labels).toEqual(expect.arrayContaining(['greeting', 'help', 'builder']));
+    expect(report.intents.every(item => Number.isFinite(item.f1))).toBe(true);
+  });
+});
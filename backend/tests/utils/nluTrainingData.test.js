@@ -0,0 +1,41 @@
+import { parseTrainingData } from '../../utils/nluTrainingData.js';
+
+describe('parseTrainingData', () => {
+  test('groups CSV rows by intent with their entity annotations', () => {
+    const csv = 'intent,text,entities\nask_benefit,"is health insurance covered,\nfor my family?",benefit:health insurance\ngreeting,hi,';
+    expect(parseTrainingData(csv, 'csv')).toEqual({
+      intents: [
+        {
+          name: 'ask_benefit',
+          description: undefined,
+          examples: [{
+            text: 'is health insurance covered,\nfor my family?',
+            entities: [{ entity: 'benefit', value: 'health insurance', start: 3, end: 19 }]
+          }]
+        },
+        { name: 'greeting', description: undefined, examples: [{ text: 'hi', entities: [] }] }
+      ],
+      errors: []
+    });
+  });
+
+  test('reports rows that cannot be used and keeps the rest', () => {
+    const { intents, errors } = parseTrainingData([
+      { intent: 'greeting', text: 'hello' },
+      { intent: 'Bad Name', text: 'hi' },
+      { intent: 'greeting', text: '' },
+      { intent: 'greeting', text: 'x'.repeat(501) },
+      null,
+      { intent: 'ask_benefit', text: 'about leave', entities: [{ entity: 'benefit', value: 'insurance' }] }
+    ]);
+
+    expect(intents).toEqual([{ name: 'greeting', description: undefined, examples: [{ text: 'hello', entities: [] }] }]);
+    expect(errors).toEqual([
+      { row: 2, message: 'Invalid intent name "Bad Name"' },
+      { row: 3, message: 'Example text is missing' },
+      { row: 4, message: 'Example text is longer than 500 characters' },
+      { row: 5, message: 'Expected an example with an intent and a text' },
+      { row: 6, message: '"insurance" does not appear in the example' }
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+import { normalizeOptions, matchOption, matchOptions } from '../../utils/optionMatcher.js';
+
+const addressTypes = ['Owned', 'Rented', { value: 'Provided by employer', synonyms: ['company quarters'] }];
+const purposes = ['Education', 'Medical', 'Travel', 'Wedding'];
+
+describe('normalizeOptions', () => {
+  test('turns plain and configured options into { value, synonyms }', () => {
+    expect(normalizeOptions(addressTypes)).toEqual([
+      { value: 'Owned', synonyms: [] },
+      { value: 'Rented', synonyms: [] },
+      { value: 'Provided by employer', synonyms: ['company quarters'] }
+    ]);
+  });
+});
+
+describe('matchOption', () => {
+  test.each([
+    ['rented', 'Rented'],
+    ['rentd', 'Rented'],
+    ['R', 'Rented'],
+    ['company quarters', 'Provided by employer']
+  ])('matches %s', (message, option) => {
+    expect(matchOption(message, addressTypes).option).toBe(option);
+  });
+
+  test('offers the remaining options for a negation', () => {
+    expect(matchOption('not owned', addressTypes)).toEqual({ candidates: ['Rented', 'Provided by employer'] });
+  });
+
+  test('reads numbers only when the options were listed', () => {
+    expect(matchOption('2', addressTypes)).toBeNull();
+    expect(matchOption('2', addressTypes, { allowNumbers: true }).option).toBe('Rented');
+    expect(matchOption('the second one', addressTypes, { allowNumbers: true }).option).toBe('Rented');
+  });
+
+  test('accepts only exact mentions in strict mode', () => {
+    expect(matchOption('I live in a rented flat', addressTypes, { strict: true })).toEqual({ option: 'Rented', text: 'rented' });
+    expect(matchOption('rentd', addressTypes, { strict: true })).toBeNull();
+  });
+
+  test('does not confuse an option with one that contains it', () => {
+    expect(matchOption('male', ['Male', 'Female']).option).toBe('Male');
+  });
+
+  test('returns null when nothing fits', () => {
+    expect(matchOption('blah', addressTypes)).toBeNull();
+  });
+});
+
+describe('matchOptions', () => {
+  test.each([
+    ['education and medical', ['Education', 'Medical']],
+    ['1, 3', ['Education', 'Travel']],
+    ['all of them', purposes],
+    ['all except travel', ['Education', 'Medical', 'Wedding']]
+  ])('reads %s', (message, options) => {
+    expect(matchOptions(message, purposes, { allowNumbers: true }).options).toEqual(options);
+  });
+
+  test('returns null when nothing fits', () => {
+    expect(matchOptions('nothing', purposes, { allowNumbers: true })).toBeNull();
+  });
+});
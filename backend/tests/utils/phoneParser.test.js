@@ -0,0 +1,33 @@
+import { parsePhoneNumber, formatPhoneNumber } from '../../utils/phoneParser.js';
+
+describe('parsePhoneNumber', () => {
+  test.each([
+    '9876543210',
+    '+91 98765 43210',
+    '098765-43210'
+  ])('reads the Indian mobile number %s', (message) => {
+    expect(parsePhoneNumber(message)).toEqual({
+      e164: '+919876543210',
+      display: '+91 98765 43210',
+      region: 'IN',
+      text: message
+    });
+  });
+
+  test('reads numbers with another country code', () => {
+    expect(parsePhoneNumber('+1 415 555 2671')).toMatchObject({ e164: '+14155552671', region: 'US' });
+    expect(parsePhoneNumber('+44 20 7946 0958')).toMatchObject({ e164: '+442079460958', region: 'GB' });
+  });
+
+  test('rejects numbers that are not valid for the region', () => {
+    expect(parsePhoneNumber('12345')).toBeNull();
+    expect(parsePhoneNumber('1234567890')).toBeNull();
+  });
+});
+
+describe('formatPhoneNumber', () => {
+  test('formats E.164 numbers and leaves anything else alone', () => {
+    expect(formatPhoneNumber('+919876543210')).toBe('+91 98765 43210');
+    expect(formatPhoneNumber('abc')).toBe('abc');
+  });
+});
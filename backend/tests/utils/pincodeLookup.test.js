@@ -0,0 +1,23 @@
+import { lookupPincode, reloadPincodes } from '../../utils/pincodeLookup.js';
+
+describe('lookupPincode', () => {
+  afterEach(() => {
+    delete process.env.PINCODE_DATA_PATH;
+    reloadPincodes();
+  });
+
+  test('returns the place for a known PIN code, ignoring spaces', () => {
+    expect(lookupPincode('110 001')).toEqual({ pincode: '110001', city: 'New Delhi', district: 'New Delhi', state: 'Delhi' });
+    expect(lookupPincode(560001)).toMatchObject({ city: 'Bengaluru', state: 'Karnataka' });
+  });
+
+  test('returns null for an unknown PIN code', () => {
+    expect(lookupPincode('999999')).toBeNull();
+  });
+
+  test('leaves lookups empty when the dataset cannot be read', () => {
+    process.env.PINCODE_DATA_PATH = '/nonexistent/pincodes.json';
+    reloadPincodes();
+    expect(lookupPincode('110001')).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import User from '../../models/User.js';
+import { readProfileValue, writeProfileValue } from '../../utils/userProfile.js';
+
+const makeUser = () => new User({
+  email: 'ravi@example.com',
+  password: 'secret123',
+  firstName: 'Ravi',
+  lastName: 'Kumar',
+  profile: { phone: ' 9876543210 ', location: '' }
+});
+
+describe('readProfileValue', () => {
+  test('reads names, the email and profile fields as trimmed text', () => {
+    const user = makeUser();
+    expect(readProfileValue(user, 'fullName')).toBe('Ravi Kumar');
+    expect(readProfileValue(user, 'email')).toBe('ravi@example.com');
+    expect(readProfileValue(user, 'profile.phone')).toBe('9876543210');
+  });
+
+  test('returns null for empty values and paths outside the profile', () => {
+    const user = makeUser();
+    expect(readProfileValue(user, 'profile.location')).toBeNull();
+    expect(readProfileValue(user, 'password')).toBeNull();
+    expect(readProfileValue(user, 'profile.secret')).toBeNull();
+    expect(readProfileValue(null, 'email')).toBeNull();
+  });
+});
+
+describe('writeProfileValue', () => {
+  test('sets a profile field and reports whether it changed', () => {
+    const user = makeUser();
+    expect(writeProfileValue(user, 'profile.phone', '9876543210')).toBe(false);
+    expect(writeProfileValue(user, 'profile.phone', '+919123456789')).toBe(true);
+    expect(user.profile.phone).toBe('+919123456789');
+  });
+
+  test('splits a full name into first names and the last word', () => {
+    const user = makeUser();
+    expect(writeProfileValue(user, 'fullName', 'Ravi Kumar Sharma')).toBe(true);
+    expect(user.firstName).toBe('Ravi Kumar');
+    expect(user.lastName).toBe('Sharma');
+  });
+
+  test('never writes the login email or an empty value', () => {
+    const user = makeUser();
+    expect(writeProfileValue(user, 'email', 'other@example.com')).toBe(false);
+    expect(writeProfileValue(user, 'profile.department', '  ')).toBe(false);
+    expect(user.email).toBe('ravi@example.com');
+  });
+});
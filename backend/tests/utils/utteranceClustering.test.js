@@ -0,0 +1,42 @@
+import { maskUtterance, utteranceTokens, utteranceSimilarity, findClosestCluster } from '../../utils/utteranceClustering.js';
+
+describe('maskUtterance', () => {
+  test('masks numbers and email addresses', () => {
+    expect(maskUtterance('call me on 98765 43210')).toBe('call me on #');
+    expect(maskUtterance('my mail is ravi.k@example.co.in  ok')).toBe('my mail is <email> ok');
+  });
+
+  test('keeps short numbers, which are rarely personal', () => {
+    expect(maskUtterance('I have 2 kids')).toBe('I have 2 kids');
+  });
+});
+
+describe('utteranceTokens', () => {
+  test('keeps content words without a plural s', () => {
+    expect(utteranceTokens("What are the loan rates?")).toEqual(['loan', 'rate']);
+    expect(utteranceTokens('business address')).toEqual(['business', 'address']);
+  });
+
+  test('falls back to all words when there are no content words', () => {
+    expect(utteranceTokens('what about it')).toEqual(['what', 'about', 'it']);
+  });
+});
+
+describe('clustering', () => {
+  test('scores the share of words two messages have in common', () => {
+    expect(utteranceSimilarity(['loan', 'rate'], ['loan', 'rate'])).toBe(1);
+    expect(utteranceSimilarity(['loan', 'rate'], ['loan', 'tenure'])).toBeCloseTo(1 / 3);
+    expect(utteranceSimilarity([], ['loan'])).toBe(0);
+  });
+
+  test('picks the most similar cluster that reaches the threshold', () => {
+    const clusters = [
+      { id: 'rates', tokens: ['loan', 'rate'] },
+      { id: 'rates-today', tokens: ['loan', 'rate', 'today'] },
+      { id: 'tenure', tokens: ['loan', 'tenure'] }
+    ];
+    expect(findClosestCluster(clusters, utteranceTokens('loan rates')).id).toBe('rates');
+    expect(findClosestCluster(clusters, utteranceTokens('loan rates for today')).id).toBe('rates-today');
+    expect(findClosestCluster(clusters, utteranceTokens('cancel my application'))).toBeNull();
+  });
+});
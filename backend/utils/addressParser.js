@@ -0,0 +1,188 @@
+// Indian postal addresses typed as one line or several, e.g.
+// "Flat 12, Shanti Apartments, MG Road, Kalyanpur, Kanpur, UP 208016".
+// Splits them into { line1, line2, locality, city, district, state, pincode }
+// and fills city, district and state from the PIN code where it is known.
+import { parsePincode } from './indianIds.js';
+import { lookupPincode } from './pincodeLookup.js';
+
+const ADDRESS_PARTS = ['line1', 'line2', 'locality', 'city', 'district', 'state', 'pincode'];
+
+const ADDRESS_PART_LABELS = {
+  line1: 'house number and street',
+  line2: 'building or landmark',
+  locality: 'locality or area',
+  city: 'city',
+  district: 'district',
+  state: 'state',
+  pincode: 'PIN code'
+};
+
+// Canonical state and union territory names with the other ways people write them
+const STATES = {
+  'Andaman and Nicobar Islands': ['andaman and nicobar', 'andaman & nicobar islands', 'andaman & nicobar', 'a&n islands'],
+  'Andhra Pradesh': ['ap'],
+  'Arunachal Pradesh': [],
+  'Assam': [],
+  'Bihar': [],
+  'Chandigarh': [],
+  'Chhattisgarh': ['chattisgarh'],
+  'Dadra and Nagar Haveli and Daman and Diu': ['dadra and nagar haveli', 'daman and diu'],
+  'Delhi': ['nct of delhi', 'new delhi'],
+  'Goa': [],
+  'Gujarat': [],
+  'Haryana': [],
+  'Himachal Pradesh': ['hp'],
+  'Jammu and Kashmir': ['jammu & kashmir', 'j&k'],
+  'Jharkhand': [],
+  'Karnataka': ['ka'],
+  'Kerala': [],
+  'Ladakh': [],
+  'Lakshadweep': [],
+  'Madhya Pradesh': ['mp'],
+  'Maharashtra': ['mh'],
+  'Manipur': [],
+  'Meghalaya': [],
+  'Mizoram': [],
+  'Nagaland': [],
+  'Odisha': ['orissa'],
+  'Puducherry': ['pondicherry'],
+  'Punjab': [],
+  'Rajasthan': [],
+  'Sikkim': [],
+  'Tamil Nadu': ['tamilnadu', 'tn'],
+  'Telangana': [],
+  'Tripura': [],
+  'Uttar Pradesh': ['up'],
+  'Uttarakhand': ['uttaranchal'],
+  'West Bengal': ['wb']
+};
+
+// A state that is also the name of its only city
+const CITY_STATES = ['Chandigarh', 'Delhi', 'Puducherry'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Longest names first, so "new delhi" is tried before "delhi"
+const STATE_NAMES = Object.entries(STATES)
+  .flatMap(([state, aliases]) => [state.toLowerCase(), ...aliases].map(name => ({ name, state })))
+  .sort((a, b) => b.name.length - a.name.length);
+
+// Finds a state name at the end of the text; returns { state, rest } or null
+const matchStateAtEnd = (text) => {
+  for (const { name, state } of STATE_NAMES) {
+    const match = text.match(new RegExp(`(?:^|[\\s,])${escapeRegExp(name)}\\.?$`, 'i'));
+    if (match) {
+      return { state, rest: text.slice(0, match.index).trim() };
+    }
+  }
+  return null;
+};
+
+// "up" -> "Uttar Pradesh"; null when the text is not a state
+const normalizeState = (text) => {
+  const match = matchStateAtEnd(text.trim().replace(/[.!]+$/, ''));
+  return match && !match.rest ? match.state : null;
+};
+
+// Fills city, district and state from the PIN code where they are missing.
+// Returns the names of the parts that were filled.
+const completeFromPincode = (parts) => {
+  const place = parts.pincode ? lookupPincode(parts.pincode) : null;
+  if (!place) return [];
+
+  const filled = [];
+  ['city', 'district', 'state'].forEach(part => {
+    if (!parts[part] && place[part]) {
+      parts[part] = place[part];
+      filled.push(part);
+    }
+  });
+  return filled;
+};
+
+// Returns { parts, autofilledParts, text } or null for an empty message. Pass
+// autofill: false to get only what the message itself says.
+const parseAddress = (message, { autofill = true } = {}) => {
+  let text = message.trim();
+  if (!text) return null;
+
+  const parts = {};
+
+  const pincode = parsePincode(text);
+  if (pincode) {
+    parts.pincode = pincode.value;
+    text = text.replace(pincode.text, ' ');
+  }
+
+  let segments = text
+    .replace(/\bindia\b\.?/gi, ' ')
+    .split(/[,;\n]+/)
+    .map(segment => segment.replace(/\s+/g, ' ').replace(/^[\s\-.]+|[\s\-.]+$/g, ''))
+    .filter(Boolean);
+
+  // The state, if given, comes last
+  if (segments.length > 0) {
+    const stateMatch = matchStateAtEnd(segments[segments.length - 1]);
+    if (stateMatch) {
+      parts.state = stateMatch.state;
+      // "Sector 17, Chandigarh" names the city as well
+      if (!stateMatch.rest && CITY_STATES.includes(stateMatch.state)) {
+        parts.city = segments[segments.length - 1].replace(/\.$/, '');
+      }
+      segments[segments.length - 1] = stateMatch.rest;
+      segments = segments.filter(Boolean);
+    }
+  }
+
+  // The city comes before the state. With a known PIN code it can be found by
+  // name even when the address is one long line.
+  const place = parts.pincode ? lookupPincode(parts.pincode) : null;
+  if (segments.length > 0 && place) {
+    const last = segments[segments.length - 1];
+    const cityNames = [place.city, place.district].filter(Boolean).sort((a, b) => b.length - a.length);
+    for (const name of cityNames) {
+      const match = last.match(new RegExp(`(?:^|\\s)(${escapeRegExp(name)})$`, 'i'));
+      if (match) {
+        parts.city = match[1];
+        segments[segments.length - 1] = last.slice(0, match.index).trim();
+        segments = segments.filter(Boolean);
+        break;
+      }
+    }
+  }
+  if (!parts.city && segments.length > 1) {
+    parts.city = segments.pop();
+  }
+
+  if (segments.length > 0) parts.line1 = segments[0];
+  if (segments.length === 2) parts.locality = segments[1];
+  if (segments.length > 2) {
+    parts.line2 = segments.slice(1, -1).join(', ');
+    parts.locality = segments[segments.length - 1];
+  }
+
+  const autofilledParts = autofill ? completeFromPincode(parts) : [];
+  if (!parts.city && CITY_STATES.includes(parts.state)) {
+    parts.city = parts.state;
+  }
+
+  return { parts, autofilledParts, text: message };
+};
+
+// The address as labelled lines, in a fixed order
+const formatAddress = (parts) => {
+  if (!parts || typeof parts !== 'object') return parts;
+  return ADDRESS_PARTS
+    .filter(part => parts[part])
+    .map(part => `${ADDRESS_PART_LABELS[part].charAt(0).toUpperCase()}${ADDRESS_PART_LABELS[part].slice(1)}: ${parts[part]}`)
+    .join('\n');
+};
+
+export {
+  ADDRESS_PARTS,
+  ADDRESS_PART_LABELS,
+  parseAddress,
+  normalizeState,
+  completeFromPincode,
+  formatAddress
+};
@@ -0,0 +1,168 @@
+// Money amounts as people type them: "5 lakh", "2.5 crore", "50k", "₹1,20,000",
+// "Rs. 85000", "fifty thousand", "1 lakh 20 thousand", "two and a half lakh",
+// "$2.5 million".
+
+const SMALL_NUMBERS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+  sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALES = {
+  k: 1e3, thousand: 1e3, thousands: 1e3,
+  l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5, lk: 1e5,
+  cr: 1e7, crore: 1e7, crores: 1e7,
+  mn: 1e6, million: 1e6, millions: 1e6,
+  bn: 1e9, billion: 1e9, billions: 1e9
+};
+
+const CURRENCY_MARKERS = [
+  { currency: 'INR', pattern: /₹|\brs\.?(?=\s|\d|$)|\binr\b|\brupees?\b/i },
+  { currency: 'USD', pattern: /\$|\busd\b|\bdollars?\b/i },
+  { currency: 'EUR', pattern: /€|\beur\b|\beuros?\b/i },
+  { currency: 'GBP', pattern: /£|\bgbp\b|\bpounds?\b/i }
+];
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+
+// Currency marker directly in front of an amount, so it is part of the matched text
+const LEADING_MARKER = /(?:₹|\$|€|£|\brs\.?|\binr|\busd)\s*$/i;
+
+const tokenize = (message) => {
+  const tokens = [];
+  const pattern = /\d[\d,]*(?:\.\d+)?|[a-z]+/gi;
+  let match;
+  while ((match = pattern.exec(message)) !== null) {
+    tokens.push({ text: match[0], lower: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+const isNumberToken = (token) => /^\d/.test(token.text);
+
+// Index of the "half" in "a half" or "half" starting at tokens[index], or 0
+const readHalf = (tokens, index) => {
+  if (tokens[index] && tokens[index].lower === 'a') index++;
+  return tokens[index] && tokens[index].lower === 'half' ? index : 0;
+};
+
+// Reads the longest amount starting at tokens[index]; returns { amount, endIndex, hasScale }
+const readAmount = (tokens, index, message) => {
+  let total = 0;
+  let current = 0;
+  let hasCurrent = false;
+  let hasScale = false;
+  let lastScale = 0;
+  let lastValueIndex = -1;
+
+  for (let i = index; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (i > index) {
+      const gap = message.slice(tokens[i - 1].end, token.start);
+      if (!/^[\s-]*$/.test(gap)) break;
+    }
+
+    if (isNumberToken(token)) {
+      if (hasCurrent) break;
+      current = parseFloat(token.text.replace(/,/g, ''));
+      hasCurrent = true;
+    } else if (token.lower in SMALL_NUMBERS) {
+      const value = SMALL_NUMBERS[token.lower];
+      // "twenty five" adds up, "five twenty" does not
+      if (hasCurrent && (current % 100 === 0 ? value >= 100 : current % 10 !== 0 || value >= 10)) break;
+      current += value;
+      hasCurrent = true;
+    } else if (token.lower === 'hundred') {
+      current = (hasCurrent ? current : 1) * 100;
+      hasCurrent = true;
+    } else if (token.lower in SCALES) {
+      if (!hasCurrent) break;
+      total += current * SCALES[token.lower];
+      current = 0;
+      hasCurrent = false;
+      hasScale = true;
+      lastScale = SCALES[token.lower];
+    } else if (token.lower === 'and' && (hasCurrent || lastScale) && readHalf(tokens, i + 1)) {
+      // "two and a half lakh", "a lakh and a half"
+      if (hasCurrent) {
+        current += 0.5;
+      } else {
+        total += lastScale / 2;
+      }
+      i = readHalf(tokens, i + 1);
+    } else if (token.lower === 'and' && lastValueIndex >= 0) {
+      // "one lakh and fifty thousand"
+      continue;
+    } else if (token.lower === 'half' && i === index) {
+      // "half a lakh"
+      current = 0.5;
+      hasCurrent = true;
+      if (tokens[i + 1] && tokens[i + 1].lower === 'a') i++;
+    } else if (token.lower === 'a' && i === index) {
+      // "a lakh"
+      current = 1;
+      hasCurrent = true;
+      continue;
+    } else {
+      break;
+    }
+    lastValueIndex = i;
+  }
+
+  if (lastValueIndex < 0) return null;
+  return { amount: total + (hasCurrent ? current : 0), endIndex: lastValueIndex, hasScale };
+};
+
+const detectCurrency = (message) => {
+  const marker = CURRENCY_MARKERS.find(({ pattern }) => pattern.test(message));
+  return marker ? marker.currency : null;
+};
+
+// Returns { amount, currency, text } for the first amount in the message, or
+// null. With requireMarker, bare numbers ("12") are ignored and only amounts
+// with a currency marker or a unit ("50k", "5 lakh") count.
+const parseAmount = (message, { defaultCurrency = 'INR', requireMarker = false } = {}) => {
+  const tokens = tokenize(message);
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const startsAmount = isNumberToken(token) || token.lower in SMALL_NUMBERS ||
+      (token.lower === 'a' && tokens[i + 1] && tokens[i + 1].lower in SCALES) ||
+      (token.lower === 'half' && [tokens[i + 1], tokens[i + 2]].some(next => next && next.lower in SCALES));
+    if (!startsAmount) continue;
+
+    const result = readAmount(tokens, i, message);
+    if (!result || result.amount <= 0) continue;
+
+    let start = token.start;
+    const end = tokens[result.endIndex].end;
+    const leading = message.slice(0, start).match(LEADING_MARKER);
+    if (leading) start -= leading[0].length;
+
+    const text = message.slice(start, end);
+    if (requireMarker && !result.hasScale && !detectCurrency(text)) continue;
+
+    return {
+      amount: Math.round(result.amount * 100) / 100,
+      currency: detectCurrency(text) || detectCurrency(message) || defaultCurrency,
+      text
+    };
+  }
+
+  return null;
+};
+
+// 120000, 'INR' -> "₹1,20,000"; other currencies use Western grouping
+const formatAmount = (amount, currency = 'INR') => {
+  if (typeof amount !== 'number') return amount;
+  const grouping = currency === 'INR' ? 'en-IN' : 'en-US';
+  const formatted = new Intl.NumberFormat(grouping, { maximumFractionDigits: 2 }).format(amount);
+  const symbol = CURRENCY_SYMBOLS[currency];
+  return symbol ? `${symbol}${formatted}` : `${currency} ${formatted}`;
+};
+
+export {
+  parseAmount,
+  formatAmount
+};
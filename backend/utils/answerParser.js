@@ -0,0 +1,95 @@
+// Parsers for answers that are not free text: yes/no, ratings on a scale and
+// lists of entries given over one or more messages.
+
+const YES_PHRASES = ['yes', 'yeah', 'yea', 'yep', 'yup', 'ya', 'sure', 'ok', 'okay', 'of course', 'ofc',
+  'definitely', 'absolutely', 'certainly', 'correct', 'right', 'true', 'affirmative', 'indeed',
+  'haan', 'han', 'ha', 'ji', 'ji haan', 'i do', 'i have', 'i am', 'we do', 'we have'];
+
+const NO_PHRASES = ['no', 'nope', 'nah', 'na', 'nahi', 'nahin', 'never', 'not really', 'negative', 'false',
+  'none', 'not at all', 'i dont', 'i do not', 'i havent', 'i have not', 'i dont have', 'i am not', 'im not',
+  'we dont', 'we do not', 'not correct', 'not right', 'not true', 'incorrect', 'wrong'];
+
+// Answers that are neither, so "not sure" is not read as "sure"
+const UNSURE_PHRASES = ['not sure', 'im not sure', 'i am not sure', 'unsure', 'no idea', 'dont know', 'i dont know',
+  'do not know', 'maybe', 'not certain', 'cant say', 'pata nahi'];
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10
+};
+
+const normalize = (text) => text.toLowerCase().replace(/'/g, '').replace(/[^a-z0-9\s]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Earliest yes or no phrase wins, the longest one at that position: "no, I
+// don't" is a no, "I have a car loan" is a yes. Returns { value, text }, or
+// null when there is neither or the answer is unsure ("not sure", "no idea").
+const parseBoolean = (message) => {
+  const text = ` ${normalize(message)} `;
+  let best = null;
+
+  [
+    ...YES_PHRASES.map(phrase => ({ phrase, value: true })),
+    ...NO_PHRASES.map(phrase => ({ phrase, value: false })),
+    ...UNSURE_PHRASES.map(phrase => ({ phrase, value: null }))
+  ]
+    .forEach(({ phrase, value }) => {
+      const index = text.indexOf(` ${phrase} `);
+      if (index < 0) return;
+      if (!best || index < best.index || (index === best.index && phrase.length > best.phrase.length)) {
+        best = { index, phrase, value };
+      }
+    });
+
+  return best && best.value !== null ? { value: best.value, text: message.trim() } : null;
+};
+
+// A whole-number rating from min to max: "4", "four", "4/5", "4 out of 5",
+// "★★★★". Ratings on another scale ("8/10") are converted. Returns
+// { value, text } or null when there is no rating in range.
+const parseRating = (message, { min = 1, max = 5 } = {}) => {
+  const stars = message.match(/[★⭐]+/u);
+  if (stars) {
+    const count = [...stars[0]].length;
+    return count >= min && count <= max ? { value: count, text: stars[0] } : null;
+  }
+
+  const text = message.toLowerCase();
+  const wordNumbers = text.replace(/\b(zero|one|two|three|four|five|six|seven|eight|nine|ten)\b/g, word => NUMBER_WORDS[word]);
+
+  const outOf = wordNumbers.match(/\b(\d+(?:\.\d+)?)\s*(?:\/|out of|of)\s*(\d+)\b/);
+  let value = null;
+  if (outOf && parseFloat(outOf[2]) > 0) {
+    const given = parseFloat(outOf[1]);
+    const scale = parseFloat(outOf[2]);
+    value = scale === max ? given : Math.round((given / scale) * max);
+  } else {
+    const number = wordNumbers.match(/\b\d+(?:\.\d+)?\b/);
+    if (number) value = parseFloat(number[0]);
+  }
+
+  if (value === null || !Number.isInteger(value) || value < min || value > max) return null;
+  return { value, text: message.trim() };
+};
+
+// "Infosys, TCS and Wipro" or one entry per line -> ['Infosys', 'TCS', 'Wipro'].
+// "and" only separates entries in a comma separated list, so "Tata and Sons" stays whole.
+const splitListEntries = (message) => {
+  const hasSeparators = /[,;\n]/.test(message);
+  return message
+    .split(hasSeparators ? /[;\n]+|,\s*(?:and\s+)?|\s+and\s+/ : /[;\n]+/)
+    .map(entry => entry.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+};
+
+const DONE_PHRASE = '(?:done|finished|no more|nothing (?:else|more)|no|none|nope|nah|(?:im|i am) done|(?:thats|that is) (?:all|it))';
+const DONE_MESSAGE = new RegExp(`^${DONE_PHRASE}(?: (?:${DONE_PHRASE}|thanks|thank you|for now|please|ok|okay))*$`);
+
+// "done", "that's all", "no more, thanks" and the like end a list; a message
+// with anything else in it ("done with Infosys") is an entry
+const isListDone = (message) => DONE_MESSAGE.test(normalize(message));
+
+export {
+  parseBoolean,
+  parseRating,
+  splitListEntries,
+  isListDone
+};
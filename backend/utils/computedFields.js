@@ -0,0 +1,111 @@
+// Values derived from a flow's answers, declared in the flow config as
+//   { fieldId: 'emi', fieldName: 'EMI', expression: 'emi(loan_amount, 10.5, loan_tenure)', format: 'currency' }
+// Expressions use the language in expression.js with the functions below.
+import { evaluateExpression } from './expression.js';
+import { isIsoDate, calculateAge } from './dateParser.js';
+import { formatAmount } from './amountParser.js';
+import logger from './logger.js';
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+const toNumber = (value) => {
+  if (isMissing(value)) return NaN;
+  return typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+};
+
+// Functions an expression may call. Missing inputs give null rather than 0, so
+// a value is only computed once everything it depends on has been collected.
+const COMPUTED_FUNCTIONS = {
+  // Whole years since an ISO date
+  age: (date) => (isIsoDate(date) ? calculateAge(date) : null),
+
+  // Monthly instalment for a loan at an annual interest rate in percent
+  emi: (principal, annualRate, months) => {
+    const [p, rate, n] = [principal, annualRate, months].map(toNumber);
+    if ([p, rate, n].some(Number.isNaN) || n <= 0) return null;
+    const r = rate / 12 / 100;
+    if (r === 0) return p / n;
+    const growth = (1 + r) ** n;
+    return (p * r * growth) / (growth - 1);
+  },
+
+  round: (value, decimals = 0) => {
+    const number = toNumber(value);
+    if (Number.isNaN(number)) return null;
+    const factor = 10 ** toNumber(decimals);
+    return Math.round(number * factor) / factor;
+  },
+  floor: (value) => (Number.isNaN(toNumber(value)) ? null : Math.floor(toNumber(value))),
+  ceil: (value) => (Number.isNaN(toNumber(value)) ? null : Math.ceil(toNumber(value))),
+  abs: (value) => (Number.isNaN(toNumber(value)) ? null : Math.abs(toNumber(value))),
+  min: (...values) => {
+    const numbers = values.map(toNumber).filter(number => !Number.isNaN(number));
+    return numbers.length > 0 ? Math.min(...numbers) : null;
+  },
+  max: (...values) => {
+    const numbers = values.map(toNumber).filter(number => !Number.isNaN(number));
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  },
+
+  // The first value that was collected: coalesce(existing_emi, 0)
+  coalesce: (...values) => {
+    const value = values.find(item => !isMissing(item));
+    return value === undefined ? null : value;
+  },
+  if: (condition, then, otherwise = null) => (condition ? then : otherwise),
+
+  // For list, multiselect and group answers; sum(references, 'amount') adds up one field of each record
+  count: (list) => (Array.isArray(list) ? list.length : 0),
+  sum: (list, key) => {
+    if (!Array.isArray(list)) return null;
+    return list
+      .map(item => toNumber(key ? item && item[key] : item))
+      .filter(number => !Number.isNaN(number))
+      .reduce((total, number) => total + number, 0);
+  }
+};
+
+// Evaluates the computed fields in the order they are declared, so a field can
+// use the ones before it. A broken expression or a result that is not a
+// finite number, string or boolean is stored as null.
+const computeValues = (computedFields = [], answers = {}) => {
+  const values = { ...answers };
+  const computed = {};
+
+  computedFields.forEach(field => {
+    let value = null;
+    try {
+      value = evaluateExpression(field.expression, values, COMPUTED_FUNCTIONS);
+    } catch (error) {
+      logger.warn(`Ignoring invalid expression for computed field "${field.fieldId}": ${error.message}`);
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) value = null;
+    if (value === undefined) value = null;
+
+    computed[field.fieldId] = value;
+    values[field.fieldId] = value;
+  });
+
+  return computed;
+};
+
+// How a computed value is shown in messages: format is 'currency', 'percent',
+// 'number' or 'text', rounded to `decimals` (0 for currency, 2 otherwise)
+const formatComputedValue = (value, field, { currency = 'INR' } = {}) => {
+  if (isMissing(value)) return '';
+  const number = toNumber(value);
+  if (field.format === 'text' || typeof value === 'boolean' || Number.isNaN(number)) return String(value);
+
+  const decimals = field.decimals ?? (field.format === 'currency' ? 0 : 2);
+  const rounded = Math.round(number * 10 ** decimals) / 10 ** decimals;
+
+  if (field.format === 'currency') return formatAmount(rounded, currency);
+  if (field.format === 'percent') return `${rounded}%`;
+  return rounded.toLocaleString('en-IN');
+};
+
+export {
+  COMPUTED_FUNCTIONS,
+  computeValues,
+  formatComputedValue
+};
@@ -0,0 +1,66 @@
+// Minimal CSV reading for imports: comma separated, double quotes around
+// values that contain commas or line breaks, "" for a quote inside a quoted value.
+
+// Records as arrays of trimmed values; a line break inside a quoted value is
+// kept as "\n". Blank lines are left out. A quote that is never closed throws
+// unless `strict` is false, since the rest of the text would end up in one value.
+const parseCsvRecords = (text, { strict = true } = {}) => {
+  const records = [];
+  let record = [];
+  let current = '';
+  let quoted = false;
+
+  const endRecord = () => {
+    record.push(current.trim());
+    if (record.length > 1 || record[0]) records.push(record);
+    record = [];
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      if (quoted && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      record.push(current.trim());
+      current = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      if (quoted) {
+        current += '\n';
+      } else {
+        endRecord();
+      }
+    } else {
+      current += char;
+    }
+  }
+  if (quoted && strict) {
+    throw new Error(`Unclosed quote in CSV record ${records.length + 1}`);
+  }
+  endRecord();
+  return records;
+};
+
+// One line of values, for readers that go through a file line by line
+const parseCsvLine = (line) => parseCsvRecords(line, { strict: false })[0] || [''];
+
+// Rows as objects keyed by the lower-cased header names
+const parseCsv = (text) => {
+  const records = parseCsvRecords(String(text).replace(/^\uFEFF/, ''));
+  if (records.length === 0) return [];
+
+  const header = records[0].map(column => column.toLowerCase());
+  return records.slice(1).map(row => Object.fromEntries(header.map((column, index) => [column, row[index] ?? ''])));
+};
+
+export {
+  parseCsvRecords,
+  parseCsvLine,
+  parseCsv
+};
@@ -0,0 +1,100 @@
+// Date extraction for conversational input. Finds the first date in a message
+// ("3rd March 1990", "March 3, 1990", "1990-03-03", "3 Mar 90", "03/03/1990")
+// and normalizes it to an ISO date (YYYY-MM-DD).
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+const ISO_DATE = /\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/;
+const DAY_MONTH_YEAR = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?[\\s\\-/.,]*${MONTH_PATTERN}[\\s\\-/.,]*'?(\\d{4}|\\d{2})\\b`, 'i');
+const MONTH_DAY_YEAR = new RegExp(`\\b${MONTH_PATTERN}[\\s\\-.]*(\\d{1,2})(?:st|nd|rd|th)?(?:,\\s*|[\\s\\-/.]+)'?(\\d{4}|\\d{2})\\b`, 'i');
+const NUMERIC_DATE = /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/;
+
+// Locales that write numeric dates month first
+const MONTH_FIRST_LOCALES = ['en-US', 'en-PH', 'en-CA'];
+
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3))) + 1;
+
+// Two-digit years are read as the most recent year that is not in the future
+const expandYear = (year, today) => {
+  if (year.length === 4) return parseInt(year, 10);
+  const shortYear = parseInt(year, 10);
+  const century = Math.floor(today.getFullYear() / 100) * 100;
+  return century + shortYear > today.getFullYear() ? century - 100 + shortYear : century + shortYear;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Returns { iso, text } for the first date found in the message, or null.
+// Numeric dates are read day first unless the locale writes month first or
+// only one reading is a valid date.
+const parseDate = (message, { locale = 'en-IN', today = new Date() } = {}) => {
+  let match = message.match(ISO_DATE);
+  if (match) {
+    const iso = toIsoDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+    if (iso) return { iso, text: match[0] };
+  }
+
+  match = message.match(DAY_MONTH_YEAR);
+  if (match) {
+    const iso = toIsoDate(expandYear(match[3], today), monthIndex(match[2]), parseInt(match[1], 10));
+    if (iso) return { iso, text: match[0] };
+  }
+
+  match = message.match(MONTH_DAY_YEAR);
+  if (match) {
+    const iso = toIsoDate(expandYear(match[3], today), monthIndex(match[1]), parseInt(match[2], 10));
+    if (iso) return { iso, text: match[0] };
+  }
+
+  match = message.match(NUMERIC_DATE);
+  if (match) {
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const year = expandYear(match[3], today);
+    let monthFirst = MONTH_FIRST_LOCALES.includes(locale);
+    if (first > 12 && second <= 12) monthFirst = false;
+    if (second > 12 && first <= 12) monthFirst = true;
+
+    const iso = monthFirst ? toIsoDate(year, first, second) : toIsoDate(year, second, first);
+    if (iso) return { iso, text: match[0] };
+  }
+
+  return null;
+};
+
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+// Whole years between an ISO date and today; negative for future dates
+const calculateAge = (iso, today = new Date()) => {
+  const [year, month, day] = iso.split('-').map(Number);
+  let age = today.getFullYear() - year;
+  if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) {
+    age--;
+  }
+  return age;
+};
+
+// "1990-03-03" -> "3 March 1990"; anything that is not an ISO date is returned as is
+const formatDate = (value) => {
+  if (!isIsoDate(value)) return value;
+  const [year, month, day] = value.split('-').map(Number);
+  return `${day} ${MONTHS[month - 1].charAt(0).toUpperCase()}${MONTHS[month - 1].slice(1)} ${year}`;
+};
+
+export {
+  parseDate,
+  isIsoDate,
+  calculateAge,
+  formatDate
+};
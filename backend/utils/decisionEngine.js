@@ -0,0 +1,69 @@
+// Eligibility decision for a completed flow: ordered rules over the collected
+// and computed values add to a score or force a decision, and the score is
+// compared to the thresholds. Every rule evaluated is recorded in a trace so
+// the decision can be audited later.
+import { evaluateExpression } from './expression.js';
+import logger from './logger.js';
+
+const OUTCOMES = ['eligible', 'refer', 'decline']; // Least to most severe
+
+const moreSevere = (a, b) => (OUTCOMES.indexOf(a) >= OUTCOMES.indexOf(b) ? a : b);
+
+// Returns { outcome, score, reasonCodes, reasons, trace }. Rules are
+// { ruleId, condition, score, outcome, reasonCode, reason, stop }; a rule whose
+// condition cannot be evaluated counts as not matched and is marked in the trace.
+const evaluateDecision = (config = {}, values = {}, functions = {}) => {
+  const { rules = [], baseScore = 0, thresholds = {} } = config;
+  let score = baseScore;
+  let forced = 'eligible';
+  const reasonCodes = [];
+  const reasons = [];
+  const trace = [];
+
+  for (const rule of rules) {
+    const entry = { ruleId: rule.ruleId, condition: rule.condition, matched: false };
+    try {
+      entry.matched = Boolean(evaluateExpression(rule.condition, values, functions));
+    } catch (error) {
+      logger.warn(`Ignoring invalid eligibility rule "${rule.ruleId}": ${error.message}`);
+      entry.error = error.message;
+    }
+    trace.push(entry);
+    if (!entry.matched) continue;
+
+    if (rule.score) {
+      score += rule.score;
+      entry.score = rule.score;
+    }
+    if (rule.outcome) {
+      forced = moreSevere(rule.outcome, forced);
+      entry.outcome = rule.outcome;
+    }
+    if (rule.reasonCode) reasonCodes.push(rule.reasonCode);
+    if (rule.reason) reasons.push(rule.reason);
+    if (rule.stop) {
+      entry.stopped = true;
+      break;
+    }
+  }
+
+  // Without thresholds the score is informational only
+  let byScore = 'eligible';
+  if (typeof thresholds.eligible === 'number' && score < thresholds.eligible) {
+    byScore = typeof thresholds.refer === 'number' && score >= thresholds.refer ? 'refer' : 'decline';
+  }
+  if (byScore !== 'eligible') reasonCodes.push('LOW_SCORE');
+
+  return {
+    outcome: moreSevere(byScore, forced),
+    score,
+    reasonCodes,
+    reasons,
+    trace
+  };
+};
+
+export {
+  OUTCOMES,
+  evaluateDecision
+};
@@ -0,0 +1,66 @@
+// Dialogue state for the general chat: the topic being talked about, the
+// subject within it last asked about, and the last intent and entities. It
+// lets follow-ups like "tell me more" or "and what about health insurance?"
+// be answered from the previous turn.
+
+// "tell me more", "go on", "what else?", "and?"
+const MORE_REQUEST = /^(?:(?:and|ok|okay|so) )?(?:(?:please|can you|could you) )?(?:tell me (?:a (?:bit|little) )?more(?: about (?:it|that|this|them))?|more(?: details| info| information)?(?: please)?|go on|what else|anything else|elaborate|explain more|and)$/;
+
+// "and what about health insurance?", "how about leave", "and remote work?"
+const ABOUT_REQUEST = /^(?:(?:and|also|ok|okay|so) )?(?:what|how) about (.+)$|^and (.+)$/;
+
+const normalize = (text) => String(text).toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+
+// { type: 'more' } or { type: 'about', subject } for a follow-up, otherwise null
+const parseFollowUp = (text) => {
+  const normalized = normalize(text);
+  if (MORE_REQUEST.test(normalized)) return { type: 'more' };
+  const about = normalized.match(ABOUT_REQUEST);
+  return about ? { type: 'about', subject: about[1] || about[2] } : null;
+};
+
+// The topic and subject a message mentions, e.g. { topic: 'benefits',
+// subject: 'health insurance' }, or { topic, subject: null } for the topic
+// itself. A subject beats a topic keyword, a subject of the current topic
+// beats one of another topic, and then the longest phrase wins.
+const findTopicMention = (topics, text, currentTopic = null) => {
+  const padded = ` ${normalize(text)} `;
+  let best = null;
+
+  const consider = (topic, subject, phrase) => {
+    if (!padded.includes(` ${normalize(phrase)} `)) return;
+    const rank = [subject ? 1 : 0, topic === currentTopic ? 1 : 0, phrase.length];
+    const index = best ? rank.findIndex((value, i) => value !== best.rank[i]) : 0;
+    if (!best || (index >= 0 && rank[index] > best.rank[index])) best = { topic, subject, rank };
+  };
+
+  Object.entries(topics).forEach(([topic, { keywords = [], subjects = {} }]) => {
+    keywords.forEach(keyword => consider(topic, null, keyword));
+    Object.entries(subjects).forEach(([subject, { synonyms = [] }]) => {
+      [subject, ...synonyms].forEach(phrase => consider(topic, subject, phrase));
+    });
+  });
+
+  return best ? { topic: best.topic, subject: best.subject } : null;
+};
+
+// The state after a turn. A mention of a topic sets the topic and subject;
+// otherwise they carry over, until a farewell ends the conversation's topic.
+const updateDialogueState = (state, { intent, entities = [], mention = null }) => {
+  const previous = state || {};
+  const ended = intent === 'farewell';
+  return {
+    topic: ended ? null : (mention ? mention.topic : previous.topic || null),
+    subject: ended ? null : (mention ? mention.subject : previous.subject || null),
+    intent,
+    entities,
+    turn: (previous.turn || 0) + 1,
+    updatedAt: new Date()
+  };
+};
+
+export {
+  parseFollowUp,
+  findTopicMention,
+  updateDialogueState
+};
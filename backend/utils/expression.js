@@ -0,0 +1,341 @@
+// Small, safe expression language used by flow configs for conditions such as
+// "address_type == 'Rented' and monthly_income > 25000". Expressions are parsed
+// into a tree and evaluated against collected field values; nothing is ever
+// passed to eval() or the Function constructor.
+//
+// Supported: numbers, 'strings', true/false/null, field names (dotted paths),
+// [lists], + - * / %, == != < <= > >=, in, and/or/not (&& || !), parentheses
+// and calls to whitelisted functions.
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'true', 'false', 'null'];
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ',', '[', ']'];
+
+// Parsed trees of recently used expressions, least recently used first. Flow
+// configs are editable, so old expressions are evicted rather than kept forever.
+const MAX_CACHED_EXPRESSIONS = 500;
+const parsedCache = new Map();
+
+const tokenize = (expression) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const numberMatch = expression.slice(i).match(/^\d+(?:\.\d+)?/);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0]) });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    if (char === '\'' || char === '"') {
+      let value = '';
+      i++;
+      while (i < expression.length && expression[i] !== char) {
+        if (expression[i] === '\\' && i + 1 < expression.length) i++;
+        value += expression[i];
+        i++;
+      }
+      if (i >= expression.length) {
+        throw new Error(`Unterminated string in expression: ${expression}`);
+      }
+      tokens.push({ type: 'string', value });
+      i++;
+      continue;
+    }
+
+    const identifierMatch = expression.slice(i).match(/^[A-Za-z_][\w.]*/);
+    if (identifierMatch) {
+      const word = identifierMatch[0];
+      const lowerWord = word.toLowerCase();
+      tokens.push(KEYWORDS.includes(lowerWord)
+        ? { type: 'keyword', value: lowerWord }
+        : { type: 'identifier', value: word });
+      i += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+      i += operator.length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${char}" in expression: ${expression}`);
+  }
+
+  return tokens;
+};
+
+const parse = (expression) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isToken = (...values) => {
+    const token = peek();
+    return Boolean(token) && (token.type === 'operator' || token.type === 'keyword') && values.includes(token.value);
+  };
+  const expect = (value) => {
+    if (!isToken(value)) {
+      throw new Error(`Expected "${value}" in expression: ${expression}`);
+    }
+    position++;
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isToken('||', 'or')) {
+      position++;
+      node = { type: 'logical', operator: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isToken('&&', 'and')) {
+      position++;
+      node = { type: 'logical', operator: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isToken('!', 'not')) {
+      position++;
+      return { type: 'not', argument: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const node = parseAdditive();
+    if (isToken('==', '!=', '<', '<=', '>', '>=', 'in')) {
+      const operator = tokens[position++].value;
+      return { type: 'comparison', operator, left: node, right: parseAdditive() };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isToken('+', '-')) {
+      const operator = tokens[position++].value;
+      node = { type: 'arithmetic', operator, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isToken('*', '/', '%')) {
+      const operator = tokens[position++].value;
+      node = { type: 'arithmetic', operator, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isToken('-')) {
+      position++;
+      return { type: 'negate', argument: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parseList = (closing) => {
+    const items = [];
+    if (!isToken(closing)) {
+      items.push(parseOr());
+      while (isToken(',')) {
+        position++;
+        items.push(parseOr());
+      }
+    }
+    expect(closing);
+    return items;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error(`Unexpected end of expression: ${expression}`);
+    }
+    position++;
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true' };
+    }
+
+    if (token.type === 'identifier') {
+      if (isToken('(')) {
+        position++;
+        return { type: 'call', name: token.value, args: parseList(')') };
+      }
+      return { type: 'identifier', name: token.value };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'operator' && token.value === '[') {
+      return { type: 'list', items: parseList(']') };
+    }
+
+    throw new Error(`Unexpected "${token.value}" in expression: ${expression}`);
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in expression: ${expression}`);
+  }
+  return tree;
+};
+
+// Numbers stored as text ("85,000") compare as numbers
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^-?[\d,]+(\.\d+)?$/.test(value.trim())) {
+    return parseFloat(value.replace(/,/g, ''));
+  }
+  return NaN;
+};
+
+// Strings compare case-insensitively, so "rented" == 'Rented'
+const isEqual = (left, right) => {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return (left ?? null) === (right ?? null);
+  }
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  if (!Number.isNaN(leftNumber) && !Number.isNaN(rightNumber)) {
+    return leftNumber === rightNumber;
+  }
+  return String(left).toLowerCase() === String(right).toLowerCase();
+};
+
+const compare = (operator, left, right) => {
+  switch (operator) {
+    case '==':
+      return isEqual(left, right);
+    case '!=':
+      return !isEqual(left, right);
+    case 'in':
+      return Array.isArray(right)
+        ? right.some(item => isEqual(left, item))
+        : typeof right === 'string' && left !== null && left !== undefined &&
+          right.toLowerCase().includes(String(left).toLowerCase());
+    default: {
+      // Missing values and failed arithmetic ("age + tenure" without an age) order against nothing
+      if ([left, right].some(value => value === null || value === undefined || Number.isNaN(value))) return false;
+      let a = toNumber(left);
+      let b = toNumber(right);
+      if (Number.isNaN(a) || Number.isNaN(b)) {
+        a = String(left);
+        b = String(right);
+      }
+      if (operator === '<') return a < b;
+      if (operator === '<=') return a <= b;
+      if (operator === '>') return a > b;
+      return a >= b;
+    }
+  }
+};
+
+// Own properties only, so "constructor" or "toString" is a missing field
+// rather than a member of Object.prototype
+const resolvePath = (values, name) => name.split('.').reduce(
+  (value, key) => (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)
+    ? undefined
+    : value[key]),
+  values
+);
+
+const evaluateNode = (node, values, functions) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier': {
+      const value = resolvePath(values, node.name);
+      return value === undefined ? null : value;
+    }
+    case 'list':
+      return node.items.map(item => evaluateNode(item, values, functions));
+    case 'not':
+      return !evaluateNode(node.argument, values, functions);
+    case 'negate':
+      return -toNumber(evaluateNode(node.argument, values, functions));
+    case 'logical': {
+      const left = evaluateNode(node.left, values, functions);
+      if (node.operator === 'and') return Boolean(left) && Boolean(evaluateNode(node.right, values, functions));
+      return Boolean(left) || Boolean(evaluateNode(node.right, values, functions));
+    }
+    case 'comparison':
+      return compare(node.operator, evaluateNode(node.left, values, functions), evaluateNode(node.right, values, functions));
+    case 'arithmetic': {
+      const left = evaluateNode(node.left, values, functions);
+      const right = evaluateNode(node.right, values, functions);
+      // + joins text, but a missing value added to a number gives NaN rather than text
+      const isText = value => typeof value === 'string' && Number.isNaN(toNumber(value));
+      if (node.operator === '+' && (isText(left) || isText(right))) {
+        return `${left ?? ''}${right ?? ''}`;
+      }
+      const a = toNumber(left);
+      const b = toNumber(right);
+      if (node.operator === '+') return a + b;
+      if (node.operator === '-') return a - b;
+      if (node.operator === '*') return a * b;
+      if (node.operator === '/') return a / b;
+      return a % b;
+    }
+    case 'call': {
+      const fn = functions[node.name];
+      if (typeof fn !== 'function' || !Object.prototype.hasOwnProperty.call(functions, node.name)) {
+        throw new Error(`Unknown function "${node.name}" in expression`);
+      }
+      return fn(...node.args.map(arg => evaluateNode(arg, values, functions)));
+    }
+    default:
+      throw new Error(`Unknown expression node "${node.type}"`);
+  }
+};
+
+const parseExpression = (expression) => {
+  let tree = parsedCache.get(expression);
+  if (tree) {
+    parsedCache.delete(expression);
+  } else {
+    tree = parse(expression);
+    if (parsedCache.size >= MAX_CACHED_EXPRESSIONS) {
+      parsedCache.delete(parsedCache.keys().next().value);
+    }
+  }
+  parsedCache.set(expression, tree);
+  return tree;
+};
+
+// Evaluates an expression against a map of values. Throws on syntax errors and
+// unknown functions so callers can decide how to report a broken config.
+const evaluateExpression = (expression, values = {}, functions = {}) => {
+  return evaluateNode(parseExpression(expression), values, functions);
+};
+
+export {
+  parseExpression,
+  evaluateExpression
+};
@@ -0,0 +1,116 @@
+// Indian identity and bank identifiers: PAN, Aadhaar, IFSC and PIN code.
+// Each parser finds the identifier inside a longer message and returns
+// { value, text, meta } or null.
+
+// Verhoeff checksum tables, as used by UIDAI for Aadhaar numbers
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const isValidVerhoeff = (digits) => {
+  let checksum = 0;
+  digits.split('').reverse().forEach((digit, index) => {
+    checksum = VERHOEFF_MULTIPLY[checksum][VERHOEFF_PERMUTE[index % 8][parseInt(digit, 10)]];
+  });
+  return checksum === 0;
+};
+
+// PAN: five letters, four digits, one letter. The fourth letter is the holder
+// type (P for individuals, C for companies, ...).
+const PAN_PATTERN = /\b[A-Za-z]{3}[ABCFGHLJPTabcfghljpt][A-Za-z]\d{4}[A-Za-z]\b/;
+
+const parsePan = (message) => {
+  const match = message.match(PAN_PATTERN);
+  return match ? { value: match[0].toUpperCase(), text: match[0] } : null;
+};
+
+// "XXXXXXXX1234" -> "XXXX XXXX 1234"
+const formatAadhaar = (value) => {
+  if (typeof value !== 'string' || value.length !== 12) return value;
+  return `${value.slice(0, 4)} ${value.slice(4, 8)} ${value.slice(8)}`;
+};
+
+// Aadhaar: 12 digits, not starting with 0 or 1, often written in groups of four.
+// Only the last four digits are kept; `text` is for taking the number out of
+// the message and must not be stored.
+const AADHAAR_PATTERN = /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/g;
+
+const parseAadhaar = (message) => {
+  const candidates = message.match(AADHAAR_PATTERN) || [];
+  for (const candidate of candidates) {
+    const digits = candidate.replace(/\D/g, '');
+    if (isValidVerhoeff(digits)) {
+      const last4 = digits.slice(-4);
+      const value = `XXXXXXXX${last4}`;
+      return { value, text: candidate, rawValue: formatAadhaar(value), meta: { last4 } };
+    }
+  }
+  return null;
+};
+
+// IFSC: four letters for the bank, a zero, then six characters for the branch
+const IFSC_PATTERN = /\b[A-Za-z]{4}0[A-Za-z0-9]{6}\b/;
+
+const parseIfsc = (message) => {
+  const match = message.match(IFSC_PATTERN);
+  return match ? { value: match[0].toUpperCase(), text: match[0] } : null;
+};
+
+// PIN code: six digits, the first one being the postal zone (1-9)
+const PINCODE_PATTERN = /(?<![\d-])[1-9]\d{2}\s?\d{3}(?![\d-])/;
+
+const parsePincode = (message) => {
+  const match = message.match(PINCODE_PATTERN);
+  return match ? { value: match[0].replace(/\s/g, ''), text: match[0] } : null;
+};
+
+// Why a message did not contain a valid identifier, for a more helpful re-prompt
+const describeIdError = (message, idType) => {
+  switch (idType) {
+    case 'pan':
+      return 'A PAN has 10 characters: five letters, four digits and a letter, like ABCPE1234F.';
+    case 'aadhaar': {
+      const digits = message.replace(/\D/g, '');
+      if (digits.length === 12) {
+        return "That Aadhaar number doesn't pass the check-digit test, so there may be a typo.";
+      }
+      return 'An Aadhaar number has 12 digits, like 2345 6789 0123.';
+    }
+    case 'ifsc':
+      return 'An IFSC code has 11 characters: four letters, a zero and six letters or digits, like HDFC0001234.';
+    case 'pincode':
+      return 'A PIN code has 6 digits, like 110016.';
+    default:
+      return null;
+  }
+};
+
+export {
+  isValidVerhoeff,
+  parsePan,
+  parseAadhaar,
+  parseIfsc,
+  parsePincode,
+  formatAadhaar,
+  describeIdError
+};
@@ -0,0 +1,258 @@
+// Intent classifier trained from example utterances: multinomial naive Bayes
+// over TF-IDF weighted words and word pairs. Naive Bayes alone is far too sure
+// of itself, so the scores are scaled by a factor fitted on cross-validated
+// predictions before they are turned into probabilities. A model is a plain
+// object, so it can be stored and passed around like any other data.
+
+const FOLDS = 5;
+const SCALES = Array.from({ length: 60 }, (_, index) => (index + 1) * 0.5);
+
+// Words and adjacent word pairs, so "not right" is told apart from "right"
+const tokenize = (text) => {
+  const words = String(text)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9\s]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const pairs = words.slice(1).map((word, index) => `${words[index]} ${word}`);
+  return [...words, ...pairs];
+};
+
+// Tables keyed by token or intent have no prototype, and are read through
+// own properties only, so words like "constructor" are just words (also in a
+// model that was stored and read back as JSON)
+const createTable = () => Object.create(null);
+const lookup = (table, key) => (Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined);
+
+const countTokens = (tokens) => tokens.reduce((counts, token) => {
+  counts[token] = (counts[token] || 0) + 1;
+  return counts;
+}, createTable());
+
+// examples are [{ intent, text }]; alpha is the additive smoothing
+const fitModel = (examples, { alpha = 0.5 } = {}) => {
+  const documents = examples.map(example => ({ intent: example.intent, counts: countTokens(tokenize(example.text)) }));
+  const intents = [...new Set(documents.map(document => document.intent))];
+
+  const documentFrequency = createTable();
+  documents.forEach(document => {
+    Object.keys(document.counts).forEach(token => {
+      documentFrequency[token] = (documentFrequency[token] || 0) + 1;
+    });
+  });
+  const idf = createTable();
+  Object.entries(documentFrequency).forEach(([token, frequency]) => {
+    idf[token] = Math.log((1 + documents.length) / (1 + frequency)) + 1;
+  });
+  const vocabularySize = Object.keys(idf).length;
+
+  const priors = createTable();
+  const likelihoods = createTable();
+  const unseen = createTable();
+  intents.forEach(intent => {
+    const weights = createTable();
+    let total = 0;
+    const intentDocuments = documents.filter(document => document.intent === intent);
+    intentDocuments.forEach(document => {
+      Object.entries(document.counts).forEach(([token, count]) => {
+        weights[token] = (weights[token] || 0) + count * idf[token];
+        total += count * idf[token];
+      });
+    });
+
+    const denominator = total + alpha * vocabularySize;
+    priors[intent] = Math.log(intentDocuments.length / documents.length);
+    likelihoods[intent] = createTable();
+    Object.entries(weights).forEach(([token, weight]) => {
+      likelihoods[intent][token] = Math.log((weight + alpha) / denominator);
+    });
+    unseen[intent] = Math.log(alpha / denominator);
+  });
+
+  return {
+    intents,
+    priors,
+    likelihoods,
+    unseen,
+    idf,
+    unknownIdf: Math.log(1 + documents.length) + 1,
+    scale: 1,
+    exampleCount: documents.length
+  };
+};
+
+// Average log-likelihood per intent. Words the model has never seen carry no
+// evidence but still count towards the length, so a message that is mostly
+// unfamiliar gets scores close together. Null when no word is known.
+const scoreTokens = (model, text) => {
+  const counts = countTokens(tokenize(text));
+  const scores = createTable();
+  model.intents.forEach(intent => {
+    scores[intent] = 0;
+  });
+  let knownWeight = 0;
+  let totalWeight = 0;
+
+  Object.entries(counts).forEach(([token, count]) => {
+    const idf = lookup(model.idf, token);
+    if (!idf) {
+      totalWeight += count * model.unknownIdf;
+      return;
+    }
+    const weight = count * idf;
+    knownWeight += weight;
+    totalWeight += weight;
+    model.intents.forEach(intent => {
+      scores[intent] += weight * (lookup(model.likelihoods[intent], token) ?? model.unseen[intent]);
+    });
+  });
+
+  if (knownWeight === 0) return null;
+  model.intents.forEach(intent => {
+    scores[intent] /= totalWeight;
+  });
+  return scores;
+};
+
+const toProbabilities = (model, scores, scale) => {
+  const logits = model.intents.map(intent => scores[intent] * scale + model.priors[intent]);
+  const highest = Math.max(...logits);
+  const exps = logits.map(logit => Math.exp(logit - highest));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return model.intents
+    .map((intent, index) => ({ name: intent, confidence: exps[index] / sum }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// The scale that minimises log loss over predictions for examples held out of
+// training, one fold at a time
+const fitScale = (examples, options) => {
+  const predictions = [];
+  for (let fold = 0; fold < FOLDS; fold += 1) {
+    const heldOut = examples.filter((example, index) => index % FOLDS === fold);
+    const model = fitModel(examples.filter((example, index) => index % FOLDS !== fold), options);
+    heldOut.forEach(example => {
+      const scores = model.intents.includes(example.intent) && scoreTokens(model, example.text);
+      if (scores) predictions.push({ model, scores, intent: example.intent });
+    });
+  }
+  if (predictions.length === 0) return 1;
+
+  let best = { scale: 1, loss: Infinity };
+  SCALES.forEach(scale => {
+    const loss = predictions.reduce((total, { model, scores, intent }) => {
+      const match = toProbabilities(model, scores, scale).find(item => item.name === intent);
+      return total - Math.log(Math.max(match.confidence, 1e-9));
+    }, 0);
+    if (loss < best.loss) best = { scale, loss };
+  });
+  return best.scale;
+};
+
+// Trains a model from [{ intent, text }] examples
+const trainIntentClassifier = (examples, options = {}) => {
+  const usable = examples.filter(example => example.intent && example.text && tokenize(example.text).length > 0);
+  const model = fitModel(usable, options);
+  if (model.intents.length > 1) model.scale = fitScale(usable, options);
+  return model;
+};
+
+// Returns { name, confidence, alternatives } with the next topK - 1 intents as
+// alternatives. The name is 'unknown' when no word of the text is known or
+// the best confidence is below minConfidence.
+const classifyText = (model, text, { topK = 3, minConfidence = 0 } = {}) => {
+  const scores = model && model.intents.length > 0 ? scoreTokens(model, text) : null;
+  if (!scores) return { name: 'unknown', confidence: 0, alternatives: [] };
+
+  const ranked = toProbabilities(model, scores, model.scale)
+    .map(item => ({ name: item.name, confidence: Math.round(item.confidence * 1000) / 1000 }));
+  const [best, ...rest] = ranked;
+  const alternatives = rest.slice(0, Math.max(topK - 1, 0));
+
+  if (best.confidence < minConfidence) {
+    return { name: 'unknown', confidence: best.confidence, alternatives: ranked.slice(0, topK) };
+  }
+  return { ...best, alternatives };
+};
+
+// Holds out every nth example of each intent with at least two, n being
+// about 1 / testRatio, so the split is the same every time for the same data
+const splitExamples = (examples, testRatio) => {
+  const every = Math.max(2, Math.round(1 / testRatio));
+  const seen = createTable();
+  const train = [];
+  const test = [];
+  const totals = examples.reduce((counts, example) => {
+    counts[example.intent] = (counts[example.intent] || 0) + 1;
+    return counts;
+  }, createTable());
+
+  examples.forEach(example => {
+    seen[example.intent] = (seen[example.intent] || 0) + 1;
+    const heldOut = totals[example.intent] >= 2 && seen[example.intent] % every === 0;
+    (heldOut ? test : train).push(example);
+  });
+  return { train, test };
+};
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+// Trains on most of the examples and classifies the rest. Returns accuracy,
+// precision, recall and F1 per intent, and a confusion matrix whose rows are
+// the actual intents and columns the predicted ones ('unknown' included when
+// something was not recognised).
+const evaluateIntentClassifier = (examples, { testRatio = 0.2, ...options } = {}) => {
+  const { train, test } = splitExamples(examples, testRatio);
+  const model = trainIntentClassifier(train, options);
+  const predictions = test.map(example => ({
+    actual: example.intent,
+    predicted: classifyText(model, example.text, options).name
+  }));
+
+  const intents = [...new Set(examples.map(example => example.intent))];
+  const labels = predictions.some(prediction => prediction.predicted === 'unknown') ? [...intents, 'unknown'] : intents;
+  const matrix = intents.map(() => labels.map(() => 0));
+  predictions.forEach(({ actual, predicted }) => {
+    matrix[intents.indexOf(actual)][labels.indexOf(predicted)] += 1;
+  });
+
+  const perIntent = intents.map((intent, row) => {
+    const truePositives = matrix[row][row];
+    const support = matrix[row].reduce((total, count) => total + count, 0);
+    const predictedCount = matrix.reduce((total, counts) => total + counts[row], 0);
+    const precision = ratio(truePositives, predictedCount);
+    const recall = ratio(truePositives, support);
+    const f1 = precision + recall > 0 ? Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000 : 0;
+    return { intent, precision, recall, f1, support };
+  });
+
+  return {
+    exampleCount: examples.length,
+    intentCount: intents.length,
+    trainSize: train.length,
+    testSize: test.length,
+    accuracy: ratio(predictions.filter(({ actual, predicted }) => actual === predicted).length, predictions.length),
+    intents: perIntent,
+    confusionMatrix: { labels, matrix }
+  };
+};
+
+// Intents whose precision or recall is lower than in an earlier evaluation,
+// as [{ intent, metric, before, after }]
+const findRegressions = (before, after) => {
+  if (!before || !before.intents) return [];
+  const earlier = Object.fromEntries(before.intents.map(item => [item.intent, item]));
+
+  return after.intents.flatMap(item => ['precision', 'recall']
+    .filter(metric => earlier[item.intent] && earlier[item.intent].support > 0 && item[metric] < earlier[item.intent][metric])
+    .map(metric => ({ intent: item.intent, metric, before: earlier[item.intent][metric], after: item[metric] })));
+};
+
+export {
+  tokenize,
+  trainIntentClassifier,
+  classifyText,
+  evaluateIntentClassifier,
+  findRegressions
+};
@@ -0,0 +1,107 @@
+// Intent training data as it is imported by admins, in one of these shapes:
+//   JSON rows:    [{ "intent": "greeting", "text": "hi there", "entities": [...] }]
+//   JSON intents: { "intents": [{ "name": "greeting", "description": "...", "examples": ["hi", { "text": "...", "entities": [...] }] }] }
+//   CSV:          intent,text,entities with entities written as "benefit:health insurance;city:Pune"
+import { parseCsv } from './csvParser.js';
+
+const INTENT_NAME = /^[a-z][a-z0-9_]*$/;
+const MAX_EXAMPLE_LENGTH = 500; // The example schema's maxlength
+
+// Entity annotations get the offsets of their value in the example text when
+// they come without them. Returns { entities, error }.
+const annotateEntities = (text, entities = []) => {
+  const annotated = [];
+  for (const entity of entities) {
+    if (!entity || !String(entity.entity || '').trim() || !entity.value) {
+      return { entities: [], error: 'Entity annotations need an entity and a value' };
+    }
+    const start = Number.isInteger(entity.start) ? entity.start : text.toLowerCase().indexOf(String(entity.value).toLowerCase());
+    if (start < 0) {
+      return { entities: [], error: `"${entity.value}" does not appear in the example` };
+    }
+    annotated.push({
+      entity: String(entity.entity).trim(),
+      value: String(entity.value),
+      start,
+      end: Number.isInteger(entity.end) ? entity.end : start + String(entity.value).length
+    });
+  }
+  return { entities: annotated };
+};
+
+// "benefit:health insurance;city:Pune" -> [{ entity, value }]
+const parseEntityColumn = (column) => (column || '')
+  .split(';')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .map(pair => {
+    const separator = pair.indexOf(':');
+    return separator > 0
+      ? { entity: pair.slice(0, separator).trim(), value: pair.slice(separator + 1).trim() }
+      : { entity: pair, value: '' };
+  });
+
+const toRows = (data) => {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.intents)) {
+    return data.intents.flatMap(intent => (intent.examples || []).map(example => ({
+      intent: intent.name,
+      description: intent.description,
+      ...(typeof example === 'string' ? { text: example } : example)
+    })));
+  }
+  throw new Error('Expected a list of examples or an object with an "intents" list');
+};
+
+// Parses CSV text, JSON text or already parsed JSON into
+// { intents: [{ name, description, examples: [{ text, entities }] }], errors }.
+// Rows that can't be used are left out and reported in errors by row number.
+const parseTrainingData = (content, format = 'json') => {
+  let rows;
+  if (format === 'csv') {
+    rows = parseCsv(content).map(row => ({ ...row, entities: parseEntityColumn(row.entities) }));
+  } else {
+    rows = toRows(typeof content === 'string' ? JSON.parse(content) : content);
+  }
+
+  const intents = new Map();
+  const errors = [];
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== 'object') {
+      errors.push({ row: index + 1, message: 'Expected an example with an intent and a text' });
+      return;
+    }
+    const name = String(row.intent || '').trim().toLowerCase();
+    const text = String(row.text || '').trim();
+    if (!INTENT_NAME.test(name)) {
+      errors.push({ row: index + 1, message: `Invalid intent name "${row.intent || ''}"` });
+      return;
+    }
+    if (!text) {
+      errors.push({ row: index + 1, message: 'Example text is missing' });
+      return;
+    }
+    if (text.length > MAX_EXAMPLE_LENGTH) {
+      errors.push({ row: index + 1, message: `Example text is longer than ${MAX_EXAMPLE_LENGTH} characters` });
+      return;
+    }
+
+    const { entities, error } = annotateEntities(text, row.entities || []);
+    if (error) {
+      errors.push({ row: index + 1, message: error });
+      return;
+    }
+
+    if (!intents.has(name)) intents.set(name, { name, description: row.description, examples: [] });
+    intents.get(name).examples.push({ text, entities });
+  });
+
+  return { intents: [...intents.values()], errors };
+};
+
+export {
+  INTENT_NAME,
+  MAX_EXAMPLE_LENGTH,
+  annotateEntities,
+  parseTrainingData
+};
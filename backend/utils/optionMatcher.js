@@ -0,0 +1,232 @@
+// Matching free text against the options of a select field. Options are
+// strings or { value, synonyms } objects:
+//   ['Owned', { value: 'Rented', synonyms: ['on rent', 'tenant'] }]
+// Tolerates typos ("rentd"), understands negation ("not male") and reports
+// ambiguity instead of guessing.
+
+const NEGATIONS = ['not', 'no', 'never', 'dont', 'doesnt', 'isnt', 'arent', 'nor', 'neither'];
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10 };
+
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.6;
+
+// { value, synonyms } for every option, whichever way it was configured
+const normalizeOptions = (options = []) => options
+  .map(option => (typeof option === 'string'
+    ? { value: option, synonyms: [] }
+    : { value: option && option.value, synonyms: (option && option.synonyms) || [] }))
+  .filter(option => option.value);
+
+// Lowercase words with their position in the text; punctuation that ends a
+// clause becomes '|' so negation does not reach across it ("no, it's rented")
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[a-z0-9&]+(?:'[a-z]+)?|[,.;!?]+/gi;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const word = /^[,.;!?]/.test(match[0]) ? '|' : match[0].toLowerCase().replace(/'/g, '');
+    tokens.push({ word, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+const toWords = (text) => tokenize(text).map(token => token.word);
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+// Typos allowed for a term of this length; short words must match exactly
+const allowedTypos = (length) => {
+  if (length < 4) return 0;
+  if (length < 8) return 1;
+  return 2;
+};
+
+const isNegated = (words, start) => {
+  for (let i = start - 1; i >= Math.max(0, start - 3); i--) {
+    if (words[i] === '|') return false;
+    if (NEGATIONS.includes(words[i])) return true;
+  }
+  return false;
+};
+
+// Best place a term occurs in the message: { score, start, end } or null
+const findTerm = (words, termWords, { strict }) => {
+  const size = termWords.length;
+  const term = termWords.join(' ');
+  let best = null;
+
+  for (let start = 0; start + size <= words.length; start++) {
+    const window = words.slice(start, start + size);
+    if (window.includes('|')) continue;
+    const text = window.join(' ');
+
+    let score = 0;
+    if (text === term) {
+      score = EXACT_SCORE;
+    } else if (!strict) {
+      const distance = levenshtein(text, term);
+      if (distance <= allowedTypos(term.length)) {
+        score = EXACT_SCORE - 0.15 * distance;
+      } else if (size === 1 && text.length >= 3 && term.startsWith(text)) {
+        // "sal" for "salaried"
+        score = PREFIX_SCORE;
+      }
+    }
+
+    if (score > 0 && (!best || score > best.score)) {
+      best = { score, start, end: start + size };
+    }
+  }
+
+  return best;
+};
+
+// Every option mentioned in the message, with the options it negates
+const findOptionMatches = (words, normalized, { strict }) => {
+  const content = words.filter(word => word !== '|');
+  const found = [];
+  const negated = [];
+
+  normalized.forEach(option => {
+    let best = null;
+    [option.value, ...option.synonyms].forEach(term => {
+      const termWords = toWords(term).filter(word => word !== '|');
+      if (termWords.length === 0) return;
+      // One- and two-letter synonyms only count as the whole reply
+      if (termWords.join(' ').length <= 2 && content.join(' ') !== termWords.join(' ')) return;
+
+      const match = findTerm(words, termWords, { strict });
+      if (match && (!best || match.score > best.score ||
+          (match.score === best.score && match.end - match.start > best.end - best.start))) {
+        best = match;
+      }
+    });
+    if (!best) return;
+
+    if (isNegated(words, best.start)) {
+      negated.push(option);
+    } else {
+      found.push({ option, ...best });
+    }
+  });
+
+  // A match inside a longer one belongs to the longer one: "employed" in "self employed"
+  const matches = found.filter(match => !found.some(other => other !== match &&
+    other.start <= match.start && other.end >= match.end && other.end - other.start > match.end - match.start));
+
+  return { matches, negated };
+};
+
+// "2", "second", "2nd" -> 2; anything else -> 0
+const toOptionNumber = (word) => ORDINALS[word] || (/^\d+(st|nd|rd|th)?$/.test(word) ? parseInt(word, 10) : 0);
+
+const NUMBER_FILLER = ['option', 'options', 'number', 'numbers', 'no', 'the', 'one', 'ones', 'and', '&', '|'];
+
+// Returns { option, text } for a clear match, { candidates } when several
+// options fit equally well, or null. In strict mode only exact mentions of an
+// option or synonym count, as used when scanning a message for a field that
+// was not asked about.
+const matchOption = (message, options, { strict = false, allowNumbers = false } = {}) => {
+  const normalized = normalizeOptions(options);
+  const tokens = tokenize(message);
+  const words = tokens.map(token => token.word);
+  if (normalized.length === 0 || words.length === 0) return null;
+
+  const content = words.filter(word => word !== '|');
+
+  if (!strict) {
+    // "2", "option 2", "the second one" when the options were listed
+    if (allowNumbers) {
+      const numberText = content.filter(word => !NUMBER_FILLER.includes(word));
+      if (numberText.length === 1) {
+        const index = toOptionNumber(numberText[0]);
+        if (index >= 1 && index <= normalized.length) {
+          return { option: normalized[index - 1].value, text: message.trim() };
+        }
+      }
+    }
+
+    // A single letter picks the only option starting with it: "F" for Female
+    if (content.length === 1 && content[0].length === 1) {
+      const byInitial = normalized.filter(option => option.value.toLowerCase().startsWith(content[0]));
+      if (byInitial.length === 1) return { option: byInitial[0].value, text: message.trim() };
+    }
+  }
+
+  const { matches, negated } = findOptionMatches(words, normalized, { strict });
+
+  if (matches.length === 0) {
+    // "not male" leaves the other options; one left is the answer
+    if (negated.length > 0 && !strict) {
+      const remaining = normalized.filter(option => !negated.includes(option));
+      if (remaining.length === 1) return { option: remaining[0].value, text: message.trim() };
+      if (remaining.length > 1) return { candidates: remaining.map(option => option.value) };
+    }
+    return null;
+  }
+
+  const bestScore = Math.max(...matches.map(match => match.score));
+  const top = matches.filter(match => bestScore - match.score < 0.1);
+  if (top.length > 1) {
+    return strict ? null : { candidates: top.map(match => match.option.value) };
+  }
+
+  const [winner] = top;
+  return { option: winner.option.value, text: message.slice(tokens[winner.start].start, tokens[winner.end - 1].end) };
+};
+
+// Several options from one reply, for multi-select fields: "education and
+// medical", "1, 3", "all of them", "all except travel". Returns { options, text }
+// with options in their configured order, or null.
+const matchOptions = (message, options, { allowNumbers = false } = {}) => {
+  const normalized = normalizeOptions(options);
+  const words = toWords(message);
+  if (normalized.length === 0 || words.length === 0) return null;
+
+  const content = words.filter(word => word !== '|');
+  const inOrder = picked => normalized.filter(option => picked.includes(option)).map(option => option.value);
+
+  if (allowNumbers) {
+    const numberText = content.filter(word => !NUMBER_FILLER.includes(word));
+    const indexes = numberText.map(toOptionNumber);
+    if (indexes.length > 0 && indexes.every(index => index >= 1 && index <= normalized.length)) {
+      return { options: inOrder(indexes.map(index => normalized[index - 1])), text: message.trim() };
+    }
+  }
+
+  const { matches } = findOptionMatches(words, normalized, { strict: false });
+  const mentioned = matches.map(match => match.option);
+
+  if (content.some(word => ['all', 'everything', 'both'].includes(word))) {
+    // "all except travel" / "all but travel"
+    const exceptIndex = content.findIndex(word => ['except', 'but', 'excluding'].includes(word));
+    const excluded = exceptIndex >= 0
+      ? findOptionMatches(content.slice(exceptIndex + 1), normalized, { strict: false }).matches.map(match => match.option)
+      : [];
+    return { options: inOrder(normalized.filter(option => !excluded.includes(option))), text: message.trim() };
+  }
+
+  return mentioned.length > 0 ? { options: inOrder(mentioned), text: message.trim() } : null;
+};
+
+export {
+  normalizeOptions,
+  matchOption,
+  matchOptions
+};
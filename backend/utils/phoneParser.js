@@ -0,0 +1,119 @@
+// Phone number extraction and normalization to E.164 (+919876543210).
+// Accepts country codes (+91, 0091), spaces, dashes, brackets and a national
+// trunk prefix ("098765-43210"). Numbers without a country code are read in
+// the default region.
+
+const REGIONS = {
+  IN: { countryCode: '91', trunkPrefix: '0', pattern: /^[2-9]\d{9}$/, groups: [5, 5] },
+  US: { countryCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, groups: [3, 3, 4], separator: '-' },
+  GB: { countryCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{9}$/, groups: [4, 6] },
+  AE: { countryCode: '971', trunkPrefix: '0', pattern: /^[2-9]\d{7,8}$/, groups: [2, 3, 4] },
+  SG: { countryCode: '65', pattern: /^[3689]\d{7}$/, groups: [4, 4] },
+  AU: { countryCode: '61', trunkPrefix: '0', pattern: /^[2-478]\d{8}$/, groups: [3, 3, 3] }
+};
+
+// Runs of digits with the usual separators; split further when invalid as a whole
+const CANDIDATE_PATTERN = /(?:\+|\b00)?\d[\d\s().-]{5,}\d/g;
+
+const findRegionByCountryCode = (digits) => {
+  for (const length of [1, 2, 3]) {
+    const code = digits.slice(0, length);
+    const region = Object.keys(REGIONS).find(key => REGIONS[key].countryCode === code);
+    if (region) return { region, nationalNumber: digits.slice(length) };
+  }
+  return null;
+};
+
+const formatNational = (nationalNumber, regionInfo) => {
+  if (!regionInfo || !regionInfo.groups) return nationalNumber;
+  const parts = [];
+  let position = 0;
+  regionInfo.groups.forEach((size, index) => {
+    const isLast = index === regionInfo.groups.length - 1;
+    parts.push(nationalNumber.slice(position, isLast ? undefined : position + size));
+    position += size;
+  });
+  return parts.filter(Boolean).join(regionInfo.separator || ' ');
+};
+
+const buildResult = (region, countryCode, nationalNumber, text) => ({
+  e164: `+${countryCode}${nationalNumber}`,
+  display: `+${countryCode} ${formatNational(nationalNumber, REGIONS[region])}`,
+  region,
+  text
+});
+
+// Parses a single candidate such as "+91 98765 43210" or "098765-43210"
+const parseCandidate = (candidate, defaultRegion) => {
+  const international = /^\s*(\+|00)/.test(candidate);
+  const digits = candidate.replace(/\D/g, '').replace(/^00/, '');
+
+  if (international) {
+    const found = findRegionByCountryCode(digits);
+    if (found) {
+      return REGIONS[found.region].pattern.test(found.nationalNumber)
+        ? buildResult(found.region, REGIONS[found.region].countryCode, found.nationalNumber, candidate.trim())
+        : null;
+    }
+    // Unknown country code: accept anything E.164 allows
+    return digits.length >= 8 && digits.length <= 15
+      ? { e164: `+${digits}`, display: `+${digits}`, region: null, text: candidate.trim() }
+      : null;
+  }
+
+  const regionInfo = REGIONS[defaultRegion];
+  if (!regionInfo) return null;
+
+  if (regionInfo.pattern.test(digits)) {
+    return buildResult(defaultRegion, regionInfo.countryCode, digits, candidate.trim());
+  }
+
+  if (regionInfo.trunkPrefix && digits.startsWith(regionInfo.trunkPrefix) &&
+      regionInfo.pattern.test(digits.slice(regionInfo.trunkPrefix.length))) {
+    return buildResult(defaultRegion, regionInfo.countryCode, digits.slice(regionInfo.trunkPrefix.length), candidate.trim());
+  }
+
+  // Country code typed without the plus, e.g. "919876543210"
+  if (digits.startsWith(regionInfo.countryCode) &&
+      regionInfo.pattern.test(digits.slice(regionInfo.countryCode.length))) {
+    return buildResult(defaultRegion, regionInfo.countryCode, digits.slice(regionInfo.countryCode.length), candidate.trim());
+  }
+
+  return null;
+};
+
+// Returns { e164, display, region, text } for the first valid phone number in
+// the message, or null
+const parsePhoneNumber = (message, { defaultRegion = 'IN' } = {}) => {
+  const candidates = message.match(CANDIDATE_PATTERN) || [];
+
+  for (const candidate of candidates) {
+    const whole = parseCandidate(candidate, defaultRegion);
+    if (whole) return whole;
+
+    // "9876543210 50000" is two numbers; try runs of the space separated groups
+    const groups = candidate.trim().split(/\s+/);
+    for (let start = 0; start < groups.length; start++) {
+      for (let end = groups.length; end > start; end--) {
+        if (start === 0 && end === groups.length) continue;
+        const parsed = parseCandidate(groups.slice(start, end).join(' '), defaultRegion);
+        if (parsed) return parsed;
+      }
+    }
+  }
+
+  return null;
+};
+
+// "+919876543210" -> "+91 98765 43210"; unknown values are returned as is
+const formatPhoneNumber = (e164) => {
+  if (typeof e164 !== 'string' || !e164.startsWith('+')) return e164;
+  const found = findRegionByCountryCode(e164.slice(1));
+  if (!found || !REGIONS[found.region].pattern.test(found.nationalNumber)) return e164;
+  return buildResult(found.region, REGIONS[found.region].countryCode, found.nationalNumber, e164).display;
+};
+
+export {
+  parsePhoneNumber,
+  formatPhoneNumber
+};
@@ -0,0 +1,42 @@
+// Offline PIN code lookup against a bundled JSON dataset (data/pincodes.json).
+// Set PINCODE_DATA_PATH to use a fuller dataset, e.g. one generated from the
+// India Post directory with scripts/importPincodes.js.
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const DEFAULT_DATA_PATH = fileURLToPath(new URL('../data/pincodes.json', import.meta.url));
+
+let pincodes = null;
+
+const getDataPath = () => process.env.PINCODE_DATA_PATH || DEFAULT_DATA_PATH;
+
+// Reads the dataset from disk; a missing or broken file leaves lookups empty
+const loadPincodes = (dataPath = getDataPath()) => {
+  try {
+    const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    pincodes = data.pincodes || {};
+    logger.info(`Loaded ${Object.keys(pincodes).length} PIN codes from ${dataPath}`);
+  } catch (error) {
+    logger.warn(`Could not load PIN code data from ${dataPath}: ${error.message}`);
+    pincodes = {};
+  }
+  return pincodes;
+};
+
+// Returns { pincode, city, district, state } or null when the PIN is unknown
+const lookupPincode = (pincode) => {
+  if (!pincodes) loadPincodes();
+  const key = String(pincode).replace(/\s/g, '');
+  const entry = pincodes[key];
+  return entry ? { pincode: key, ...entry } : null;
+};
+
+// Picks up an updated dataset without restarting the server
+const reloadPincodes = () => loadPincodes();
+
+export {
+  getDataPath,
+  lookupPincode,
+  reloadPincodes
+};
@@ -0,0 +1,48 @@
+// Reading and writing the user record fields that flow fields can be mapped to
+// with `profileField`: 'email', 'firstName', 'lastName', 'fullName' or any of
+// 'profile.phone', 'profile.department', 'profile.position', 'profile.location', ...
+
+const PROFILE_KEYS = ['avatar', 'bio', 'department', 'position', 'phone', 'location'];
+
+// The login email is never overwritten from a flow
+const WRITABLE_PATHS = ['firstName', 'lastName', 'fullName', ...PROFILE_KEYS.map(key => `profile.${key}`)];
+
+const isProfilePath = (path) => ['email', 'firstName', 'lastName', 'fullName'].includes(path) ||
+  (path.startsWith('profile.') && PROFILE_KEYS.includes(path.slice('profile.'.length)));
+
+// The value at a path of the user record as a trimmed string, or null
+const readProfileValue = (user, path) => {
+  if (!user || !path || !isProfilePath(path)) return null;
+
+  const value = path === 'fullName'
+    ? [user.firstName, user.lastName].filter(Boolean).join(' ')
+    : path.split('.').reduce((current, key) => (current ? current[key] : undefined), user);
+
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text || null;
+};
+
+// Sets a writable path on the user document without saving it. A full name is
+// split into first name and last word. Returns whether anything changed.
+const writeProfileValue = (user, path, value) => {
+  if (!user || !WRITABLE_PATHS.includes(path) || value === null || value === undefined) return false;
+  const text = String(value).trim();
+  if (!text || readProfileValue(user, path) === text) return false;
+
+  if (path === 'fullName') {
+    const words = text.split(/\s+/);
+    user.firstName = words.length > 1 ? words.slice(0, -1).join(' ') : text;
+    if (words.length > 1) user.lastName = words[words.length - 1];
+    return true;
+  }
+
+  user.set(path, text);
+  return true;
+};
+
+export {
+  WRITABLE_PATHS,
+  readProfileValue,
+  writeProfileValue
+};
@@ -0,0 +1,50 @@
+// Grouping messages the bot didn't understand: near-identical messages share
+// most of their content words, so clusters are formed by Jaccard similarity of
+// those words. Numbers and email addresses are masked before anything is
+// stored, as missed answers often contain personal details.
+
+const STOPWORDS = new Set(['a', 'an', 'the', 'i', 'im', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its', 'is',
+  'am', 'are', 'was', 'be', 'to', 'of', 'in', 'on', 'at', 'for', 'and', 'or', 'so', 'do', 'does', 'did', 'can',
+  'could', 'would', 'should', 'will', 'please', 'pls', 'this', 'that', 'there', 'here', 'just', 'about', 'with',
+  'have', 'has', 'had', 'any', 'some', 'get', 'got', 'what', 'whats', 'hi', 'hello', 'hey', 'ok', 'okay']);
+
+// "call me on 98765 43210" -> "call me on #"
+const maskUtterance = (text) => String(text)
+  .replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, '<email>')
+  .replace(/\d(?:[\d\s-]*\d){3,}/g, '#')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 500);
+
+// Content words with a plural "s" taken off; all words when there are no
+// content words, so "what about it" still has something to compare
+const utteranceTokens = (text) => {
+  const words = String(text).toLowerCase().replace(/['’]/g, '').match(/[a-z0-9#]+/g) || [];
+  const content = words.filter(word => !STOPWORDS.has(word));
+  return [...new Set((content.length > 0 ? content : words)
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word)))];
+};
+
+const utteranceSimilarity = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const other = new Set(b);
+  const shared = a.filter(token => other.has(token)).length;
+  return shared / (a.length + b.length - shared);
+};
+
+// The cluster whose tokens are most like these, if it reaches the threshold
+const findClosestCluster = (clusters, tokens, threshold = 0.6) => {
+  let best = null;
+  clusters.forEach(cluster => {
+    const similarity = utteranceSimilarity(tokens, cluster.tokens || []);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) best = { cluster, similarity };
+  });
+  return best ? best.cluster : null;
+};
+
+export {
+  maskUtterance,
+  utteranceTokens,
+  utteranceSimilarity,
+  findClosestCluster
+};
@@ -32,6 +32,7 @@ interface Message {
       label: string
     }
     processingTime?: number
+    quickReplies?: string[]
   }
 }
 
@@ -119,6 +120,14 @@ export default function ChatPage() {
     }
   }
 
+  const handleQuickReply = (reply: string) => {
+    if (!connected) return
+    sendMessage(reply, sessionId)
+  }
+
+  const lastMessage = messages[messages.length - 1]
+  const quickReplies = lastMessage?.role === 'assistant' ? lastMessage.metadata?.quickReplies || [] : []
+
   const handleTyping = (e: React.ChangeEvent<HTMLInputElement>) => {
     setInputMessage(e.target.value)
     
@@ -226,6 +235,23 @@ export default function ChatPage() {
                 ))}
               </AnimatePresence>
               
+              {/* Quick replies to the last question */}
+              {quickReplies.length > 0 && (
+                <div className="flex flex-wrap gap-2 pl-11">
+                  {quickReplies.map((reply) => (
+                    <button
+                      key={reply}
+                      type="button"
+                      onClick={() => handleQuickReply(reply)}
+                      disabled={!connected}
+                      className="btn-outline text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {reply}
+                    </button>
+                  ))}
+                </div>
+              )}
+              
               {/* Typing indicator */}
               {typingUsers.length > 0 && (
                 <motion.div
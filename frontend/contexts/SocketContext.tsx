@@ -23,6 +23,7 @@ interface Message {
       label: string
     }
     processingTime?: number
+    quickReplies?: string[]
   }
 }
 